@@ -0,0 +1,80 @@
+const { normalizeQuestion, isCacheable, cacheKey, getCachedAnswer, cacheAnswer } = require('../services/answerCache');
+const { createMemoryStore } = require('../cache/memory');
+const { createCacheStore } = require('../cache');
+
+describe('normalizeQuestion', () => {
+    it('ignores case, punctuation and spacing', () => {
+        expect(normalizeQuestion('  What is the Trinity?? ')).toBe('what is the trinity');
+        expect(normalizeQuestion("What's grace?")).toBe(normalizeQuestion('whats grace'));
+    });
+});
+
+describe('cacheKey', () => {
+    it('matches near-identical questions', () => {
+        expect(cacheKey('What is the Trinity?', 'KJV')).toBe(cacheKey('what is the trinity', 'kjv'));
+    });
+
+    it('separates translations', () => {
+        expect(cacheKey('What is the Trinity?', 'KJV')).not.toBe(cacheKey('What is the Trinity?', 'NIV'));
+    });
+});
+
+describe('isCacheable', () => {
+    it('only caches opening questions', () => {
+        expect(isCacheable('What is grace?', [])).toBe(true);
+        expect(isCacheable('What about verse 9?', [{ role: 'user', text: 'What is grace?' }])).toBe(false);
+        expect(isCacheable('?!', [])).toBe(false);
+        expect(isCacheable(undefined, [])).toBe(false);
+    });
+});
+
+describe('createMemoryStore', () => {
+    it('expires entries after their TTL', async () => {
+        let now = 0;
+        const store = createMemoryStore({ now: () => now });
+
+        await store.set('a', { title: 'Grace' }, 60);
+        expect(await store.get('a')).toEqual({ title: 'Grace' });
+
+        now = 60 * 1000;
+        expect(await store.get('a')).toBeNull();
+    });
+
+    it('evicts the least recently used entry', async () => {
+        const store = createMemoryStore({ maxEntries: 2 });
+
+        await store.set('a', 1, 60);
+        await store.set('b', 2, 60);
+        await store.get('a');
+        await store.set('c', 3, 60);
+
+        expect(await store.get('b')).toBeNull();
+        expect(await store.get('a')).toBe(1);
+        expect(await store.get('c')).toBe(3);
+        expect(store.size()).toBe(2);
+    });
+});
+
+describe('createCacheStore', () => {
+    it('defaults to memory and can be disabled', () => {
+        expect(createCacheStore({}).name).toBe('memory');
+        expect(createCacheStore({ ANSWER_CACHE_STORE: 'none' })).toBeNull();
+        expect(() => createCacheStore({ ANSWER_CACHE_STORE: 'redis' })).toThrow('Unknown ANSWER_CACHE_STORE');
+    });
+});
+
+describe('getCachedAnswer / cacheAnswer', () => {
+    it('round-trips through the store', async () => {
+        const store = createMemoryStore();
+        await cacheAnswer('key', { title: 'Grace' }, store);
+        expect(await getCachedAnswer('key', store)).toEqual({ title: 'Grace' });
+    });
+
+    it('treats store failures as a miss', async () => {
+        const store = { get: jest.fn().mockRejectedValue(new Error('down')), set: jest.fn() };
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        expect(await getCachedAnswer('key', store)).toBeNull();
+        console.error.mockRestore();
+    });
+});
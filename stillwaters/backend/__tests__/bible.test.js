@@ -0,0 +1,145 @@
+const { parseReference, formatReference, lookupVerses, lookupPassages, resolveTranslation, verifyScripture, verifyScriptures } = require('../services/bible');
+const { GUIDE_RESPONSE } = require('../providers/fixtures');
+
+describe('parseReference', () => {
+    it.each([
+        ['John 3:16', { book: 'John', chapter: 3, verseStart: 16, verseEnd: 16 }],
+        ['Psalm 23:2', { book: 'Psalms', chapter: 23, verseStart: 2, verseEnd: 2 }],
+        ['1 Cor. 13:4-7', { book: '1 Corinthians', chapter: 13, verseStart: 4, verseEnd: 7 }],
+        ['II Timothy 3:16', { book: '2 Timothy', chapter: 3, verseStart: 16, verseEnd: 16 }],
+        ['1John 4:8', { book: '1 John', chapter: 4, verseStart: 8, verseEnd: 8 }],
+        ['Song of Songs 2:1', { book: 'Song of Solomon', chapter: 2, verseStart: 1, verseEnd: 1 }],
+        ['Romans 8', { book: 'Romans', chapter: 8, verseStart: null, verseEnd: null }],
+    ])('parses %s', (reference, expected) => {
+        expect(parseReference(reference)).toMatchObject(expected);
+    });
+
+    it.each(['', 'Hezekiah 3:1', 'John', 'not a verse'])('rejects %p', (reference) => {
+        expect(parseReference(reference)).toBeNull();
+    });
+});
+
+describe('formatReference', () => {
+    it('uses the singular for a psalm', () => {
+        expect(formatReference(parseReference('Ps 23:1-3'))).toBe('Psalm 23:1-3');
+    });
+});
+
+describe('lookupVerses', () => {
+    it('returns the KJV text without paragraph or italic markers', () => {
+        expect(lookupVerses(parseReference('John 3:16'))).toBe(
+            'For God so loved the world, that he gave his only begotten Son, that whosoever believeth in him should not perish, but have everlasting life.'
+        );
+        expect(lookupVerses(parseReference('Song of Solomon 2:1'))).toBe('I am the rose of Sharon, and the lily of the valleys.');
+    });
+
+    it('joins verse ranges', () => {
+        expect(lookupVerses(parseReference('John 11:35-36'))).toBe('Jesus wept. Then said the Jews, Behold how he loved him!');
+    });
+
+    it('returns null for verses that do not exist', () => {
+        expect(lookupVerses(parseReference('John 3:99'))).toBeNull();
+        expect(lookupVerses(parseReference('Jude 2:1'))).toBeNull();
+    });
+});
+
+describe('lookupPassages', () => {
+    it('returns each passage with the verses around it', () => {
+        const lookup = lookupPassages('1 cor 13:4-7, 13', { context: 1 });
+
+        expect(lookup).toMatchObject({ reference: '1 Corinthians 13:4-7, 13', translation: 'KJV' });
+        expect(lookup.passages.map(passage => passage.reference)).toEqual(['1 Corinthians 13:4-7', '1 Corinthians 13:13']);
+
+        const [love, abideth] = lookup.passages;
+        expect(love.verse_count).toBe(13);
+        expect(love.verses.map(verse => verse.verse)).toEqual([4, 5, 6, 7]);
+        expect(love.text).toMatch(/^Charity suffereth long, and is kind;/);
+        expect(love.context.before.map(verse => verse.verse)).toEqual([3]);
+        expect(love.context.after.map(verse => verse.verse)).toEqual([8]);
+        expect(abideth.context).toEqual({ before: [expect.objectContaining({ verse: 12 })], after: [] });
+    });
+
+    it('serves a whole chapter without context', () => {
+        const [psalm] = lookupPassages('Psalm 23').passages;
+
+        expect(psalm.verses).toHaveLength(6);
+        expect(psalm.context).toEqual({ before: [], after: [] });
+    });
+
+    it('labels the fallback when the requested translation is not bundled', () => {
+        expect(lookupPassages('John 3:16', { translation: 'niv' })).toMatchObject({ translation: 'KJV', requested_translation: 'NIV' });
+        expect(lookupPassages('John 3:16', { translation: 'kjv' })).not.toHaveProperty('requested_translation');
+    });
+
+    it('rejects references it cannot serve', () => {
+        expect(() => lookupPassages('not a verse')).toThrow(expect.objectContaining({ status: 400, details: { field: 'reference' } }));
+        expect(() => lookupPassages('John 3:16; 3:99')).toThrow(expect.objectContaining({ status: 404, code: 'SCRIPTURE_NOT_FOUND', message: 'John 3:99 is not in the Bible.' }));
+        expect(() => lookupPassages('Jude 1:26')).toThrow(expect.objectContaining({ code: 'SCRIPTURE_NOT_FOUND' }));
+        expect(() => lookupPassages('Psalm 78, 119')).toThrow('at most 200 verses');
+    });
+});
+
+describe('resolveTranslation', () => {
+    it('serves bundled translations and falls back to the KJV otherwise', () => {
+        expect(resolveTranslation('kjv')).toBe('KJV');
+        expect(resolveTranslation('ESV')).toBe('KJV');
+        expect(resolveTranslation(undefined)).toBe('KJV');
+    });
+});
+
+describe('verifyScripture', () => {
+    it('replaces the quoted text with the canonical text', () => {
+        expect(verifyScripture({ reference: 'Psalm 23:2', text: 'He makes me lie down...', translation: 'NIV' })).toEqual({
+            reference: 'Psalm 23:2',
+            text: 'He maketh me to lie down in green pastures: he leadeth me beside the still waters.',
+            translation: 'KJV',
+            verified: true,
+        });
+    });
+
+    it('labels the fallback when the preferred translation is not bundled', () => {
+        expect(verifyScripture({ reference: 'John 11:35', text: 'Jesus wept.', translation: 'NIV' }, 'niv')).toEqual({
+            reference: 'John 11:35',
+            text: 'Jesus wept.',
+            translation: 'KJV',
+            verified: true,
+            requested_translation: 'NIV',
+        });
+        expect(verifyScripture({ reference: 'John 11:35', text: 'Jesus wept.', translation: 'KJV' }, 'KJV'))
+            .not.toHaveProperty('requested_translation');
+    });
+
+    it('drops invented references', () => {
+        expect(verifyScripture({ reference: 'Psalm 151:1', text: 'Made up', translation: 'NIV' })).toBeNull();
+    });
+
+    it('flags references it cannot check', () => {
+        expect(verifyScripture({ reference: 'The Sermon on the Mount', text: 'Blessed are...', translation: 'NIV' }))
+            .toMatchObject({ text: 'Blessed are...', verified: false });
+    });
+});
+
+describe('verifyScriptures', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    it('verifies every scripture and related verse', () => {
+        const answer = {
+            ...GUIDE_RESPONSE,
+            related_verses: ['Matt 11:28', 'Hebrews 14:1', 'Isaiah 40'],
+        };
+
+        const verified = verifyScriptures(answer);
+        expect(verified.interpretations[0].scriptures[0]).toMatchObject({ reference: 'Psalm 23:2', translation: 'KJV', verified: true });
+        expect(verified.related_verses).toEqual(['Matthew 11:28', 'Isaiah 40']);
+        expect(JSON.parse(console.warn.mock.calls[0][0])).toMatchObject({
+            msg: 'Dropped non-existent scripture references',
+            references: ['Hebrews 14:1'],
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { validateContent } = require('../services/content');
+
+jest.mock('../services/supabase');
+
+const app = require('../app');
+const { supabase, db, resetDb } = require('../services/supabase');
+
+const devotional = (overrides = {}) => ({
+    title: 'Beside Still Waters',
+    content: 'The shepherd leads us to rest before he leads us onward.',
+    prayer: 'Lord, lead me beside still waters today.',
+    scripture_json: { reference: 'Psalm 23:1-3', text: 'The LORD is my shepherd; I shall not want.', translation: 'KJV' },
+    ...overrides,
+});
+
+const faq = (overrides = {}) => ({
+    category: 'Prayer',
+    question: 'How should I pray?',
+    answer_json: {
+        summary: 'Simply and honestly, as a child talks to a loving father.',
+        detailed: 'Jesus taught his disciples the Lord\'s Prayer as a pattern...',
+        scriptures: ['Matthew 6:9-13', '1 Thessalonians 5:17'],
+    },
+    ...overrides,
+});
+
+describe('validateContent', () => {
+    it('accepts devotionals and FAQs in the shapes the screens expect', () => {
+        expect(validateContent('devotionals', devotional())).toEqual([]);
+        expect(validateContent('devotionals', devotional({
+            scripture_json: { ...devotional().scripture_json, translations: { WEB: 'Yahweh is my shepherd: I shall lack nothing.' } },
+        }))).toEqual([]);
+        expect(validateContent('faqs', faq())).toEqual([]);
+    });
+
+    it('reports missing, empty and unknown fields', () => {
+        const { prayer, ...withoutPrayer } = devotional();
+
+        expect(validateContent('devotionals', { ...withoutPrayer, title: ' ', author: 'Me' })).toEqual([
+            'author is not an editable field',
+            'prayer is required',
+            'title should not be empty',
+        ]);
+        expect(validateContent('faqs', faq({ answer_json: { summary: 'Yes.' } }))).toEqual(['answer_json.detailed is required']);
+        expect(validateContent('faqs', null)).toEqual(['content should be an object']);
+    });
+
+    it('enforces length limits', () => {
+        expect(validateContent('devotionals', devotional({ title: 'x'.repeat(121) })))
+            .toEqual(['title should be at most 120 characters']);
+    });
+
+    it('checks scripture references and translation codes', () => {
+        expect(validateContent('devotionals', devotional({
+            scripture_json: { reference: 'Psalm 151:1', text: 'I was small', translation: 'kjv', translations: { NIV: '' } },
+        }))).toEqual([
+            'scripture_json.reference "Psalm 151:1" does not exist',
+            'scripture_json.translation "kjv" is not a translation code (e.g. "KJV")',
+            'scripture_json.translations.NIV should be the verse text',
+        ]);
+        expect(validateContent('faqs', faq({ answer_json: { ...faq().answer_json, scriptures: ['Romans 8:28', 'Hezekiah 3:1'] } })))
+            .toEqual(['answer_json.scriptures[1] "Hezekiah 3:1" is not a Bible reference']);
+    });
+});
+
+describe('admin content API', () => {
+    let admins = 0;
+    const asAdmin = () => `Bearer token-admin-${++admins}`;
+
+    const send = (method, path, body, auth = asAdmin()) => request(app)[method](`/api/v1/admin${path}`)
+        .set('Authorization', auth)
+        .send(body);
+
+    const today = () => new Date().toISOString().substring(0, 10);
+    const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    beforeEach(() => {
+        resetDb();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('is for admins only', async () => {
+        expect((await request(app).get('/api/v1/admin/faqs')).status).toBe(401);
+
+        const res = await send('get', '/faqs', undefined, 'Bearer token-reader');
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('FORBIDDEN');
+    });
+
+    it('creates drafts and refuses invalid content', async () => {
+        const created = await send('post', '/devotionals', devotional());
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ title: 'Beside Still Waters', status: 'draft', scheduled_for: null });
+
+        const invalid = await send('post', '/devotionals', devotional({ scripture_json: { reference: 'Psalm 23:1' } }));
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.code).toBe('INVALID_CONTENT');
+        expect(invalid.body.issues).toEqual(['scripture_json.text is required', 'scripture_json.translation is required']);
+        expect(db.devotionals).toHaveLength(1);
+    });
+
+    it('edits, lists and previews content', async () => {
+        const { body: created } = await send('post', '/devotionals', devotional());
+
+        const edited = await send('patch', `/devotionals/${created.id}`, { title: 'Still Waters' });
+        expect(edited.body).toMatchObject({ title: 'Still Waters', prayer: devotional().prayer });
+        expect((await send('patch', `/devotionals/${created.id}`, { prayer: '' })).body.issues).toEqual(['prayer should not be empty']);
+
+        expect((await send('get', '/devotionals?status=draft')).body.map(row => row.id)).toEqual([created.id]);
+        expect((await send('get', '/devotionals?status=published')).body).toEqual([]);
+        expect((await send('get', '/devotionals?status=live')).status).toBe(400);
+
+        const preview = await send('get', `/devotionals/${created.id}/preview`);
+        expect(preview.body).toEqual({
+            id: created.id,
+            date: today(),
+            title: 'Still Waters',
+            content: devotional().content,
+            scripture_json: devotional().scripture_json,
+            prayer: devotional().prayer,
+        });
+    });
+
+    it('schedules devotionals, one per day', async () => {
+        const { body: first } = await send('post', '/devotionals', devotional());
+        const { body: second } = await send('post', '/devotionals', devotional({ title: 'Morning Mercies' }));
+
+        const scheduled = await send('post', `/devotionals/${first.id}/publish`, { date: tomorrow() });
+        expect(scheduled.body).toMatchObject({ status: 'published', scheduled_for: tomorrow() });
+
+        const clash = await send('post', `/devotionals/${second.id}/publish`, { date: tomorrow() });
+        expect(clash.status).toBe(409);
+        expect(clash.body.code).toBe('SCHEDULE_CONFLICT');
+
+        expect((await send('post', `/devotionals/${second.id}/publish`, { date: '2020-01-01' })).body.field).toBe('date');
+        expect((await send('post', `/devotionals/${second.id}/publish`, { date: '2030-02-30' })).status).toBe(400);
+        expect((await send('post', `/devotionals/${second.id}/publish`)).body).toMatchObject({ status: 'published', scheduled_for: null });
+        expect((await send('get', `/devotionals/${first.id}/preview`)).body.date).toBe(tomorrow());
+    });
+
+    it('publishes, schedules and unpublishes FAQs', async () => {
+        const { body: created } = await send('post', '/faqs', faq());
+
+        const scheduled = await send('post', `/faqs/${created.id}/publish`, { publish_at: '2030-01-01T09:00:00+01:00' });
+        expect(scheduled.body).toMatchObject({ status: 'published', publish_at: '2030-01-01T08:00:00.000Z' });
+        expect((await send('post', `/faqs/${created.id}/publish`, { publish_at: 'soon' })).body.field).toBe('publish_at');
+
+        const unpublished = await send('post', `/faqs/${created.id}/unpublish`);
+        expect(unpublished.body).toMatchObject({ status: 'unpublished', publish_at: null });
+        expect((await send('get', `/faqs/${created.id}/preview`)).body).toEqual({ id: created.id, ...faq() });
+    });
+
+    it('reports unknown ids', async () => {
+        const res = await send('post', '/faqs/00000000-0000-4000-8000-999999999999/unpublish');
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('CONTENT_NOT_FOUND');
+    });
+
+    it('reports entries deleted while they were being changed', async () => {
+        const { body: created } = await send('post', '/faqs', faq());
+        const from = supabase.from;
+        jest.spyOn(supabase, 'from').mockImplementation((table) => {
+            const query = from(table);
+            const update = query.update;
+            query.update = (changes) => {
+                db.faqs.length = 0;
+                return update(changes);
+            };
+            return query;
+        });
+
+        const res = await send('post', `/faqs/${created.id}/unpublish`);
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('CONTENT_NOT_FOUND');
+    });
+
+    it('serves the admin API under /api/v1 only', async () => {
+        expect((await request(app).get('/api/admin/faqs').set('Authorization', asAdmin())).status).toBe(404);
+        expect((await send('get', '/faqs')).status).toBe(200);
+    });
+
+    it.each([
+        ['get', '/faqs/42'],
+        ['patch', '/devotionals/not-an-id'],
+        ['post', '/faqs/1%27%20or%201=1/publish'],
+    ])('rejects malformed ids: %s %s', async (method, path) => {
+        const res = await send(method, path, {});
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', field: 'id' });
+    });
+});
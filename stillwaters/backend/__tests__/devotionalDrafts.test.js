@@ -0,0 +1,134 @@
+const { draftDevotionals, resolveBook, toDraft } = require('../services/devotionalDrafts');
+const { publishContent, rejectContent } = require('../services/content');
+const { createFixtureProvider } = require('../providers/fixture');
+const { DEVOTIONAL_DRAFTS } = require('../providers/fixtures');
+
+jest.mock('../services/supabase');
+
+const { db, resetDb } = require('../services/supabase');
+
+/**
+ * A provider that replies with the given devotionals, one list per call.
+ */
+const scriptedProvider = (...replies) => createFixtureProvider({
+    fixtures: replies.map((devotionals, index) => ({
+        name: `batch-${index}`,
+        match: (() => {
+            let used = false;
+            return () => !used && (used = true);
+        })(),
+        reply: typeof devotionals === 'string' ? devotionals : JSON.stringify({ devotionals }),
+    })),
+});
+
+const item = (reference, overrides = {}) => ({
+    title: `On ${reference}`,
+    scripture: { reference, text: 'Misquoted text' },
+    content: 'A short reflection.',
+    prayer: 'Lord, teach me.',
+    ...overrides,
+});
+
+beforeEach(() => {
+    resetDb();
+    jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'warn').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolveBook', () => {
+    it('names books the way the Bible does', () => {
+        expect(resolveBook('phil')).toBe('Philippians');
+        expect(resolveBook('Psalm')).toBe('Psalms');
+        expect(resolveBook('Hezekiah')).toBeNull();
+    });
+});
+
+describe('toDraft', () => {
+    it('replaces the quoted scripture with canonical KJV text', () => {
+        const { fields, reason } = toDraft(item('psalm 46:10'), { used: new Set() });
+
+        expect(reason).toBeNull();
+        expect(fields.scripture_json).toEqual({
+            reference: 'Psalm 46:10',
+            text: expect.stringMatching(/^Be still, and know that I am God/),
+            translation: 'KJV',
+        });
+    });
+
+    it('explains why a devotional cannot be used', () => {
+        const used = new Set(['John 3:16']);
+        const reasonFor = (draft, options = {}) => toDraft(draft, { used, ...options }).reason;
+
+        expect(reasonFor(item('John 99:1'))).toMatch(/does not exist/);
+        expect(reasonFor(item('Psalm 23'))).toMatch(/whole verses/);
+        expect(reasonFor(item('John 3:16'))).toMatch(/already in the library/);
+        expect(reasonFor(item('John 1:1'), { book: 'Philippians' })).toMatch(/not in Philippians/);
+        expect(reasonFor(item('John 1:1', { prayer: '' }))).toMatch(/prayer/);
+        expect(reasonFor({ title: 'No scripture' })).toBe('no scripture reference');
+    });
+});
+
+describe('draftDevotionals', () => {
+    it('saves the drafts from the configured model for review', async () => {
+        const { drafts, skipped } = await draftDevotionals({ theme: 'rest', count: 3, provider: createFixtureProvider() });
+
+        expect(skipped).toEqual([]);
+        expect(drafts.map(draft => draft.title)).toEqual(DEVOTIONAL_DRAFTS.map(draft => draft.title));
+        expect(db.devotionals).toHaveLength(3);
+        expect(db.devotionals.every(row => row.status === 'draft')).toBe(true);
+    });
+
+    it('does not draft passages already in the library, whatever their status', async () => {
+        const first = await draftDevotionals({ theme: 'rest', count: 1, provider: createFixtureProvider() });
+        await rejectContent('devotionals', first.drafts[0].id);
+
+        const provider = createFixtureProvider();
+        jest.spyOn(provider, 'generate');
+        const { drafts } = await draftDevotionals({ theme: 'rest', count: 2, provider });
+
+        expect(provider.generate.mock.calls[0][0].messages[0].text).toContain('Passages already used: Psalm 46:10.');
+        expect(drafts.map(draft => draft.scripture_json.reference)).toEqual(['Matthew 11:28', 'Philippians 4:6-7']);
+    });
+
+    it('asks again to make up for unusable devotionals', async () => {
+        const provider = scriptedProvider(
+            [item('Philippians 4:13'), item('John 3:16')],
+            'not json',
+            [item('Philippians 4:13'), item('Philippians 4:19')],
+        );
+
+        const { drafts, skipped } = await draftDevotionals({ book: 'phil', count: 2, provider });
+
+        expect(drafts.map(draft => draft.scripture_json.reference)).toEqual(['Philippians 4:13', 'Philippians 4:19']);
+        expect(skipped).toEqual([
+            { title: 'On John 3:16', reference: 'John 3:16', reason: '"John 3:16" is not in Philippians' },
+            { title: 'On Philippians 4:13', reference: 'Philippians 4:13', reason: '"Philippians 4:13" is already in the library' },
+        ]);
+    });
+
+    it('rejects requests it cannot draft', async () => {
+        const provider = createFixtureProvider();
+
+        await expect(draftDevotionals({ provider })).rejects.toThrow('Give a theme or a book of the Bible');
+        await expect(draftDevotionals({ book: 'Hezekiah', provider })).rejects.toThrow('not a book of the Bible');
+        await expect(draftDevotionals({ theme: 'rest', count: 31, provider })).rejects.toThrow('count should be between 1 and 30');
+        expect(db.devotionals).toHaveLength(0);
+    });
+});
+
+describe('review', () => {
+    it('only approved drafts join the rotation', async () => {
+        const { drafts } = await draftDevotionals({ theme: 'rest', count: 2, provider: createFixtureProvider() });
+
+        await publishContent('devotionals', drafts[0].id);
+        await rejectContent('devotionals', drafts[1].id);
+
+        expect(db.devotionals.map(row => row.status)).toEqual(['published', 'rejected']);
+        expect(db.devotionals[1].scheduled_for).toBeNull();
+    });
+});
@@ -0,0 +1,28 @@
+const { buildExchangeMessages, exchangeTitle } = require('../services/exchanges');
+const { GUIDE_RESPONSE } = require('../providers/fixtures');
+const { CRISIS_RESPONSE } = require('../services/safety');
+const { UNAVAILABLE_RESPONSE } = require('../services/guide');
+
+describe('buildExchangeMessages', () => {
+    it('saves the question and the whole answer, verses included', () => {
+        expect(buildExchangeMessages('What is rest?', GUIDE_RESPONSE)).toEqual([
+            { sender: 'user', text: 'What is rest?', metadata: null },
+            { sender: 'bot', text: GUIDE_RESPONSE.interpretations[0].view, metadata: GUIDE_RESPONSE },
+        ]);
+    });
+
+    it('saves every kind of answer the same way', () => {
+        const contested = { ...GUIDE_RESPONSE, interpretations: [GUIDE_RESPONSE.interpretations[0], GUIDE_RESPONSE.interpretations[0]] };
+
+        [contested, CRISIS_RESPONSE, UNAVAILABLE_RESPONSE].forEach((answer) => {
+            expect(buildExchangeMessages('Why?', answer).map(message => message.sender)).toEqual(['user', 'bot']);
+        });
+    });
+});
+
+describe('exchangeTitle', () => {
+    it('uses the answer title, or the question for fallback answers', () => {
+        expect(exchangeTitle('What is rest?', GUIDE_RESPONSE)).toBe(GUIDE_RESPONSE.title);
+        expect(exchangeTitle('Why does God allow suffering in the world?', UNAVAILABLE_RESPONSE)).toBe('Why does God allow suffering i...');
+    });
+});
@@ -0,0 +1,174 @@
+const { parseCsv, parseFaqFile, formatFaqs, importFaqs, exportFaqs } = require('../services/faqFiles');
+const { slugify, createContent } = require('../services/content');
+
+jest.mock('../services/supabase');
+
+const { db, resetDb } = require('../services/supabase');
+
+const prayer = {
+    slug: 'how-should-i-pray',
+    category: 'Prayer',
+    question: 'How should I pray?',
+    answer_json: {
+        summary: 'Simply and honestly, as a child talks to a loving father.',
+        detailed: 'Jesus taught his disciples the Lord\'s Prayer as a pattern, "Our Father".\n\nPray without ceasing.',
+        scriptures: ['Matthew 6:9-13', '1 Thessalonians 5:17'],
+    },
+};
+
+const fasting = {
+    slug: 'should-christians-fast',
+    category: 'Practice',
+    question: 'Should Christians fast?',
+    answer_json: { summary: 'Jesus expected it.', detailed: 'Fasting is a way of hungering for God.' },
+};
+
+const entries = (...faqs) => faqs.map((fields, index) => ({ source: `faqs.json [${index}]`, fields }));
+
+beforeEach(() => {
+    resetDb();
+});
+
+describe('slugify', () => {
+    it('turns a question into lowercase words joined by hyphens', () => {
+        expect(slugify('How should I pray?')).toBe('how-should-i-pray');
+        expect(slugify('  What\'s "grace"?  ')).toBe('what-s-grace');
+        expect(slugify('???')).toBe('faq');
+        expect(slugify('a '.repeat(100))).toHaveLength(79);
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads quoted fields with commas, quotes and newlines', () => {
+        expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n,last')).toEqual([
+            ['a', 'b'],
+            ['x, y', 'say "hi"\nthere'],
+            ['', 'last'],
+        ]);
+    });
+});
+
+describe('parseFaqFile', () => {
+    it('reads the same FAQs from every format', () => {
+        ['json', 'csv'].forEach((format) => {
+            const { entries: parsed, issues } = parseFaqFile(`faqs.${format}`, formatFaqs([prayer, fasting], format));
+            expect(issues).toEqual([]);
+            expect(parsed.map(entry => entry.fields)).toEqual([prayer, fasting]);
+        });
+
+        [prayer, fasting].forEach((faq) => {
+            const { entries: parsed, issues } = parseFaqFile(`${faq.slug}.md`, formatFaqs([faq], 'md'));
+            expect(issues).toEqual([]);
+            expect(parsed).toEqual([{ source: `${faq.slug}.md`, fields: faq }]);
+        });
+    });
+
+    it('reads hand-written Markdown and CSV', () => {
+        const markdown = [
+            '---',
+            'category: Prayer',
+            'question: "How should I pray?"',
+            'summary: Simply and honestly.',
+            'scriptures: [Matthew 6:9-13, "1 Thessalonians 5:17"]',
+            '---',
+            '',
+            'Jesus taught his disciples the **Lord\'s Prayer**.',
+            '',
+        ].join('\n');
+
+        expect(parseFaqFile('prayer.md', markdown).entries[0].fields).toEqual({
+            category: 'Prayer',
+            question: 'How should I pray?',
+            answer_json: {
+                summary: 'Simply and honestly.',
+                detailed: 'Jesus taught his disciples the **Lord\'s Prayer**.',
+                scriptures: ['Matthew 6:9-13', '1 Thessalonians 5:17'],
+            },
+        });
+
+        const csv = '\uFEFFCategory,Question,Summary,Detailed,Scriptures\nPrayer,How should I pray?,Simply.,At length.,Matthew 6:9-13;  John 17:1\n,,,,\n';
+        const { entries: parsed } = parseFaqFile('faqs.csv', csv);
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toMatchObject({
+            source: 'faqs.csv row 2',
+            fields: { category: 'Prayer', answer_json: { scriptures: ['Matthew 6:9-13', 'John 17:1'] } },
+        });
+    });
+
+    it('reports files it cannot read', () => {
+        expect(parseFaqFile('faqs.txt', '').issues).toEqual(['faqs.txt: not a .json, .csv or .md file']);
+        expect(parseFaqFile('faqs.json', '{"faq": []}').issues).toEqual(['faqs.json: should be an array of FAQs or { "faqs": [...] }']);
+        expect(parseFaqFile('faqs.json', '[').issues[0]).toMatch(/^faqs\.json: /);
+        expect(parseFaqFile('faqs.csv', 'question,answer\n').issues).toEqual([
+            'faqs.csv: "answer" is not a column (expected slug, category, question, summary, detailed, scriptures)',
+            'faqs.csv: the "category" column is missing',
+            'faqs.csv: the "summary" column is missing',
+            'faqs.csv: the "detailed" column is missing',
+        ]);
+        expect(parseFaqFile('a.md', 'No front matter').issues).toEqual(['a.md: should start with front matter between "---" lines']);
+        expect(parseFaqFile('a.md', '---\ntitle: x\njust text\n---\nBody').issues).toEqual([
+            'a.md: front matter line 3 should be "key: value"',
+            'a.md: "title" is not a front matter key (expected slug, category, question, summary, scriptures)',
+        ]);
+    });
+});
+
+describe('importFaqs', () => {
+    it('creates drafts, updates changed FAQs by slug and leaves the rest alone', async () => {
+        await createContent('faqs', prayer);
+
+        const result = await importFaqs(entries(
+            { ...prayer, answer_json: { ...prayer.answer_json, summary: 'Honestly.' } },
+            fasting,
+        ));
+
+        expect(result).toEqual({ issues: [], created: ['should-christians-fast'], updated: ['how-should-i-pray'], unchanged: [] });
+        expect(db.faqs.map(row => [row.slug, row.status, row.answer_json.summary])).toEqual([
+            ['how-should-i-pray', 'draft', 'Honestly.'],
+            ['should-christians-fast', 'draft', 'Jesus expected it.'],
+        ]);
+
+        const again = await importFaqs(entries(fasting), { publish: true });
+        expect(again).toMatchObject({ created: [], updated: [], unchanged: ['should-christians-fast'] });
+    });
+
+    it('derives missing slugs from the question and can publish new FAQs', async () => {
+        const { slug, ...withoutSlug } = fasting;
+
+        expect(await importFaqs(entries(withoutSlug), { publish: true })).toMatchObject({ created: [slug] });
+        expect(db.faqs[0]).toMatchObject({ slug, status: 'published' });
+    });
+
+    it('writes nothing when an entry is invalid or slugs repeat', async () => {
+        const result = await importFaqs(entries(
+            prayer,
+            { ...fasting, answer_json: { summary: 'Yes.' } },
+            { ...fasting, slug: 'How Should I Pray' },
+            { ...fasting, slug: prayer.slug },
+        ));
+
+        expect(result.issues).toEqual([
+            'faqs.json [1]: answer_json.detailed is required',
+            'faqs.json [2]: slug "How Should I Pray" should be lowercase words joined by hyphens, e.g. "how-should-i-pray"',
+            'faqs.json [3]: slug "how-should-i-pray" is also used by faqs.json [0]',
+        ]);
+        expect(db.faqs).toHaveLength(0);
+    });
+
+    it('only reports changes on a dry run', async () => {
+        expect(await importFaqs(entries(prayer), { dryRun: true })).toMatchObject({ created: ['how-should-i-pray'] });
+        expect(db.faqs).toHaveLength(0);
+    });
+});
+
+describe('exportFaqs', () => {
+    it('exports every FAQ by category and slug, ready to import again', async () => {
+        await importFaqs(entries(prayer, fasting));
+
+        const rows = await exportFaqs();
+        expect(rows.map(row => row.slug)).toEqual(['should-christians-fast', 'how-should-i-pray']);
+
+        const { entries: parsed } = parseFaqFile('faqs.json', formatFaqs(rows, 'json'));
+        expect(await importFaqs(parsed)).toMatchObject({ created: [], updated: [], unchanged: ['should-christians-fast', 'how-should-i-pray'] });
+    });
+});
@@ -0,0 +1,57 @@
+const { ensureValidAnswer, askGuide } = require('../services/guide');
+const { GUIDE_RESPONSE: MOCK_RESPONSE } = require('../providers/fixtures');
+const { ModelOutputError } = require('../utils/errors');
+
+/**
+ * Fake chat session that replies with the given raw outputs in order.
+ */
+const createChat = (...replies) => ({
+    sendMessage: jest.fn(async () => {
+        const text = replies.shift();
+        return { text };
+    }),
+});
+
+describe('Guide answer validation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    it('returns a valid answer without a repair pass', async () => {
+        const chat = createChat(JSON.stringify(MOCK_RESPONSE));
+
+        await expect(askGuide(chat, 'What is rest?')).resolves.toEqual(MOCK_RESPONSE);
+        expect(chat.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('repairs malformed output once', async () => {
+        const chat = createChat('{"title": "Rest", "interpretations": [', JSON.stringify(MOCK_RESPONSE));
+
+        await expect(askGuide(chat, 'What is rest?')).resolves.toEqual(MOCK_RESPONSE);
+        expect(chat.sendMessage).toHaveBeenCalledTimes(2);
+        expect(chat.sendMessage.mock.calls[1][0]).toMatch(/Output is not valid JSON/);
+    });
+
+    it('tells the model which fields were wrong', async () => {
+        const { application, ...incomplete } = MOCK_RESPONSE;
+        const chat = createChat(JSON.stringify(MOCK_RESPONSE));
+
+        await ensureValidAnswer(chat, JSON.stringify(incomplete));
+        expect(chat.sendMessage.mock.calls[0][0]).toContain('- response.application is required');
+    });
+
+    it('throws a ModelOutputError when the repair is still invalid', async () => {
+        const chat = createChat('not json', '{"title": ""}');
+
+        const error = await askGuide(chat, 'What is rest?').catch(e => e);
+        expect(error).toBeInstanceOf(ModelOutputError);
+        expect(error.status).toBe(502);
+        expect(error.code).toBe('INVALID_MODEL_OUTPUT');
+        expect(error.issues).toContain('response.title should not be empty');
+        expect(chat.sendMessage).toHaveBeenCalledTimes(2);
+    });
+});
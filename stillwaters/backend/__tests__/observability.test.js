@@ -0,0 +1,143 @@
+const { logger, withLogContext } = require('../utils/logger');
+const { recordRequest, recordModelCall, renderMetrics, resetMetrics } = require('../services/metrics');
+const { checkHealth } = require('../services/health');
+const { observeRequests } = require('../middleware/observability');
+const { createFixtureProvider } = require('../providers/fixture');
+const { CircuitBreaker } = require('../providers/resilience');
+
+describe('logger', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    it('writes one JSON line with the context fields', async () => {
+        await withLogContext({ requestId: 'req-1' }, async () => {
+            await Promise.resolve();
+            logger.info('request', { status: 200 });
+        });
+
+        expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({ level: 'info', msg: 'request', requestId: 'req-1', status: 200 });
+    });
+
+    it('serializes errors', () => {
+        logger.error('Model API error', { error: Object.assign(new Error('boom'), { status: 503 }) });
+
+        const entry = JSON.parse(console.error.mock.calls[0][0]);
+        expect(entry.error).toMatchObject({ name: 'Error', message: 'boom', status: 503 });
+        expect(entry).not.toHaveProperty('requestId');
+    });
+});
+
+describe('metrics', () => {
+    beforeEach(resetMetrics);
+
+    it('counts requests and fills latency buckets', () => {
+        recordRequest({ method: 'POST', route: '/api/chat', status: 200, durationMs: 300 });
+        recordRequest({ method: 'POST', route: '/api/chat', status: 200, durationMs: 40 });
+
+        const text = renderMetrics();
+        expect(text).toContain('stillwaters_http_requests_total{method="POST",route="/api/chat",status="200"} 2');
+        expect(text).toContain('stillwaters_http_request_duration_seconds_bucket{method="POST",route="/api/chat",le="0.05"} 1');
+        expect(text).toContain('stillwaters_http_request_duration_seconds_bucket{method="POST",route="/api/chat",le="0.5"} 2');
+        expect(text).toContain('stillwaters_http_request_duration_seconds_count{method="POST",route="/api/chat"} 2');
+    });
+
+    it('labels model calls by outcome', () => {
+        recordModelCall({ provider: 'gemini', feature: 'chat', ok: false, durationMs: 15000 });
+        expect(renderMetrics()).toContain('stillwaters_model_calls_total{provider="gemini",feature="chat",outcome="error"} 1');
+    });
+});
+
+describe('observeRequests', () => {
+    const run = (headers = {}) => {
+        const listeners = {};
+        const req = { method: 'GET', path: '/api/health', baseUrl: '', get: (name) => headers[name] };
+        const res = {
+            headers: {},
+            locals: {},
+            statusCode: 200,
+            writableFinished: true,
+            setHeader(name, value) { this.headers[name] = value; },
+            on: (event, listener) => { listeners[event] = listener; },
+        };
+        observeRequests(req, res, jest.fn());
+        return { req, res, close: () => listeners.close() };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('reuses a valid incoming request id and echoes it', () => {
+        const { req, res } = run({ 'X-Request-Id': 'abc-123' });
+        expect(req.id).toBe('abc-123');
+        expect(res.headers['X-Request-Id']).toBe('abc-123');
+    });
+
+    it('replaces unsafe request ids', () => {
+        const { req } = run({ 'X-Request-Id': 'bad id\n{"level":"error"}' });
+        expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('logs the request once it ends', () => {
+        const { req, res, close } = run();
+        res.locals.outcome = 'answered';
+        res.locals.provider = { name: 'fixture', model: 'fixture' };
+        close();
+
+        expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({
+            msg: 'request',
+            requestId: req.id,
+            status: 200,
+            route: 'unmatched',
+            outcome: 'answered',
+            provider: 'fixture',
+        });
+    });
+});
+
+describe('checkHealth', () => {
+    const client = (error = null) => ({
+        from: () => ({ select: () => ({ limit: async () => ({ error }) }) }),
+    });
+
+    it('is ok when the database and provider respond', async () => {
+        const health = await checkHealth({ provider: createFixtureProvider(), client: client() });
+
+        expect(health.status).toBe('ok');
+        expect(health.checks.database.status).toBe('up');
+        expect(health.checks.provider).toMatchObject({ status: 'up', name: 'fixture', circuit: 'closed' });
+    });
+
+    it('is degraded when the database fails or is not configured', async () => {
+        expect((await checkHealth({ provider: createFixtureProvider(), client: client({ message: 'down' }) })).status).toBe('degraded');
+        expect((await checkHealth({ provider: createFixtureProvider(), client: null })).checks.database.status).toBe('down');
+    });
+
+    it('reports the provider down while its circuit is open, without calling it', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        breaker.recordFailure();
+        const provider = { ...createFixtureProvider(), breaker, listModels: jest.fn() };
+
+        const health = await checkHealth({ provider, client: client() });
+        expect(health.checks.provider).toMatchObject({ status: 'down', circuit: 'open' });
+        expect(provider.listModels).not.toHaveBeenCalled();
+    });
+
+    it('times out slow checks', async () => {
+        const provider = { ...createFixtureProvider(), listModels: () => new Promise(() => { }) };
+
+        const health = await checkHealth({ provider, client: client(), timeoutMs: 10 });
+        expect(health.checks.provider).toMatchObject({ status: 'down', error: expect.stringContaining('10ms') });
+    });
+});
@@ -0,0 +1,171 @@
+const { createProvider } = require('../providers');
+const { createFixtureProvider } = require('../providers/fixture');
+const { createOpenAIProvider } = require('../providers/openai');
+const { createGeminiProvider } = require('../providers/gemini');
+const { withResilience, isProviderUnavailable } = require('../providers/resilience');
+const { ChatSession } = require('../providers/chatSession');
+const { GUIDE_RESPONSE } = require('../providers/fixtures');
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+};
+
+describe('createProvider', () => {
+    it('falls back to the fixture provider without a Gemini key', () => {
+        expect(createProvider({}).name).toBe('fixture');
+        expect(createProvider({ GEMINI_API_KEY: 'YOUR_GEMINI_API_KEY_HERE' }).name).toBe('fixture');
+    });
+
+    it('uses Gemini when a key is configured', () => {
+        const provider = createProvider({ GEMINI_API_KEY: 'key', GEMINI_MODEL: 'gemini-test' });
+        expect(provider.name).toBe('gemini');
+        expect(provider.model).toBe('gemini-test');
+    });
+
+    it('selects the provider named by LLM_PROVIDER', () => {
+        const provider = createProvider({ LLM_PROVIDER: 'openai', OPENAI_MODEL: 'local-model' });
+        expect(provider.name).toBe('openai');
+        expect(provider.model).toBe('local-model');
+    });
+
+    it('rejects unknown providers', () => {
+        expect(() => createProvider({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow('Unknown LLM_PROVIDER');
+    });
+});
+
+describe('gemini provider', () => {
+    const request = { system: '', messages: [{ role: 'user', text: 'What is rest?' }] };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reports transport failures as network errors the resilience layer retries', async () => {
+        const fetchFailed = Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) });
+        const fetch = jest.spyOn(global, 'fetch').mockRejectedValue(fetchFailed);
+        const provider = createGeminiProvider({ apiKey: 'key' });
+
+        const error = await provider.generate(request).catch(caught => caught);
+        expect(error.message).toMatch(/^\[GoogleGenerativeAI Error\]: Error fetching from .*: fetch failed$/);
+        expect(error.code).toBe('NETWORK_ERROR');
+        expect(isProviderUnavailable(error)).toBe(true);
+        await expect(collect(provider.stream(request))).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+
+        fetch.mockClear();
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        await expect(withResilience(provider, { retries: 1, wait: () => Promise.resolve() }).generate(request)).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the status of HTTP errors', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ error: { message: 'Overloaded' } }), { status: 503, statusText: 'Service Unavailable' }));
+
+        const error = await createGeminiProvider({ apiKey: 'key' }).generate(request).catch(caught => caught);
+        expect(error).toMatchObject({ status: 503 });
+        expect(error.code).toBeUndefined();
+        expect(isProviderUnavailable(error)).toBe(true);
+    });
+});
+
+describe('fixture provider', () => {
+    it('returns the same reply for the same request', async () => {
+        const provider = createFixtureProvider();
+        const request = { system: 'Be kind.', messages: [{ role: 'user', text: 'What is rest?' }] };
+
+        const first = await provider.generate(request);
+        const second = await provider.generate(request);
+        expect(first).toEqual(second);
+        expect(JSON.parse(first.text)).toEqual(GUIDE_RESPONSE);
+    });
+
+    it('streams the reply in chunks followed by usage', async () => {
+        const provider = createFixtureProvider({ chunkSize: 10 });
+        const events = await collect(provider.stream({ system: '', messages: [{ role: 'user', text: 'Hi' }] }));
+
+        const text = events.filter(e => e.type === 'text').map(e => e.text).join('');
+        expect(JSON.parse(text)).toEqual(GUIDE_RESPONSE);
+        expect(events[events.length - 1].type).toBe('usage');
+    });
+
+    it('uses the first matching fixture', async () => {
+        const provider = createFixtureProvider({
+            fixtures: [
+                { match: request => request.system === 'summarize', reply: 'A summary.' },
+                { match: () => true, reply: 'Fallback.' },
+            ],
+        });
+
+        expect((await provider.generate({ system: 'summarize', messages: [] })).text).toBe('A summary.');
+        expect((await provider.generate({ system: 'other', messages: [] })).text).toBe('Fallback.');
+    });
+});
+
+describe('ChatSession', () => {
+    it('keeps earlier turns in context and totals usage', async () => {
+        const provider = {
+            generate: jest.fn(async () => ({ text: 'reply', usage: { promptTokens: 10, responseTokens: 2 } })),
+        };
+        const chat = new ChatSession(provider, { system: 'sys', history: [{ role: 'user', text: 'earlier' }, { role: 'model', text: 'answer' }] });
+
+        await chat.sendMessage('first');
+        await chat.sendMessage('second');
+
+        expect(provider.generate.mock.calls[1][0].messages.map(m => m.text)).toEqual(['earlier', 'answer', 'first', 'reply', 'second']);
+        expect(chat.usage).toEqual({ promptTokens: 20, responseTokens: 4 });
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    it('sends the system prompt and maps roles', async () => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content: '{"ok":true}' } }], usage: { prompt_tokens: 12, completion_tokens: 3 } }),
+        }));
+        const provider = createOpenAIProvider({ apiKey: 'sk-test', baseUrl: 'http://llm.local/v1/', model: 'm' });
+
+        const result = await provider.generate({
+            system: 'sys',
+            json: true,
+            messages: [{ role: 'user', text: 'q1' }, { role: 'model', text: 'a1' }, { role: 'user', text: 'q2' }],
+        });
+
+        const [url, init] = global.fetch.mock.calls[0];
+        const body = JSON.parse(init.body);
+        expect(url).toBe('http://llm.local/v1/chat/completions');
+        expect(init.headers.Authorization).toBe('Bearer sk-test');
+        expect(body.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(body.response_format).toEqual({ type: 'json_object' });
+        expect(result).toEqual({ text: '{"ok":true}', usage: { promptTokens: 12, responseTokens: 3 } });
+    });
+
+    it('parses streamed chunks split across network reads', async () => {
+        const encoder = new TextEncoder();
+        const reads = [
+            'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+            'ces":[{"delta":{"content":"lo"}}]}\n\n',
+            'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}\n\ndata: [DONE]\n\n',
+        ].map(text => encoder.encode(text));
+        global.fetch = jest.fn(async () => ({ ok: true, body: reads }));
+        const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+        const events = await collect(provider.stream({ system: '', messages: [{ role: 'user', text: 'Hi' }] }));
+        expect(events).toEqual([
+            { type: 'text', text: 'Hel' },
+            { type: 'text', text: 'lo' },
+            { type: 'usage', usage: { promptTokens: 5, responseTokens: 2 } },
+        ]);
+    });
+
+    it('surfaces HTTP errors with their status', async () => {
+        global.fetch = jest.fn(async () => ({ ok: false, status: 503, text: async () => 'overloaded' }));
+        const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+        await expect(provider.generate({ system: '', messages: [] })).rejects.toMatchObject({ status: 503 });
+    });
+});
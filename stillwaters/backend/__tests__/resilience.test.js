@@ -0,0 +1,194 @@
+const { CircuitBreaker, withResilience, isRetryable, isProviderUnavailable } = require('../providers/resilience');
+const { ModelOutputError } = require('../utils/errors');
+
+const request = { system: '', messages: [{ role: 'user', text: 'What is rest?' }] };
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+const noWait = () => Promise.resolve();
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+};
+
+describe('isRetryable', () => {
+    it('retries rate limits, server errors, timeouts and network failures', () => {
+        expect(isRetryable(httpError(429))).toBe(true);
+        expect(isRetryable(httpError(503))).toBe(true);
+        expect(isRetryable(Object.assign(new Error('slow'), { code: 'TIMEOUT' }))).toBe(true);
+        expect(isRetryable(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+    });
+
+    it('does not retry bad requests', () => {
+        expect(isRetryable(httpError(400))).toBe(false);
+        expect(isRetryable(httpError(401))).toBe(false);
+    });
+
+    it('does not treat unusable answers as an outage', () => {
+        expect(isProviderUnavailable(new ModelOutputError(['bad']))).toBe(false);
+    });
+});
+
+describe('withResilience', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    it('retries transient failures with backoff', async () => {
+        const generate = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(httpError(429))
+            .mockResolvedValue({ text: 'ok' });
+        const wait = jest.fn(noWait);
+        const provider = withResilience({ name: 'test', generate }, { retries: 2, wait });
+
+        await expect(provider.generate(request)).resolves.toEqual({ text: 'ok' });
+        expect(generate).toHaveBeenCalledTimes(3);
+        expect(wait).toHaveBeenCalledTimes(2);
+        wait.mock.calls.forEach(([ms], attempt) => {
+            expect(ms).toBeGreaterThanOrEqual(0);
+            expect(ms).toBeLessThanOrEqual(250 * 2 ** attempt);
+        });
+    });
+
+    it('gives up after the retry budget', async () => {
+        const generate = jest.fn().mockRejectedValue(httpError(503));
+        const provider = withResilience({ generate }, { retries: 2, wait: noWait });
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ status: 503 });
+        expect(generate).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry bad requests', async () => {
+        const generate = jest.fn().mockRejectedValue(httpError(400));
+        const provider = withResilience({ generate }, { wait: noWait });
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ status: 400 });
+        expect(generate).toHaveBeenCalledTimes(1);
+    });
+
+    it('times out hung calls and aborts them', async () => {
+        let signal;
+        const generate = jest.fn((req) => {
+            signal = req.signal;
+            return new Promise(() => { });
+        });
+        const provider = withResilience({ generate }, { timeoutMs: 10, retries: 0 });
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ code: 'TIMEOUT' });
+        expect(signal.aborted).toBe(true);
+    });
+
+    it('retries a stream that fails before sending text', async () => {
+        let calls = 0;
+        const stream = async function* () {
+            calls += 1;
+            if (calls === 1) throw httpError(503);
+            yield { type: 'text', text: 'Peace' };
+            yield { type: 'usage', usage: { promptTokens: 1, responseTokens: 1 } };
+        };
+        const provider = withResilience({ stream }, { wait: noWait });
+
+        const events = await collect(provider.stream(request));
+        expect(events.map(event => event.type)).toEqual(['text', 'usage']);
+        expect(calls).toBe(2);
+    });
+
+    it('does not retry a stream after text was sent', async () => {
+        let calls = 0;
+        const stream = async function* () {
+            calls += 1;
+            yield { type: 'text', text: 'Pea' };
+            throw httpError(503);
+        };
+        const provider = withResilience({ stream }, { wait: noWait });
+
+        await expect(collect(provider.stream(request))).rejects.toMatchObject({ status: 503 });
+        expect(calls).toBe(1);
+    });
+
+    it('cancels the stream when the caller aborts', async () => {
+        let signal;
+        const stream = async function* (streamRequest) {
+            signal = streamRequest.signal;
+            yield { type: 'text', text: 'Pea' };
+            await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        };
+        const provider = withResilience({ stream }, { wait: noWait });
+        const caller = new AbortController();
+
+        const iterator = provider.stream({ ...request, signal: caller.signal })[Symbol.asyncIterator]();
+        await iterator.next();
+        const pending = iterator.next();
+        caller.abort();
+
+        await expect(pending).rejects.toThrow('aborted');
+        expect(signal.aborted).toBe(true);
+    });
+
+    it('cancels the provider when the consumer stops reading', async () => {
+        let signal;
+        const stream = async function* (streamRequest) {
+            signal = streamRequest.signal;
+            yield { type: 'text', text: 'Pea' };
+            yield { type: 'text', text: 'ce' };
+        };
+        const provider = withResilience({ stream }, { wait: noWait });
+
+        for await (const event of provider.stream(request)) {
+            expect(event.text).toBe('Pea');
+            break;
+        }
+        expect(signal.aborted).toBe(true);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    it('opens after consecutive failures and fails fast', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+        const generate = jest.fn().mockRejectedValue(httpError(503));
+        const provider = withResilience({ generate }, { retries: 0, breaker });
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ status: 503 });
+        await expect(provider.generate(request)).rejects.toMatchObject({ status: 503 });
+        expect(breaker.state).toBe('open');
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+        expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('lets one trial call through after the cooldown', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+        const generate = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValue({ text: 'ok' });
+        const provider = withResilience({ generate }, { retries: 0, breaker });
+
+        await expect(provider.generate(request)).rejects.toMatchObject({ status: 503 });
+        expect(breaker.state).toBe('open');
+
+        now = 1000;
+        expect(breaker.state).toBe('half-open');
+        await expect(provider.generate(request)).resolves.toEqual({ text: 'ok' });
+        expect(breaker.state).toBe('closed');
+    });
+
+    it('reopens when the trial call fails', () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+
+        now = 1000;
+        breaker.acquire();
+        expect(() => breaker.acquire()).toThrow('circuit open');
+        breaker.recordFailure();
+        expect(breaker.state).toBe('open');
+    });
+});
@@ -0,0 +1,113 @@
+const { parseGuideResponse, parseJson } = require('../services/responseSchema');
+const { GUIDE_RESPONSE: MOCK_RESPONSE } = require('../providers/fixtures');
+
+const validAnswer = () => JSON.parse(JSON.stringify(MOCK_RESPONSE));
+
+describe('parseJson', () => {
+    it('strips markdown code fences', () => {
+        const { value, errors } = parseJson('```json\n{"title": "Grace"}\n```');
+        expect(errors).toEqual([]);
+        expect(value).toEqual({ title: 'Grace' });
+    });
+
+    it('ignores chatter around the JSON object', () => {
+        const { value } = parseJson('Here is your answer: {"title": "Grace"} Blessings!');
+        expect(value).toEqual({ title: 'Grace' });
+    });
+
+    it('reports output without any JSON', () => {
+        const { value, errors } = parseJson('I am not sure how to answer that.');
+        expect(value).toBeNull();
+        expect(errors).toEqual(['Output does not contain a JSON object']);
+    });
+
+    it('reports truncated JSON', () => {
+        const { value, errors } = parseJson('{"title": "Grace", "interpretations": [{"view": "Grace is}');
+        expect(value).toBeNull();
+        expect(errors[0]).toMatch(/^Output is not valid JSON/);
+    });
+});
+
+describe('parseGuideResponse', () => {
+    it('accepts a complete answer', () => {
+        const { value, errors } = parseGuideResponse(JSON.stringify(validAnswer()));
+        expect(errors).toEqual([]);
+        expect(value).toEqual(MOCK_RESPONSE);
+    });
+
+    it('rejects an answer missing required fields', () => {
+        const answer = validAnswer();
+        delete answer.title;
+        delete answer.related_verses;
+
+        const { value, errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(value).toBeNull();
+        expect(errors).toEqual(['response.title is required', 'response.related_verses is required']);
+    });
+
+    it('rejects an empty interpretations array', () => {
+        const answer = { ...validAnswer(), interpretations: [] };
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.interpretations should have at least 1 item(s)']);
+    });
+
+    it('rejects an empty view', () => {
+        const answer = validAnswer();
+        answer.interpretations[0].view = '   ';
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.interpretations[0].view should not be empty']);
+    });
+
+    it('reports the path of a malformed scripture', () => {
+        const answer = validAnswer();
+        answer.interpretations[0].scriptures[0] = { reference: 'Psalm 23:2', text: 42 };
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual([
+            'response.interpretations[0].scriptures[0].translation is required',
+            'response.interpretations[0].scriptures[0].text should be a string, got number',
+        ]);
+    });
+
+    it('rejects related verses that are not strings', () => {
+        const answer = { ...validAnswer(), related_verses: 'Matthew 11:28' };
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.related_verses should be an array, got string']);
+    });
+
+    it('requires a tradition on every interpretation', () => {
+        const answer = validAnswer();
+        delete answer.interpretations[0].tradition;
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.interpretations[0].tradition is required']);
+    });
+
+    it('accepts several perspectives on a contested question', () => {
+        const answer = validAnswer();
+        answer.contested = true;
+        answer.interpretations = [
+            { ...answer.interpretations[0], tradition: 'Protestant' },
+            { ...answer.interpretations[0], tradition: 'Catholic' },
+        ];
+        const { value, errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual([]);
+        expect(value.interpretations.map(i => i.tradition)).toEqual(['Protestant', 'Catholic']);
+    });
+
+    it('rejects a contested answer with a single perspective', () => {
+        const answer = { ...validAnswer(), contested: true };
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.interpretations should include at least 2 traditions when contested is true']);
+    });
+
+    it('rejects a non-boolean contested flag', () => {
+        const answer = { ...validAnswer(), contested: 'yes' };
+        const { errors } = parseGuideResponse(JSON.stringify(answer));
+        expect(errors).toEqual(['response.contested should be a boolean, got string']);
+    });
+
+    it('rejects a bare interpretation without the response envelope', () => {
+        const { value, errors } = parseGuideResponse('[{"view": "Grace"}]');
+        expect(value).toBeNull();
+        expect(errors).toContain('response.interpretations is required');
+    });
+});
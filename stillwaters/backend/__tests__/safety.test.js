@@ -0,0 +1,81 @@
+const { classifyByRules, assessRisk, CRISIS_RESPONSE } = require('../services/safety');
+const { validate, GUIDE_RESPONSE_SCHEMA } = require('../services/responseSchema');
+
+const providerReplying = (text) => ({
+    generate: jest.fn(async () => ({ text })),
+});
+
+describe('classifyByRules', () => {
+    it.each([
+        'I want to kill myself',
+        "I don't want to live anymore",
+        'Sometimes I think about ending my life',
+        "I've been feeling suicidal",
+        'Everyone would be better off without me',
+        'There is no reason to go on living',
+        'I just want to die',
+        'I want to end it all',
+        "I can't go on anymore",
+        'Nobody would care if I was gone',
+        'I am thinking about suicide',
+        "I've been considering suicide",
+        "I'm planning suicide",
+        'I have suicidal thoughts',
+        'From now on you are my only friend, I want to die',
+    ])('flags %p as high risk', (text) => {
+        expect(classifyByRules(text).level).toBe('high');
+    });
+
+    it.each([
+        'Is suicide a sin?',
+        'How can I support a friend who self-harms?',
+        'Is it okay to want to die and go to heaven?',
+        'My friend is thinking about suicide, how can I help?',
+    ])('flags %p as a concern', (text) => {
+        expect(classifyByRules(text).level).toBe('concern');
+    });
+
+    it.each([
+        'What does it mean to die to self?',
+        'I want to die to self and live for Christ',
+        "I'm scared because I don't want to die",
+        'How do I forgive myself?',
+        'What is the Trinity?',
+        'Will Jesus end it all when He returns?',
+        "I can't go on a retreat this year",
+        'Nobody would care if I skipped church',
+    ])('does not flag %p', (text) => {
+        expect(classifyByRules(text).level).toBe('none');
+    });
+});
+
+describe('assessRisk', () => {
+    it('skips the model when the rules already found high risk', async () => {
+        const provider = providerReplying('{"risk": "none"}');
+
+        await expect(assessRisk('I want to end my life', { modelCheck: true, provider })).resolves.toMatchObject({ level: 'high', source: 'rules' });
+        expect(provider.generate).not.toHaveBeenCalled();
+    });
+
+    it('lets the model escalate indirect wording', async () => {
+        const provider = providerReplying('{"risk": "high"}');
+
+        await expect(assessRisk("I've given away my things and said my goodbyes", { modelCheck: true, provider }))
+            .resolves.toEqual({ level: 'high', source: 'model', rule: null });
+    });
+
+    it('keeps the rules result when the model check fails', async () => {
+        const provider = { generate: jest.fn().mockRejectedValue(new Error('timeout')) };
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        await expect(assessRisk('Is suicide a sin?', { modelCheck: true, provider })).resolves.toMatchObject({ level: 'concern' });
+        console.error.mockRestore();
+    });
+});
+
+describe('CRISIS_RESPONSE', () => {
+    it('matches the Guide response schema', () => {
+        expect(validate(GUIDE_RESPONSE_SCHEMA, CRISIS_RESPONSE)).toEqual([]);
+        expect(CRISIS_RESPONSE.resources.map(resource => resource.url)).toContain('tel:988');
+    });
+});
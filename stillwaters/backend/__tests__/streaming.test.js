@@ -0,0 +1,64 @@
+const { createViewExtractor, decodePartialString } = require('../services/streaming');
+
+// Feed text to a fresh extractor in the given chunks and collect what it emits
+const extract = (chunks) => {
+    const extractor = createViewExtractor();
+    const deltas = chunks.map(chunk => extractor.push(chunk));
+    return { deltas, view: deltas.join(''), text: extractor.text() };
+};
+
+// Every way of splitting `text` in two
+const splits = (text) => Array.from({ length: text.length - 1 }, (_, i) => [text.slice(0, i + 1), text.slice(i + 1)]);
+
+describe('decodePartialString', () => {
+    it('decodes up to the closing quote', () => {
+        expect(decodePartialString('Be still\\n\\t\\"and know\\"", "next": "x"')).toEqual({ value: 'Be still\n\t"and know"', complete: true });
+    });
+
+    it('decodes \\u escapes, including surrogate pairs', () => {
+        expect(decodePartialString('caf\\u00e9 \\ud83d\\ude4f"')).toEqual({ value: 'café 🙏', complete: true });
+    });
+
+    it.each([
+        ['Peace\\', 'Peace'],
+        ['Peace \\u00', 'Peace '],
+        ['Peace \\u00e', 'Peace '],
+    ])('stops before an incomplete escape in %p', (source, value) => {
+        expect(decodePartialString(source)).toEqual({ value, complete: false });
+    });
+});
+
+describe('createViewExtractor', () => {
+    const json = '{"title": "Rest", "interpretations": [{"tradition": "Reformed", "view": "Come to me, \\"all\\" who are weary.\\nI will give you rest \\u2014 caf\\u00e9 \\ud83d\\ude4f", "scriptures": []}, {"view": "second"}]}';
+    const view = 'Come to me, "all" who are weary.\nI will give you rest — café 🙏';
+
+    it('emits only the first view, whole', () => {
+        expect(extract([json])).toEqual({ deltas: [view], view, text: json });
+    });
+
+    it('emits the same view wherever the output is split', () => {
+        splits(json).forEach((chunks) => {
+            expect(extract(chunks).view).toBe(view);
+        });
+    });
+
+    it('emits the view a character at a time', () => {
+        const { deltas, text } = extract(json.split(''));
+        expect(deltas.join('')).toBe(view);
+        expect(text).toBe(json);
+    });
+
+    it('waits for the view key when it is split across chunks', () => {
+        const { deltas } = extract(['{"vi', 'ew"', ' :', ' "Hel', 'lo"}']);
+        expect(deltas).toEqual(['', '', '', 'Hel', 'lo']);
+    });
+
+    it('holds back escapes until they are complete', () => {
+        const { deltas } = extract(['{"view": "a\\', 'nb \\u00', 'e9"}']);
+        expect(deltas).toEqual(['a', '\nb ', 'é']);
+    });
+
+    it('emits nothing when there is no view', () => {
+        expect(extract(['{"title": ', '"Rest"}']).view).toBe('');
+    });
+});
@@ -0,0 +1,98 @@
+const { estimateCost, meterProvider } = require('../services/usage');
+const { createFixtureProvider } = require('../providers/fixture');
+
+describe('estimateCost', () => {
+    it('prices prompt and response tokens per million', () => {
+        expect(estimateCost('gemini-2.0-flash', { promptTokens: 1000000, responseTokens: 500000 })).toBeCloseTo(0.30);
+        expect(estimateCost('fixture', { promptTokens: 5000, responseTokens: 5000 })).toBe(0);
+    });
+
+    it('costs unknown models at zero and warns', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        expect(estimateCost('mystery-model', { promptTokens: 100, responseTokens: 100 })).toBe(0);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('mystery-model'));
+        console.warn.mockRestore();
+    });
+});
+
+describe('meterProvider', () => {
+    const request = { system: 'You are a guide.', messages: [{ role: 'user', text: 'What is rest?' }], json: true };
+    const user = { id: 'user-1' };
+
+    it('records generate calls', async () => {
+        const record = jest.fn();
+        const provider = meterProvider(createFixtureProvider(), { user, feature: 'chat', record });
+
+        const result = await provider.generate(request);
+        expect(record).toHaveBeenCalledWith({ user, feature: 'chat', provider: 'fixture', model: 'fixture', usage: result.usage });
+    });
+
+    it('records streamed calls once the usage event arrives', async () => {
+        const record = jest.fn();
+        const provider = meterProvider(createFixtureProvider(), { user, feature: 'chat', record });
+
+        const events = [];
+        for await (const event of provider.stream(request)) {
+            events.push(event);
+        }
+
+        expect(events.some(event => event.type === 'text')).toBe(true);
+        expect(record).toHaveBeenCalledTimes(1);
+        expect(record.mock.calls[0][0].usage.responseTokens).toBeGreaterThan(0);
+    });
+
+    it('keeps the wrapped provider\'s name and model', () => {
+        const provider = meterProvider(createFixtureProvider(), { feature: 'chat', record: jest.fn() });
+        expect(provider).toMatchObject({ name: 'fixture', model: 'fixture' });
+    });
+});
+
+describe('isOverBudget', () => {
+    const loadBudget = (rpc) => {
+        jest.resetModules();
+        jest.doMock('../services/supabase', () => ({ supabase: rpc ? { rpc } : null }));
+        return require('../services/budget');
+    };
+
+    afterEach(() => {
+        jest.dontMock('../services/supabase');
+    });
+
+    it('is never over budget without a ceiling', async () => {
+        const rpc = jest.fn();
+        const { isOverBudget } = loadBudget(rpc);
+
+        await expect(isOverBudget(null)).resolves.toBe(false);
+        expect(rpc).not.toHaveBeenCalled();
+    });
+
+    it('compares today\'s spend, including calls made since the last lookup, with the ceiling', async () => {
+        const rpc = jest.fn(async () => ({ data: '4.50', error: null }));
+        const { isOverBudget, noteSpend } = loadBudget(rpc);
+
+        await expect(isOverBudget(5)).resolves.toBe(false);
+        noteSpend(0.75);
+        await expect(isOverBudget(5)).resolves.toBe(true);
+        expect(rpc).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to this instance\'s spend when spend cannot be read', async () => {
+        const { isOverBudget, noteSpend } = loadBudget(jest.fn(async () => ({ data: null, error: new Error('down') })));
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        await expect(isOverBudget(5)).resolves.toBe(false);
+        noteSpend(5.25);
+        await expect(isOverBudget(5)).resolves.toBe(true);
+        console.error.mockRestore();
+    });
+
+    it('enforces the ceiling on this instance\'s spend without Supabase', async () => {
+        const { isOverBudget, noteSpend } = loadBudget(null);
+
+        noteSpend(3);
+        await expect(isOverBudget(5)).resolves.toBe(false);
+        noteSpend(2);
+        await expect(isOverBudget(5)).resolves.toBe(true);
+    });
+});
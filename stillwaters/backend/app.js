@@ -0,0 +1,57 @@
+const express = require('express');
+const cors = require('cors');
+const api = require('./routes/api');
+const adminRoutes = require('./routes/admin');
+const { observeRequests } = require('./middleware/observability');
+const { renderMetrics } = require('./services/metrics');
+const { ApiError, sendError } = require('./utils/errors');
+
+/**
+ * Express App
+ *
+ * Middleware and routes, without a listening server: index.js starts it
+ * (and Vercel imports it), and the HTTP tests in __tests__/app.test.js drive it directly.
+ *
+ * The API lives under /api/v1 (routes/api.js, and routes/admin.js for content management).
+ * The unversioned /api paths are an alias kept for app builds released before versioning;
+ * they answer the same way but mark responses as deprecated. The admin routes came after
+ * versioning and are not aliased.
+ */
+const app = express();
+
+// Middleware
+app.use(observeRequests);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json({ limit: '32kb' }));
+
+app.use('/api/v1', api, adminRoutes);
+app.use('/api', (req, res, next) => {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', '</api/v1>; rel="successor-version"');
+    next();
+}, api);
+
+/**
+ * Prometheus metrics (see services/metrics.js).
+ * When METRICS_TOKEN is set, requires `Authorization: Bearer <METRICS_TOKEN>`.
+ */
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'A valid metrics token is required.'));
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Body parser failures (malformed JSON, oversized payloads) in the standard error shape
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return sendError(res, new ApiError(413, 'PAYLOAD_TOO_LARGE', 'That message is too long to send.'));
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError(400, 'INVALID_REQUEST', 'Please send your question as JSON.', { field: 'body' }));
+    }
+    sendError(res, error);
+});
+
+module.exports = app;
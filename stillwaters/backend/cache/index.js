@@ -0,0 +1,49 @@
+const { createMemoryStore } = require('./memory');
+const { createSupabaseStore } = require('./supabase');
+
+/**
+ * Answer Cache Stores
+ *
+ * Where cached Guide answers live. Every store implements:
+ *
+ *   name: string                                  // 'memory' | 'supabase'
+ *   get(key) => Promise<Object|null>              // null when missing or expired
+ *   set(key, value, ttlSeconds) => Promise<void>
+ *
+ * Selected with ANSWER_CACHE_STORE ('memory' | 'supabase' | 'none', default 'memory').
+ */
+
+/**
+ * Create the store described by the environment.
+ *
+ * @param {Object} [env]
+ * @returns {Object|null} Store, or null when caching is disabled.
+ */
+const createCacheStore = (env = process.env) => {
+    const name = env.ANSWER_CACHE_STORE || 'memory';
+
+    switch (name) {
+        case 'none':
+            return null;
+        case 'memory':
+            return createMemoryStore({ maxEntries: parseInt(env.ANSWER_CACHE_MAX_ENTRIES, 10) || undefined });
+        case 'supabase':
+            return createSupabaseStore({ client: require('../services/supabase').supabase });
+        default:
+            throw new Error(`Unknown ANSWER_CACHE_STORE "${name}" (expected memory, supabase or none)`);
+    }
+};
+
+let store;
+
+/**
+ * The cache store configured for this process (created on first use).
+ *
+ * @returns {Object|null} Store, or null when caching is disabled.
+ */
+const getCacheStore = () => {
+    if (store === undefined) store = createCacheStore();
+    return store;
+};
+
+module.exports = { createCacheStore, getCacheStore };
@@ -0,0 +1,45 @@
+/**
+ * In-Memory Cache Store
+ *
+ * Default answer cache store: a Map in process memory with per-entry expiry and
+ * least-recently-used eviction. Each server instance (or serverless container)
+ * keeps its own copy, so hit rates are lower on Vercel than on a single server.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept before the least recently used is evicted.
+ * @param {() => number} [options.now] - Clock, overridable in tests.
+ */
+const createMemoryStore = ({ maxEntries = 500, now = Date.now } = {}) => {
+    // Map iteration order is insertion order, so re-inserting on read keeps the oldest entry first
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            entries.delete(key);
+            if (entry.expiresAt <= now()) return null;
+
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set: async (key, value, ttlSeconds) => {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        size: () => entries.size,
+    };
+};
+
+module.exports = { createMemoryStore };
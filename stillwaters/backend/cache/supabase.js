@@ -0,0 +1,48 @@
+/**
+ * Supabase Cache Store
+ *
+ * Keeps cached answers in the `answer_cache` table so every server instance
+ * shares them. Expired rows are ignored on read and overwritten on the next write.
+ */
+
+/**
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client with the service role key.
+ * @param {string} [options.table] - Table name.
+ * @param {() => number} [options.now] - Clock, overridable in tests.
+ */
+const createSupabaseStore = ({ client, table = 'answer_cache', now = Date.now }) => {
+    if (!client) {
+        throw new Error('ANSWER_CACHE_STORE=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    return {
+        name: 'supabase',
+
+        get: async (key) => {
+            const { data, error } = await client
+                .from(table)
+                .select('response, expires_at')
+                .eq('key', key)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data || new Date(data.expires_at).getTime() <= now()) return null;
+            return data.response;
+        },
+
+        set: async (key, value, ttlSeconds) => {
+            const { error } = await client
+                .from(table)
+                .upsert({
+                    key,
+                    response: value,
+                    expires_at: new Date(now() + ttlSeconds * 1000).toISOString(),
+                });
+
+            if (error) throw error;
+        },
+    };
+};
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,145 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+const { supabase } = require('./services/supabase');
+const { MAX_DRAFTS, BATCH_SIZE, draftDevotionals } = require('./services/devotionalDrafts');
+const { listContent, publishContent, rejectContent } = require('./services/content');
+
+/**
+ * Devotionals
+ *
+ * Fills and reviews the devotional library behind the Daily Stream. Drafts are written
+ * by the configured model (LLM_PROVIDER / GEMINI_API_KEY / OPENAI_*) and only reach the
+ * app once approved. Needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in backend/.env.
+ *
+ * Usage: npm run devotionals -- <command>
+ *   draft --theme "rest" [--count 5]   draft devotionals around a theme
+ *   draft --book "Philippians"         ... or through a book of the Bible
+ *   review                             print the drafts awaiting review
+ *   approve <id> [<id>...]             publish drafts into the rotation
+ *   approve <id> --date YYYY-MM-DD     ... or for one day
+ *   reject <id> [<id>...]              keep drafts out of the app
+ *   status                             how many devotionals are in the rotation
+ */
+const USAGE = 'Usage: npm run devotionals -- draft --theme "..." | --book "..." [--count N] | review | approve <id...> [--date YYYY-MM-DD] | reject <id...> | status';
+
+/**
+ * Split arguments into `--name value` options and the rest.
+ *
+ * @param {string[]} args
+ * @returns {{options: Object<string, string>, rest: string[]}}
+ */
+const parseArgs = (args) => {
+    const options = {};
+    const rest = [];
+    for (let i = 0; i < args.length; i += 1) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i += 1;
+        } else {
+            rest.push(args[i]);
+        }
+    }
+    return { options, rest };
+};
+
+const describe = (devotional) => `${devotional.id}  ${devotional.title} (${devotional.scripture_json?.reference})`;
+
+const draft = async ({ theme, book, count }) => {
+    const { drafts, skipped } = await draftDevotionals({
+        theme,
+        book,
+        count: count === undefined ? BATCH_SIZE : parseInt(count, 10),
+    });
+
+    console.log(`Drafted ${drafts.length} devotional(s) for review:`);
+    drafts.forEach(devotional => console.log(`  ${describe(devotional)}`));
+    if (skipped.length > 0) {
+        console.log(`\nSkipped ${skipped.length}:`);
+        skipped.forEach(({ title, reference, reason }) => console.log(`  ${title} (${reference || 'no reference'}): ${reason}`));
+    }
+    console.log('\nRead them with `npm run devotionals -- review`.');
+};
+
+const review = async () => {
+    const drafts = await listContent('devotionals', { status: 'draft' });
+    if (drafts.length === 0) {
+        console.log('No drafts awaiting review.');
+        return;
+    }
+
+    drafts.forEach((devotional) => {
+        const { reference, text, translation } = devotional.scripture_json;
+        console.log(`\n=== ${devotional.id} ===`);
+        console.log(devotional.title);
+        console.log(`\n"${text}"\n— ${reference} (${translation})`);
+        console.log(`\n${devotional.content}`);
+        console.log(`\nPrayer: ${devotional.prayer}`);
+    });
+    console.log(`\n${drafts.length} draft(s). Approve or reject them by id.`);
+};
+
+const approve = async (ids, { date }) => {
+    if (date && ids.length > 1) throw new Error('--date schedules a single devotional');
+    for (const id of ids) {
+        const devotional = await publishContent('devotionals', id, { date });
+        console.log(`Approved ${describe(devotional)}${date ? ` for ${date}` : ''}`);
+    }
+};
+
+const reject = async (ids) => {
+    for (const id of ids) {
+        const devotional = await rejectContent('devotionals', id);
+        console.log(`Rejected ${describe(devotional)}`);
+    }
+};
+
+const status = async () => {
+    const published = await listContent('devotionals', { status: 'published' });
+    const drafts = await listContent('devotionals', { status: 'draft' });
+    const today = new Date().toISOString().substring(0, 10);
+    const inRotation = published.filter(devotional => !devotional.scheduled_for);
+    const scheduled = published.filter(devotional => devotional.scheduled_for >= today);
+
+    console.log(`In the rotation: ${inRotation.length}`);
+    console.log(`Scheduled from today: ${scheduled.length}`);
+    console.log(`Drafts awaiting review: ${drafts.length}`);
+    if (inRotation.length === 0 && scheduled.length === 0) {
+        console.log('\nNo devotionals are published: the app shows "No Stream for Today". Draft some with `npm run devotionals -- draft`.');
+    }
+};
+
+async function devotionals() {
+    try {
+        if (!supabase) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+        }
+
+        const [command, ...args] = process.argv.slice(2);
+        const { options, rest } = parseArgs(args);
+        switch (command) {
+            case 'draft':
+                await draft(options);
+                break;
+            case 'review':
+                await review();
+                break;
+            case 'approve':
+            case 'reject':
+                if (rest.length === 0) throw new Error(`Give the id of at least one devotional to ${command}`);
+                await (command === 'approve' ? approve(rest, options) : reject(rest));
+                break;
+            case 'status':
+                await status();
+                break;
+            default:
+                console.log(USAGE);
+                console.log(`Drafts are written ${BATCH_SIZE} per model call, at most ${MAX_DRAFTS} at a time.`);
+                if (command) process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error managing devotionals:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+devotionals();
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+// quiet: exports may be written to stdout
+require('dotenv').config({ path: path.resolve(__dirname, '.env'), quiet: true });
+const { supabase } = require('./services/supabase');
+const { formatOf, parseFaqFile, formatFaqs, importFaqs, exportFaqs } = require('./services/faqFiles');
+
+/**
+ * FAQs
+ *
+ * Imports "The Well" FAQs from JSON, CSV or Markdown files into the `faqs` table and
+ * exports the table back out, so FAQ content can be seeded and reviewed in git. File
+ * formats are described in services/faqFiles.js. Needs SUPABASE_URL and
+ * SUPABASE_SERVICE_ROLE_KEY in backend/.env.
+ *
+ * Usage: npm run faqs -- <command>
+ *   import <file or folder>... [--publish] [--dry-run]
+ *       create or update FAQs by slug; new ones are drafts unless --publish
+ *   export [--format json|csv|md] [--out <path>]
+ *       json or csv to a file (or stdout), md as one file per FAQ in the --out folder
+ */
+const USAGE = 'Usage: npm run faqs -- import <file or folder>... [--publish] [--dry-run] | export [--format json|csv|md] [--out <path>]';
+
+const FLAGS = ['publish', 'dry-run'];
+
+/**
+ * Split arguments into flags, `--name value` options and the rest.
+ *
+ * @param {string[]} args
+ * @returns {{options: Object, rest: string[]}}
+ */
+const parseArgs = (args) => {
+    const options = {};
+    const rest = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+        if (name && FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (name) {
+            options[name] = args[i + 1];
+            i += 1;
+        } else {
+            rest.push(args[i]);
+        }
+    }
+    return { options, rest };
+};
+
+// Files to import: the ones given, and the FAQ files in the folders given (sorted, not recursive)
+const listFiles = (targets) => targets.flatMap((target) => {
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs.readdirSync(target)
+        .filter(name => formatOf(name))
+        .sort()
+        .map(name => path.join(target, name));
+});
+
+const importCommand = async (targets, options) => {
+    const parsed = listFiles(targets).map(file => parseFaqFile(file, fs.readFileSync(file, 'utf8')));
+    const entries = parsed.flatMap(file => file.entries);
+    const fileIssues = parsed.flatMap(file => file.issues);
+
+    const result = fileIssues.length > 0
+        ? { issues: fileIssues }
+        : await importFaqs(entries, { publish: options.publish, dryRun: options['dry-run'] });
+    if (result.issues.length > 0) {
+        console.error(`Nothing was imported. Fix these first:\n${result.issues.map(issue => `  ${issue}`).join('\n')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const prefix = options['dry-run'] ? 'Would have ' : '';
+    [['created', result.created], ['updated', result.updated]].forEach(([action, slugs]) => {
+        console.log(`${prefix}${action} ${slugs.length}${slugs.length > 0 ? `: ${slugs.join(', ')}` : ''}`);
+    });
+    console.log(`Unchanged: ${result.unchanged.length}`);
+    if (result.created.length > 0 && !options.publish) {
+        console.log('New FAQs are drafts; publish them through the admin API or import again with --publish.');
+    }
+};
+
+const exportCommand = async ({ format = 'json', out }) => {
+    if (!['json', 'csv', 'md'].includes(format)) throw new Error('--format should be json, csv or md');
+    const rows = await exportFaqs();
+
+    if (format === 'md') {
+        if (!out) throw new Error('--out <folder> is required for md');
+        fs.mkdirSync(out, { recursive: true });
+        rows.forEach(row => fs.writeFileSync(path.join(out, `${row.slug}.md`), formatFaqs([row], 'md')));
+        console.log(`Exported ${rows.length} FAQ(s) to ${out}`);
+        return;
+    }
+
+    const text = formatFaqs(rows, format);
+    if (!out) {
+        process.stdout.write(text);
+        return;
+    }
+    fs.writeFileSync(out, text);
+    console.log(`Exported ${rows.length} FAQ(s) to ${out}`);
+};
+
+async function faqs() {
+    try {
+        if (!supabase) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+        }
+
+        const [command, ...args] = process.argv.slice(2);
+        const { options, rest } = parseArgs(args);
+        switch (command) {
+            case 'import':
+                if (rest.length === 0) throw new Error('Give at least one file or folder to import');
+                await importCommand(rest, options);
+                break;
+            case 'export':
+                await exportCommand(options);
+                break;
+            default:
+                console.log(USAGE);
+                if (command) process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error managing FAQs:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+faqs();
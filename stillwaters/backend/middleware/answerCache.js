@@ -0,0 +1,35 @@
+const { isCacheable, cacheKey, getCachedAnswer } = require('../services/answerCache');
+const { openEventStream } = require('../services/streaming');
+const { attachStoredExchange } = require('../services/exchanges');
+
+/**
+ * Answer repeated opening questions from the cache.
+ *
+ * Runs before the rate limiter and daily quota, so a cached answer costs the
+ * user neither. On a miss, `req.answerCacheKey` is set so the route can store
+ * its answer. Cached answers are marked `cached: true` and saved to the conversation like any other.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.stream] - Reply as a Server-Sent Events `done` event (for /api/v1/chat/stream).
+ */
+const serveCachedAnswer = ({ stream = false } = {}) => async (req, res, next) => {
+    const { question, history, translation } = req.body || {};
+    if (!isCacheable(question, history)) return next();
+
+    const key = cacheKey(question, translation);
+    const cached = await getCachedAnswer(key);
+    if (!cached) {
+        req.answerCacheKey = key;
+        return next();
+    }
+
+    const answer = await attachStoredExchange(req, { ...cached, cached: true });
+    res.locals.outcome = 'cached';
+    if (stream) {
+        openEventStream(res)('done', answer);
+        return res.end();
+    }
+    res.json(answer);
+};
+
+module.exports = { serveCachedAnswer };
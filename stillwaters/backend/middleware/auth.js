@@ -0,0 +1,63 @@
+const { supabase } = require('../services/supabase');
+const { ApiError, sendError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Require Auth Middleware
+ *
+ * Expects the Supabase access token from the app's session in the
+ * `Authorization: Bearer <token>` header, verifies it with Supabase Auth
+ * and attaches the user to `req.user`.
+ *
+ * Responds with 401 UNAUTHORIZED when the token is missing, expired or invalid.
+ */
+const requireAuth = async (req, res, next) => {
+    try {
+        if (!supabase) {
+            throw new ApiError(503, 'AUTH_UNAVAILABLE', 'Sign-in is temporarily unavailable. Please try again later.');
+        }
+
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            throw new ApiError(401, 'UNAUTHORIZED', 'Please sign in to ask The Guide a question.');
+        }
+
+        const { data, error } = await supabase.auth.getUser(token);
+        // Network failures and Supabase outages are not the user's fault
+        if (error && (!error.status || error.status >= 500)) {
+            logger.error('Auth verification failed', { error });
+            throw new ApiError(503, 'AUTH_UNAVAILABLE', 'Sign-in is temporarily unavailable. Please try again later.');
+        }
+        if (error || !data?.user) {
+            throw new ApiError(401, 'UNAUTHORIZED', 'Your session has expired. Please sign in again.');
+        }
+
+        req.user = data.user;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Require Role Middleware
+ *
+ * Allows only users whose Supabase `app_metadata.role` is one of `roles`
+ * (app_metadata can only be set with the service role; user_metadata is
+ * editable by the user and never trusted here). Must run after `requireAuth`.
+ *
+ * Responds with 403 FORBIDDEN otherwise.
+ *
+ * @param {...string} roles - e.g. 'admin'
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    const role = req.user?.app_metadata?.role;
+    if (!roles.includes(role)) {
+        logger.warn('Forbidden by role', { userId: req.user?.id, role: role || null, required: roles });
+        return sendError(res, new ApiError(403, 'FORBIDDEN', 'You do not have access to this.'));
+    }
+    next();
+};
+
+module.exports = { requireAuth, requireRole };
@@ -0,0 +1,27 @@
+const { findConversation } = require('../services/exchanges');
+const { getConversationSummary } = require('../services/conversationSummary');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Resolve the conversation a chat request continues (`conversation_id` in the body)
+ * and attach it to `req.conversation`, with its rolling summary (if any) on
+ * `req.conversationSummary`, before any model call is made.
+ * Requests without one start a new conversation when their answer is saved.
+ *
+ * Responds with 404 CONVERSATION_NOT_FOUND when the conversation does not exist
+ * or belongs to another user. Must run after `requireAuth` and `validateChatRequest`.
+ */
+const loadConversation = async (req, res, next) => {
+    const conversationId = req.body.conversation_id;
+    if (!conversationId) return next();
+
+    try {
+        req.conversation = await findConversation(req.user, conversationId);
+        req.conversationSummary = await getConversationSummary(conversationId);
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = { loadConversation };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { logger, withLogContext } = require('../utils/logger');
+const { recordRequest, recordAnswer } = require('../services/metrics');
+
+// Incoming ids are reused only when they are short and plain, so they are safe to log and echo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Pick the outcome recorded for a request: how a Guide question was answered, as
+ * reported in `res.locals.outcome` (e.g. 'answered', 'cached', 'fallback'), or one derived from the status.
+ */
+const outcomeOf = (res) => {
+    if (res.locals.outcome) return res.locals.outcome;
+    if (!res.writableFinished) return 'aborted';
+    if (res.statusCode >= 500) return 'error';
+    return res.statusCode >= 400 ? 'rejected' : 'ok';
+};
+
+/**
+ * Request Observability Middleware
+ *
+ * - Assigns every request an id (the caller's `X-Request-Id` when valid, otherwise a new UUID),
+ *   exposes it as `req.id`, echoes it in the `X-Request-Id` response header and adds it to
+ *   every log line written while the request is handled.
+ * - When the response ends (or the client goes away), writes one structured `request` log
+ *   line with latency, status, outcome and the model provider used, and records request metrics.
+ *
+ * Chat routes set `res.locals.outcome` (also counted in the Guide answer metrics) and
+ * `res.locals.provider` ({ name, model }) for the log line.
+ */
+const observeRequests = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('close', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        // Route patterns, not raw paths, so unknown URLs cannot grow the metric labels
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const status = res.writableFinished ? res.statusCode : 499;
+        const outcome = outcomeOf(res);
+
+        recordRequest({ method: req.method, route, status, durationMs });
+        if (res.locals.outcome) recordAnswer(res.locals.outcome);
+        const log = status >= 500 ? logger.error : logger.info;
+        log('request', {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            route,
+            status,
+            durationMs: Math.round(durationMs),
+            outcome,
+            userId: req.user?.id,
+            provider: res.locals.provider?.name,
+            model: res.locals.provider?.model,
+        });
+    });
+
+    withLogContext({ requestId: req.id }, next);
+};
+
+module.exports = { observeRequests };
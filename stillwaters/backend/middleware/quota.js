@@ -0,0 +1,53 @@
+const rateLimit = require('express-rate-limit');
+const { getQuota } = require('../services/quota');
+const { isOverBudget } = require('../services/budget');
+const { ApiError, sendError } = require('../utils/errors');
+
+/**
+ * Burst limiter for chat requests, keyed on the authenticated user id
+ * (must run after `requireAuth`) so users behind a shared IP do not
+ * compete for the same allowance.
+ */
+const chatLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // limit each user to 10 requests per windowMs
+    keyGenerator: (req) => req.user.id,
+    handler: (req, res) => {
+        sendError(res, new ApiError(429, 'RATE_LIMITED', 'You are asking questions too quickly. Please try again in a little while.'));
+    },
+});
+
+/**
+ * Enforce the per-account daily question allowance.
+ * Attaches the current quota to `req.quota` for the route to use.
+ */
+const enforceDailyQuota = async (req, res, next) => {
+    try {
+        const quota = await getQuota(req.user);
+        if (quota.remaining <= 0) {
+            throw new ApiError(429, 'DAILY_LIMIT_REACHED', `You have used all ${quota.limit} of today's questions. Your allowance resets tomorrow.`, {
+                limit: quota.limit,
+                remaining: 0,
+                resetAt: quota.resetAt,
+            });
+        }
+
+        req.quota = quota;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Refuse new model calls once today's global spending ceiling is reached.
+ * Runs after the answer cache, so cached answers keep working in this degraded mode.
+ */
+const enforceSpendCeiling = async (req, res, next) => {
+    if (await isOverBudget()) {
+        return sendError(res, new ApiError(503, 'BUDGET_EXHAUSTED', 'The Guide is resting for today. Please come back tomorrow, or ask a question it has answered before.'));
+    }
+    next();
+};
+
+module.exports = { chatLimiter, enforceDailyQuota, enforceSpendCeiling };
@@ -0,0 +1,42 @@
+const { assessRisk, logSafetyEvent, CRISIS_RESPONSE, MODEL_CHECK_ENABLED } = require('../services/safety');
+const { openEventStream } = require('../services/streaming');
+const { attachStoredExchange } = require('../services/exchanges');
+const { meterProvider } = require('../services/usage');
+const { isOverBudget } = require('../services/budget');
+const { getProvider } = require('../providers');
+
+/**
+ * Screen the question for crisis and self-harm risk before anything else
+ * (cache, limits, model) sees it.
+ *
+ * High-risk questions get the crisis response directly and never count
+ * against the user's limits. For sensitive topics, `req.safety` is set so the
+ * route can attach crisis resources to the normal answer.
+ * The optional model check is skipped once the daily spending ceiling is reached.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.stream] - Reply as a Server-Sent Events `done` event (for /api/v1/chat/stream).
+ */
+const screenQuestion = ({ stream = false } = {}) => async (req, res, next) => {
+    const modelCheck = MODEL_CHECK_ENABLED && !(await isOverBudget());
+    const assessment = await assessRisk(req.body?.question, modelCheck
+        ? { modelCheck, provider: meterProvider(getProvider(), { user: req.user, feature: 'safety' }) }
+        : { modelCheck });
+    if (assessment.level === 'none') return next();
+
+    logSafetyEvent(req.user, assessment);
+    if (assessment.level !== 'high') {
+        req.safety = assessment;
+        return next();
+    }
+
+    res.locals.outcome = 'crisis';
+    const answer = await attachStoredExchange(req, CRISIS_RESPONSE);
+    if (stream) {
+        openEventStream(res)('done', answer);
+        return res.end();
+    }
+    res.json(answer);
+};
+
+module.exports = { screenQuestion };
@@ -0,0 +1,97 @@
+const { ApiError, sendError } = require('../utils/errors');
+const { detectInstructionOverride } = require('../services/promptGuard');
+const { logger } = require('../utils/logger');
+
+/**
+ * Chat Request Validation
+ *
+ * Checks the body of /api/v1/chat and /api/v1/chat/stream before any other work:
+ *   question     non-empty string, at most MAX_QUESTION_LENGTH characters
+ *   history      optional array of at most MAX_HISTORY_TURNS { role: 'user' | 'model', text } turns
+ *   translation  optional short translation code (e.g. "NIV")
+ *   conversation_id  optional id of the conversation this question continues
+ * and rejects questions that try to override The Guide's instructions.
+ */
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_HISTORY_TURNS = 40;
+const MAX_HISTORY_TEXT_LENGTH = 4000;
+const TRANSLATION_CODE = /^[A-Za-z0-9]{2,10}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (field, message) => new ApiError(400, 'INVALID_REQUEST', message, { field });
+
+/**
+ * @param {Object} body - Parsed request body.
+ * @returns {ApiError|null} The first problem found, or null when the body is valid.
+ */
+const findProblem = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return invalid('body', 'Please send your question as JSON.');
+    }
+
+    const { question, history, translation, conversation_id: conversationId } = body;
+    if (typeof question !== 'string' || !question.trim()) {
+        return invalid('question', 'Please enter a question for The Guide.');
+    }
+    if (question.trim().length > MAX_QUESTION_LENGTH) {
+        return invalid('question', `Please keep your question under ${MAX_QUESTION_LENGTH} characters.`);
+    }
+
+    if (history !== undefined) {
+        if (!Array.isArray(history) || history.length > MAX_HISTORY_TURNS) {
+            return invalid('history', 'The conversation history could not be read.');
+        }
+        const badTurn = history.some(turn => !turn
+            || !['user', 'model'].includes(turn.role)
+            || typeof turn.text !== 'string'
+            || turn.text.length > MAX_HISTORY_TEXT_LENGTH);
+        if (badTurn) {
+            return invalid('history', 'The conversation history could not be read.');
+        }
+    }
+
+    if (translation !== undefined && translation !== null && (typeof translation !== 'string' || !TRANSLATION_CODE.test(translation))) {
+        return invalid('translation', 'Unknown Bible translation.');
+    }
+
+    if (conversationId !== undefined && conversationId !== null && (typeof conversationId !== 'string' || !UUID.test(conversationId))) {
+        return invalid('conversation_id', 'That conversation could not be found. Please start a new one.');
+    }
+
+    return null;
+};
+
+/**
+ * Validate a chat request body. Trims the question on success.
+ */
+const validateChatRequest = (req, res, next) => {
+    const problem = findProblem(req.body);
+    if (problem) return sendError(res, problem);
+
+    req.body.question = req.body.question.trim();
+    next();
+};
+
+/**
+ * Reject questions (or earlier turns) that try to change The Guide's instructions.
+ * The client sends the history, so its 'model' turns are checked too: a forged one
+ * would otherwise reach the model as The Guide's own words.
+ * Runs after the crisis screen (middleware/safety.js), which answers high-risk messages first.
+ * Logged with the matched rule only, not the text.
+ */
+const rejectInstructionOverride = (req, res, next) => {
+    const texts = [req.body.question, ...(req.body.history || []).map(turn => turn.text)];
+    const rule = texts.map(detectInstructionOverride).find(Boolean);
+    if (!rule) return next();
+
+    logger.warn('Instruction override attempt', { userId: req.user?.id, rule });
+    sendError(res, new ApiError(400, 'UNSUPPORTED_REQUEST', 'The Guide can only help with questions of faith and life. Please rephrase your question.'));
+};
+
+module.exports = {
+    validateChatRequest,
+    rejectInstructionOverride,
+    MAX_QUESTION_LENGTH,
+    MAX_HISTORY_TURNS,
+    UUID,
+};
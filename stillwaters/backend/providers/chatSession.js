@@ -0,0 +1,75 @@
+/**
+ * Chat Session
+ *
+ * Provider-agnostic multi-turn chat. Keeps the running list of turns
+ * ({ role: 'user' | 'model', text }) so a follow-up message (e.g. the
+ * schema repair request) is answered with the full exchange in context.
+ *
+ * Token usage from every call is added up on `usage`.
+ */
+class ChatSession {
+    /**
+     * @param {Object} provider - An LLM provider (see providers/index.js).
+     * @param {Object} options
+     * @param {string} [options.system] - System instruction.
+     * @param {Array<{role: string, text: string}>} [options.history] - Prior turns.
+     * @param {boolean} [options.json] - Ask the provider for a JSON response.
+     */
+    constructor(provider, { system = '', history = [], json = false } = {}) {
+        this.provider = provider;
+        this.system = system;
+        this.json = json;
+        this.turns = [...history];
+        this.usage = { promptTokens: 0, responseTokens: 0 };
+    }
+
+    addUsage(usage) {
+        if (!usage) return;
+        this.usage.promptTokens += usage.promptTokens || 0;
+        this.usage.responseTokens += usage.responseTokens || 0;
+    }
+
+    request(text) {
+        return {
+            system: this.system,
+            json: this.json,
+            messages: [...this.turns, { role: 'user', text }],
+        };
+    }
+
+    /**
+     * Send a message and wait for the whole reply.
+     *
+     * @param {string} text
+     * @returns {Promise<{text: string, usage: Object}>}
+     */
+    async sendMessage(text) {
+        const result = await this.provider.generate(this.request(text));
+        this.turns.push({ role: 'user', text }, { role: 'model', text: result.text });
+        this.addUsage(result.usage);
+        return result;
+    }
+
+    /**
+     * Send a message and receive the reply as it is generated.
+     *
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops generation, e.g. when the client disconnects.
+     * @returns {AsyncGenerator<string>} Chunks of reply text.
+     */
+    async *sendMessageStream(text, { signal } = {}) {
+        let reply = '';
+        for await (const event of this.provider.stream({ ...this.request(text), ...(signal ? { signal } : {}) })) {
+            if (event.type === 'usage') {
+                this.addUsage(event.usage);
+            } else {
+                reply += event.text;
+                yield event.text;
+            }
+        }
+        this.turns.push({ role: 'user', text }, { role: 'model', text: reply });
+    }
+}
+
+module.exports = { ChatSession };
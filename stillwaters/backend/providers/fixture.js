@@ -0,0 +1,56 @@
+const { estimateTokens } = require('../services/conversation');
+const { DEFAULT_FIXTURES } = require('./fixtures');
+
+/**
+ * Fixture Provider
+ *
+ * Deterministic, offline provider: the same request always gets the same
+ * reply (see providers/fixtures.js). Used when no model is configured and in tests.
+ * Env: FIXTURE_LATENCY_MS (default 0) to simulate a slow network.
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.fixtures] - Fixtures to match requests against.
+ * @param {number} [options.latencyMs] - Delay before replying.
+ * @param {number} [options.chunkSize] - Characters per streamed chunk.
+ */
+const createFixtureProvider = ({ fixtures = DEFAULT_FIXTURES, latencyMs = 0, chunkSize = 24 } = {}) => {
+    const reply = (request) => {
+        const fixture = fixtures.find(candidate => candidate.match(request));
+        if (!fixture) {
+            throw new Error('No fixture matches this request');
+        }
+        return typeof fixture.reply === 'function' ? fixture.reply(request) : fixture.reply;
+    };
+
+    const usageFor = (request, text) => ({
+        promptTokens: estimateTokens(request.system) + request.messages.reduce((sum, message) => sum + estimateTokens(message.text), 0),
+        responseTokens: estimateTokens(text),
+    });
+
+    return {
+        name: 'fixture',
+        model: 'fixture',
+
+        generate: async (request) => {
+            if (latencyMs) await sleep(latencyMs);
+            const text = reply(request);
+            return { text, usage: usageFor(request, text) };
+        },
+
+        stream: async function* (request) {
+            const text = reply(request);
+            for (let i = 0; i < text.length; i += chunkSize) {
+                if (latencyMs) await sleep(latencyMs / 10);
+                yield { type: 'text', text: text.substring(i, i + chunkSize) };
+            }
+            yield { type: 'usage', usage: usageFor(request, text) };
+        },
+
+        listModels: async () => [{ id: 'fixture', description: 'Canned replies from providers/fixtures.js' }],
+    };
+};
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,128 @@
+/**
+ * Provider Fixtures
+ *
+ * Canned replies served by the fixture provider for local development,
+ * demos and tests. Each fixture decides whether it answers a request via
+ * `match(request)`; the first match wins and the last entry is the fallback.
+ */
+
+// The Guide's answer to any question
+const GUIDE_RESPONSE = {
+    title: "Rest Beside Quiet Waters",
+    contested: false,
+    interpretations: [
+        {
+            tradition: "Historic Christian",
+            view: "This verse speaks to the peace and restoration that God provides. 'Green pastures' symbolize abundance and rest, while 'quiet waters' represent a state of calm and refreshment for the soul.",
+            scriptures: [
+                {
+                    reference: "Psalm 23:2",
+                    text: "He makes me lie down in green pastures, he leads me beside quiet waters.",
+                    translation: "NIV"
+                }
+            ]
+        }
+    ],
+    application: "Set aside a few quiet minutes today to rest in God's presence and let Him restore your soul.",
+    related_verses: ["Matthew 11:28", "Isaiah 40:31"]
+};
+
+// A question the traditions answer differently, to exercise the perspective tabs
+const CONTESTED_RESPONSE = {
+    title: "The Meaning of Baptism",
+    contested: true,
+    interpretations: [
+        {
+            tradition: "Protestant",
+            view: "Many Protestant churches understand baptism as an outward sign of an inward grace already received by faith. It is a public confession that joins the believer to Christ's death and resurrection and to His church.",
+            scriptures: [
+                {
+                    reference: "Romans 6:4",
+                    text: "Therefore we were buried with him through baptism into death in order that, just as Christ was raised from the dead through the glory of the Father, we too may live a new life.",
+                    translation: "NIV"
+                }
+            ]
+        },
+        {
+            tradition: "Catholic",
+            view: "The Catholic Church teaches that baptism is a sacrament that truly washes away original sin and gives new birth in the Spirit, which is why infants are baptized into the family of God.",
+            scriptures: [
+                {
+                    reference: "John 3:5",
+                    text: "Jesus answered, \"Very truly I tell you, no one can enter the kingdom of God unless they are born of water and the Spirit.\"",
+                    translation: "NIV"
+                }
+            ]
+        },
+        {
+            tradition: "Orthodox",
+            view: "Orthodox Christians receive baptism by triple immersion as the beginning of theosis, immediately followed by chrismation and first communion, so the newly baptized shares fully in the life of the Church.",
+            scriptures: [
+                {
+                    reference: "Matthew 28:19",
+                    text: "Therefore go and make disciples of all nations, baptizing them in the name of the Father and of the Son and of the Holy Spirit.",
+                    translation: "NIV"
+                }
+            ]
+        }
+    ],
+    application: "Whatever your tradition, remember your baptism as God's claim on your life and live today as one raised to walk in newness of life.",
+    related_verses: ["Acts 2:38", "Galatians 3:27"]
+};
+
+const lastMessage = (request) => request.messages[request.messages.length - 1]?.text || '';
+
+// Rolling conversation summary (services/conversationSummary.js)
+const SUMMARY = 'The user has been asking how to find rest and peace in a busy season. The Guide pointed them to Matthew 11:28 and encouraged them to bring their weariness to God in prayer.';
+
+// Devotional drafts (services/devotionalDrafts.js); passages the request lists as used are left out
+const DEVOTIONAL_DRAFTS = [
+    {
+        title: "Be Still",
+        scripture: { reference: "Psalm 46:10", text: "Be still, and know that I am God." },
+        content: "Stillness is not the absence of trouble but the presence of trust. The psalmist wrote these words with nations in uproar around him, yet God's invitation was simply to stop and remember who He is.\n\nToday, before the noise of the day takes hold, pause for a moment. Let your hurry fall quiet, and let the knowledge of God steady your heart.",
+        prayer: "Lord, quiet my restless heart. Teach me to be still and to know that You are God, whatever today holds. Amen."
+    },
+    {
+        title: "Rest for the Weary",
+        scripture: { reference: "Matthew 11:28", text: "Come unto me, all ye that labour and are heavy laden, and I will give you rest." },
+        content: "Jesus does not ask the weary to try harder. He asks them to come. The rest He offers is not earned at the end of our striving; it is received at the start, from Him.\n\nWhatever you are carrying today, bring it to Him in prayer and set it down.",
+        prayer: "Jesus, I come to You tired and heavy laden. Give me Your rest, and teach me to carry only what You give me. Amen."
+    },
+    {
+        title: "Peace Beyond Understanding",
+        scripture: { reference: "Philippians 4:6-7", text: "Be careful for nothing; but in every thing by prayer and supplication with thanksgiving let your requests be made known unto God." },
+        content: "Paul wrote about peace from a prison cell. His answer to anxiety was not to ignore it but to turn each worry into a prayer, offered with thanksgiving.\n\nName your worries to God today, one by one, and thank Him for His care. His peace will guard your heart and mind.",
+        prayer: "Father, I bring You every worry I carry. Thank You for Your faithfulness; guard my heart and mind with Your peace. Amen."
+    },
+];
+
+const DEFAULT_FIXTURES = [
+    {
+        name: 'devotionals',
+        match: (request) => /^Write \d+ devotionals/.test(lastMessage(request)),
+        reply: (request) => {
+            const text = lastMessage(request);
+            const count = parseInt(text.match(/^Write (\d+)/)[1], 10);
+            const devotionals = DEVOTIONAL_DRAFTS.filter(draft => !text.includes(draft.scripture.reference));
+            return JSON.stringify({ devotionals: devotionals.slice(0, count) });
+        },
+    },
+    {
+        name: 'summary',
+        match: (request) => /<transcript>/.test(lastMessage(request)),
+        reply: () => SUMMARY,
+    },
+    {
+        name: 'guide-contested',
+        match: (request) => /baptis/i.test(lastMessage(request)),
+        reply: () => JSON.stringify(CONTESTED_RESPONSE),
+    },
+    {
+        name: 'guide',
+        match: () => true,
+        reply: () => JSON.stringify(GUIDE_RESPONSE),
+    },
+];
+
+module.exports = { GUIDE_RESPONSE, CONTESTED_RESPONSE, SUMMARY, DEVOTIONAL_DRAFTS, DEFAULT_FIXTURES };
@@ -0,0 +1,96 @@
+const { GoogleGenerativeAI, GoogleGenerativeAIError, GoogleGenerativeAIFetchError } = require('@google/generative-ai');
+
+/**
+ * Gemini Provider
+ *
+ * Google Gemini through the official SDK.
+ * Env: GEMINI_API_KEY, GEMINI_MODEL (default "gemini-2.0-flash").
+ */
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+const toContents = (messages) => messages.map(message => ({
+    role: message.role,
+    parts: [{ text: message.text }],
+}));
+
+const toUsage = (usageMetadata) => usageMetadata && {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    responseTokens: usageMetadata.candidatesTokenCount || 0,
+};
+
+// The SDK wraps transport failures (DNS, refused or reset connections) in a plain
+// GoogleGenerativeAIError without a code or cause
+const TRANSPORT_ERROR = /^\[GoogleGenerativeAI Error\]: (Error fetching from |Error reading from the stream)/;
+
+/**
+ * Give SDK errors the shape providers/resilience.js expects: HTTP errors keep their
+ * `status`, transport failures get `code` 'NETWORK_ERROR'.
+ *
+ * @param {Error} error
+ * @returns {Error}
+ */
+const toProviderError = (error) => {
+    if (error instanceof GoogleGenerativeAIError
+        && !(error instanceof GoogleGenerativeAIFetchError)
+        && !error.code
+        && TRANSPORT_ERROR.test(error.message)) {
+        error.code = 'NETWORK_ERROR';
+    }
+    return error;
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    const getModel = ({ system, json }) => genAI.getGenerativeModel({
+        model,
+        systemInstruction: system || undefined,
+        generationConfig: json ? { responseMimeType: 'application/json' } : undefined,
+    });
+
+    return {
+        name: 'gemini',
+        model,
+
+        generate: async (request) => {
+            try {
+                const result = await getModel(request).generateContent({ contents: toContents(request.messages) }, { signal: request.signal });
+                return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+            } catch (error) {
+                throw toProviderError(error);
+            }
+        },
+
+        stream: async function* (request) {
+            try {
+                const result = await getModel(request).generateContentStream({ contents: toContents(request.messages) }, { signal: request.signal });
+                for await (const chunk of result.stream) {
+                    yield { type: 'text', text: chunk.text() };
+                }
+                const response = await result.response;
+                yield { type: 'usage', usage: toUsage(response.usageMetadata) };
+            } catch (error) {
+                throw toProviderError(error);
+            }
+        },
+
+        listModels: async () => {
+            const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error?.message || `Gemini returned ${response.status}`);
+            }
+            return (data.models || []).map(item => ({
+                id: item.name.replace(/^models\//, ''),
+                description: (item.supportedGenerationMethods || []).join(', '),
+            }));
+        },
+    };
+};
+
+module.exports = { createGeminiProvider, toProviderError };
@@ -0,0 +1,87 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+const { withResilience, CircuitBreaker } = require('./resilience');
+
+/**
+ * LLM Providers
+ *
+ * Every model backend implements the same interface, so the rest of the
+ * backend never depends on a particular vendor SDK:
+ *
+ *   name: string                       // 'gemini' | 'openai' | 'fixture'
+ *   model: string                      // Model id used for requests
+ *   generate(request) => Promise<{ text, usage }>
+ *   stream(request) => AsyncIterable<{ type: 'text', text } | { type: 'usage', usage }>
+ *   listModels() => Promise<Array<{ id, description }>>
+ *
+ * where request = { system: string, messages: [{ role: 'user' | 'model', text }], json: boolean, signal?: AbortSignal }
+ * and usage = { promptTokens, responseTokens }. Providers should stop work when `signal` aborts.
+ *
+ * Selected with LLM_PROVIDER ('gemini' | 'openai' | 'fixture'). When unset, Gemini is used
+ * if GEMINI_API_KEY is configured and the fixture provider otherwise.
+ */
+const isConfigured = (value) => Boolean(value) && !/^YOUR_.*_HERE$/.test(value);
+
+/**
+ * Create the provider described by the environment.
+ *
+ * @param {Object} [env]
+ * @returns {Object} Provider
+ */
+const createProvider = (env = process.env) => {
+    const name = env.LLM_PROVIDER || (isConfigured(env.GEMINI_API_KEY) ? 'gemini' : 'fixture');
+
+    switch (name) {
+        case 'gemini':
+            if (!isConfigured(env.GEMINI_API_KEY)) {
+                throw new Error('LLM_PROVIDER=gemini requires GEMINI_API_KEY');
+            }
+            return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+        case 'openai':
+            return createOpenAIProvider({
+                apiKey: env.OPENAI_API_KEY,
+                baseUrl: env.OPENAI_BASE_URL || undefined,
+                model: env.OPENAI_MODEL || undefined,
+            });
+        case 'fixture':
+            return createFixtureProvider({ latencyMs: parseInt(env.FIXTURE_LATENCY_MS, 10) || 0 });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${name}" (expected gemini, openai or fixture)`);
+    }
+};
+
+const parseInteger = (value) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) ? number : undefined;
+};
+
+/**
+ * Timeout, retry and circuit breaker settings from the environment.
+ *
+ * @param {Object} [env]
+ * @returns {Object} Options for withResilience.
+ */
+const resilienceOptions = (env = process.env) => ({
+    timeoutMs: parseInteger(env.MODEL_TIMEOUT_MS),
+    retries: parseInteger(env.MODEL_MAX_RETRIES),
+    breaker: new CircuitBreaker({
+        failureThreshold: parseInteger(env.CIRCUIT_FAILURE_THRESHOLD),
+        cooldownMs: parseInteger(env.CIRCUIT_COOLDOWN_MS),
+    }),
+});
+
+let provider = null;
+
+/**
+ * The provider configured for this process (created on first use), with
+ * timeouts, retries and a circuit breaker (see providers/resilience.js).
+ *
+ * @returns {Object} Provider
+ */
+const getProvider = () => {
+    if (!provider) provider = withResilience(createProvider(), resilienceOptions());
+    return provider;
+};
+
+module.exports = { createProvider, getProvider, resilienceOptions };
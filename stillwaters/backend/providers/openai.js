@@ -0,0 +1,106 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Any HTTP API that implements OpenAI's `/chat/completions` and `/models`
+ * endpoints (OpenAI, Azure OpenAI proxies, OpenRouter, Groq, Together, Ollama, vLLM...).
+ * Env: OPENAI_API_KEY, OPENAI_BASE_URL (default "https://api.openai.com/v1"),
+ *      OPENAI_MODEL (default "gpt-4o-mini").
+ */
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const toMessages = ({ system, messages }) => [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...messages.map(message => ({
+        role: message.role === 'model' ? 'assistant' : 'user',
+        content: message.text,
+    })),
+];
+
+const toUsage = (usage) => usage && {
+    promptTokens: usage.prompt_tokens || 0,
+    responseTokens: usage.completion_tokens || 0,
+};
+
+/**
+ * Read `data:` payloads from a Server-Sent Events response body.
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readEventData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.startsWith('data:')) yield line.slice(5).trim();
+        }
+    }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.model]
+ */
+const createOpenAIProvider = ({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL }) => {
+    const root = baseUrl.replace(/\/$/, '');
+
+    const call = async (path, init = {}) => {
+        const response = await fetch(`${root}${path}`, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+        });
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`OpenAI-compatible API returned ${response.status}: ${body.substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    };
+
+    const completionBody = (request, stream) => JSON.stringify({
+        model,
+        messages: toMessages(request),
+        ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+    });
+
+    return {
+        name: 'openai',
+        model,
+
+        generate: async (request) => {
+            const response = await call('/chat/completions', { method: 'POST', body: completionBody(request, false), signal: request.signal });
+            const data = await response.json();
+            return { text: data.choices?.[0]?.message?.content || '', usage: toUsage(data.usage) };
+        },
+
+        stream: async function* (request) {
+            const response = await call('/chat/completions', { method: 'POST', body: completionBody(request, true), signal: request.signal });
+            for await (const data of readEventData(response.body)) {
+                if (data === '[DONE]') break;
+                const chunk = JSON.parse(data);
+                const text = chunk.choices?.[0]?.delta?.content;
+                if (text) yield { type: 'text', text };
+                if (chunk.usage) yield { type: 'usage', usage: toUsage(chunk.usage) };
+            }
+        },
+
+        listModels: async () => {
+            const response = await call('/models');
+            const data = await response.json();
+            return (data.data || []).map(item => ({ id: item.id, description: item.owned_by || '' }));
+        },
+    };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,202 @@
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Provider Resilience
+ *
+ * Wraps a provider so a slow or failing model cannot hang or flood the backend:
+ *
+ *   - Timeout: each attempt is aborted after `timeoutMs` (for streams: while waiting
+ *     for the first chunk and between chunks).
+ *   - Retries: timeouts, network errors and 408/429/5xx responses are retried up to
+ *     `retries` times with exponential backoff and full jitter. Streams are only
+ *     retried before any text has been sent on.
+ *   - Circuit breaker: after `failureThreshold` consecutive failed calls, calls fail
+ *     fast for `cooldownMs`; then one trial call decides whether to close it again.
+ *
+ * Errors thrown by the wrapper carry `code` 'TIMEOUT' or 'CIRCUIT_OPEN';
+ * `isProviderUnavailable` tells callers when to fall back instead of failing.
+ *
+ * Env: MODEL_TIMEOUT_MS (default 15000), MODEL_MAX_RETRIES (default 2),
+ *      CIRCUIT_FAILURE_THRESHOLD (default 5), CIRCUIT_COOLDOWN_MS (default 30000).
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// NETWORK_ERROR: transport failures as reported by the providers themselves (e.g. providers/gemini.js)
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'NETWORK_ERROR'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const providerError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Whether a failed call is worth trying again.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+    if (error.code === 'TIMEOUT') return true;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+    return NETWORK_ERROR_CODES.includes(error.code || error.cause?.code) || error.message === 'fetch failed';
+};
+
+/**
+ * Whether an error means the model is unavailable (as opposed to a bad request
+ * or an unusable answer), so the caller should serve a fallback.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isProviderUnavailable = (error) => !(error instanceof ApiError) && (error.code === 'CIRCUIT_OPEN' || isRetryable(error));
+
+/**
+ * Consecutive-failure circuit breaker.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit.
+     * @param {number} [options.cooldownMs] - How long the circuit stays open.
+     * @param {() => number} [options.now] - Clock, overridable in tests.
+     */
+    constructor({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /** 'closed' | 'open' | 'half-open' */
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return this.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    /**
+     * Reserve a call. Throws CIRCUIT_OPEN while open, and while a half-open trial is running.
+     */
+    acquire() {
+        const state = this.state;
+        if (state === 'open' || (state === 'half-open' && this.trialInFlight)) {
+            throw providerError('CIRCUIT_OPEN', 'Model provider is unavailable (circuit open)');
+        }
+        if (state === 'half-open') this.trialInFlight = true;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures += 1;
+        if (this.trialInFlight || this.failures >= this.failureThreshold) {
+            this.openedAt = this.now();
+        }
+        this.trialInFlight = false;
+    }
+}
+
+/**
+ * Race a promise against a timer that aborts the attempt.
+ */
+const withTimeout = (promise, timeoutMs, controller) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(providerError('TIMEOUT', `Model provider did not respond within ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {Object} provider - An LLM provider (see providers/index.js).
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries] - Extra attempts after the first.
+ * @param {number} [options.baseDelayMs] - Backoff before the first retry (upper bound, jittered).
+ * @param {CircuitBreaker} [options.breaker]
+ * @param {(ms: number) => Promise} [options.wait] - Delay function, overridable in tests.
+ * @returns {Object} Provider with the same interface.
+ */
+const withResilience = (provider, {
+    timeoutMs = 15000,
+    retries = 2,
+    baseDelayMs = 250,
+    breaker = new CircuitBreaker(),
+    wait = sleep,
+} = {}) => {
+    const backoff = (attempt) => wait(Math.random() * baseDelayMs * 2 ** attempt);
+
+    // Only upstream trouble counts against the breaker, not bad requests
+    const settle = (error) => {
+        if (error && isRetryable(error)) breaker.recordFailure();
+        else breaker.recordSuccess();
+    };
+
+    const generate = async (request) => {
+        for (let attempt = 0; ; attempt += 1) {
+            breaker.acquire();
+            const controller = new AbortController();
+            try {
+                const result = await withTimeout(provider.generate({ ...request, signal: controller.signal }), timeoutMs, controller);
+                settle(null);
+                return result;
+            } catch (error) {
+                settle(error);
+                if (attempt >= retries || !isRetryable(error)) throw error;
+                logger.warn('Model call failed, retrying', { provider: provider.name, attempt: attempt + 1, error });
+                await backoff(attempt);
+            }
+        }
+    };
+
+    async function* stream(request) {
+        for (let attempt = 0; ; attempt += 1) {
+            breaker.acquire();
+            const controller = new AbortController();
+            // The caller's signal (e.g. the client disconnected) stops the attempt too
+            const abort = () => controller.abort();
+            request.signal?.addEventListener('abort', abort);
+            if (request.signal?.aborted) abort();
+            const iterator = provider.stream({ ...request, signal: controller.signal })[Symbol.asyncIterator]();
+            let sentText = false;
+            let settled = false;
+            try {
+                while (true) {
+                    const { value, done } = await withTimeout(iterator.next(), timeoutMs, controller);
+                    if (done) break;
+                    if (value.type === 'text') sentText = true;
+                    yield value;
+                }
+                settled = true;
+                settle(null);
+                return;
+            } catch (error) {
+                settled = true;
+                settle(error);
+                if (sentText || request.signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+                logger.warn('Model stream failed, retrying', { provider: provider.name, attempt: attempt + 1, error });
+                await backoff(attempt);
+            } finally {
+                // The consumer stopped early: the provider was answering, so count it as healthy,
+                // and cancel the request so generation stops
+                if (!settled) {
+                    settle(null);
+                    controller.abort();
+                }
+                request.signal?.removeEventListener('abort', abort);
+                Promise.resolve(iterator.return?.()).catch(() => { });
+            }
+        }
+    }
+
+    return { ...provider, generate, stream, breaker };
+};
+
+module.exports = { CircuitBreaker, withResilience, isRetryable, isProviderUnavailable };
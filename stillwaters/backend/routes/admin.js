@@ -0,0 +1,88 @@
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const {
+    CONTENT_TYPES,
+    CONTENT_STATUSES,
+    listContent,
+    getContent,
+    createContent,
+    updateContent,
+    publishContent,
+    unpublishContent,
+    previewContent,
+} = require('../services/content');
+const { UUID } = require('../middleware/validation');
+const { ApiError, sendError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin Routes
+ *
+ * Content management for devotionals and FAQs, for users whose Supabase
+ * `app_metadata.role` is 'admin'. Mounted by app.js under /api/v1 only (not the
+ * deprecated /api alias), so the paths live under /api/v1/admin. For each type (`devotionals`, `faqs`):
+ *
+ *   GET    /admin/:type                 list (optionally ?status=draft|published|unpublished|rejected)
+ *   POST   /admin/:type                 create a draft
+ *   GET    /admin/:type/:id             one entry
+ *   PATCH  /admin/:type/:id             edit fields
+ *   GET    /admin/:type/:id/preview     the entry exactly as the app receives it
+ *   POST   /admin/:type/:id/publish     publish now or on a schedule ({ date } / { publish_at })
+ *   POST   /admin/:type/:id/unpublish   hide from the app
+ *
+ * See services/content.js for validation and publishing rules.
+ */
+const router = express.Router();
+
+router.use('/admin', requireAuth, requireRole('admin'));
+
+// Content ids are UUIDs; anything else would only fail in the database
+router.param('id', (req, res, next, id) => {
+    if (!UUID.test(id)) return sendError(res, new ApiError(400, 'INVALID_REQUEST', 'id should be a UUID.', { field: 'id' }));
+    next();
+});
+
+/**
+ * Run a content action and reply with its result. Changes are logged with the admin's id.
+ *
+ * @param {Function} action - (req) => Promise<Object>
+ * @param {Object} [options]
+ * @param {string} [options.audit] - Log line for changes, e.g. 'Content published'.
+ * @param {number} [options.status] - Success status (default 200).
+ */
+const handle = (action, { audit, status = 200 } = {}) => async (req, res) => {
+    try {
+        const result = await action(req);
+        if (audit) {
+            logger.info(audit, { type: req.contentType, contentId: result.id, userId: req.user.id });
+        }
+        res.status(status).json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+Object.keys(CONTENT_TYPES).forEach((type) => {
+    const base = `/admin/${type}`;
+    const forType = (req, res, next) => {
+        req.contentType = type;
+        next();
+    };
+
+    router.get(base, forType, handle((req) => {
+        const { status } = req.query;
+        if (status !== undefined && !CONTENT_STATUSES.includes(status)) {
+            throw new ApiError(400, 'INVALID_REQUEST', `status should be one of ${CONTENT_STATUSES.join(', ')}.`, { field: 'status' });
+        }
+        return listContent(type, { status });
+    }));
+
+    router.post(base, forType, handle(req => createContent(type, req.body), { audit: 'Content created', status: 201 }));
+    router.get(`${base}/:id`, forType, handle(req => getContent(type, req.params.id)));
+    router.patch(`${base}/:id`, forType, handle(req => updateContent(type, req.params.id, req.body), { audit: 'Content updated' }));
+    router.get(`${base}/:id/preview`, forType, handle(req => previewContent(type, req.params.id)));
+    router.post(`${base}/:id/publish`, forType, handle(req => publishContent(type, req.params.id, req.body || {}), { audit: 'Content published' }));
+    router.post(`${base}/:id/unpublish`, forType, handle(req => unpublishContent(type, req.params.id), { audit: 'Content unpublished' }));
+});
+
+module.exports = router;
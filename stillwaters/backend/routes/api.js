@@ -0,0 +1,238 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { chatLimiter, enforceDailyQuota, enforceSpendCeiling } = require('../middleware/quota');
+const { getQuota, recordQuestion } = require('../services/quota');
+const { startGuideChat, ensureValidAnswer, askGuide, streamGuide, UNAVAILABLE_RESPONSE } = require('../services/guide');
+const { getProvider } = require('../providers');
+const { isProviderUnavailable } = require('../providers/resilience');
+const { meterProvider } = require('../services/usage');
+const { createViewExtractor, openEventStream } = require('../services/streaming');
+const { verifyScriptures, lookupPassages, MAX_CONTEXT_VERSES } = require('../services/bible');
+const { cacheKey, getCachedAnswer, cacheAnswer } = require('../services/answerCache');
+const { serveCachedAnswer } = require('../middleware/answerCache');
+const { screenQuestion } = require('../middleware/safety');
+const { validateChatRequest, rejectInstructionOverride } = require('../middleware/validation');
+const { loadConversation } = require('../middleware/conversation');
+const { CRISIS_RESOURCES } = require('../services/safety');
+const { getHealth } = require('../services/health');
+const { attachStoredExchange } = require('../services/exchanges');
+const { ApiError, sendError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const openapi = require('../openapi.json');
+
+/**
+ * API Routes (v1)
+ *
+ * Mounted at /api/v1 by app.js (and at /api for older app builds).
+ * The request and response shapes are published in openapi.json, served at
+ * GET /api/v1/openapi.json; __tests__/contract.test.js keeps the two in step.
+ */
+const router = express.Router();
+
+// The API contract
+router.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+});
+
+/**
+ * Count an answered question against the user's daily allowance.
+ * A failure here should not cost the user the answer they already received.
+ */
+const trackQuestion = (user) => recordQuestion(user).catch((error) => {
+    logger.error('Usage tracking failed', { error });
+});
+
+/**
+ * Health check for uptime monitors and load balancers.
+ * 200 with status 'ok' when the database and model provider are reachable, 503 'degraded' otherwise.
+ */
+router.get('/health', async (req, res) => {
+    const health = await getHealth();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+const MAX_REFERENCE_LENGTH = 200;
+const TRANSLATION_CODE = /^[A-Za-z0-9]{2,10}$/;
+
+/**
+ * Read the query of a passage lookup.
+ *
+ * @param {Object} query - reference, optional translation and context.
+ * @returns {{reference: string, translation?: string, context?: number}}
+ * @throws {ApiError} 400 INVALID_REQUEST naming the bad field.
+ */
+const readPassageQuery = ({ reference, translation, context }) => {
+    const invalid = (field, message) => new ApiError(400, 'INVALID_REQUEST', message, { field });
+
+    if (typeof reference !== 'string' || !reference.trim() || reference.length > MAX_REFERENCE_LENGTH) {
+        throw invalid('reference', 'Please give a Bible reference, e.g. "John 3:16-18".');
+    }
+    if (translation !== undefined && (typeof translation !== 'string' || !TRANSLATION_CODE.test(translation))) {
+        throw invalid('translation', 'Unknown Bible translation.');
+    }
+    if (context !== undefined && !(typeof context === 'string' && /^\d+$/.test(context) && Number(context) <= MAX_CONTEXT_VERSES)) {
+        throw invalid('context', `context should be a whole number from 0 to ${MAX_CONTEXT_VERSES}.`);
+    }
+    return { reference, translation, context: context === undefined ? undefined : Number(context) };
+};
+
+/**
+ * Passage lookup: the text of a reference (e.g. a Guide answer's related verse or an
+ * FAQ scripture) with the verses around it, so any screen can expand it on tap.
+ * Public and cacheable: the bundled text is public domain and never changes.
+ * GET /scripture?reference=John 3:16-18&translation=KJV&context=2
+ */
+router.get('/scripture', (req, res) => {
+    try {
+        const { reference, ...options } = readPassageQuery(req.query);
+        const lookup = lookupPassages(reference, options);
+        res.set('Cache-Control', 'public, max-age=86400').json(lookup);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Remaining questions for today
+router.get('/chat/quota', requireAuth, async (req, res) => {
+    try {
+        res.json(await getQuota(req.user));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Store an answer for repeated questions when the cache middleware marked the request cacheable.
+ */
+const storeAnswer = (req, answer) => {
+    if (req.answerCacheKey) cacheAnswer(req.answerCacheKey, answer);
+};
+
+/**
+ * Finish a verified answer: attach crisis resources when the question touched
+ * on suicide or self-harm.
+ */
+const finalizeAnswer = (req, answer) => (req.safety ? { ...answer, resources: CRISIS_RESOURCES } : answer);
+
+/**
+ * Answer to serve while the model is unavailable: a cached answer to the same
+ * question if there is one (follow-ups skip the cache middleware), otherwise a gentle fallback.
+ */
+const fallbackAnswer = async (req) => {
+    const { question, translation } = req.body;
+    const cached = req.answerCacheKey ? null : await getCachedAnswer(cacheKey(question, translation));
+    return cached ? { ...cached, cached: true } : UNAVAILABLE_RESPONSE;
+};
+
+// Crisis screening comes before the instruction-override check, so a user in crisis
+// always gets the crisis resources, however the message is worded
+const checkQuestion = ({ stream = false } = {}) => [
+    validateChatRequest,
+    loadConversation,
+    screenQuestion({ stream }),
+    rejectInstructionOverride,
+];
+
+// Applied after the cache, so cached answers do not count against the limits
+const usageLimits = [enforceSpendCeiling, chatLimiter, enforceDailyQuota];
+
+/**
+ * Chat Endpoint
+ *
+ * Every answer (cached, crisis and fallback answers included) is saved with its question
+ * to the user's conversation, `conversation_id` or a new one, and returned with the
+ * stored rows (`conversation`, `messages`). The conversation is checked before screening,
+ * and its rolling summary is sent to the model with the question.
+ */
+router.post('/chat', requireAuth, ...checkQuestion(), serveCachedAnswer(), ...usageLimits, async (req, res) => {
+    const { question, history, translation } = req.body;
+
+    try {
+        // Every call made for this answer (including a repair pass) is recorded against the user
+        const provider = meterProvider(getProvider(), { user: req.user, feature: 'chat' });
+        res.locals.provider = { name: provider.name, model: provider.model };
+        const chat = startGuideChat(history, provider, { summary: req.conversationSummary?.summary });
+        const jsonResponse = finalizeAnswer(req, verifyScriptures(await askGuide(chat, question), translation));
+
+        trackQuestion(req.user);
+        storeAnswer(req, jsonResponse);
+        res.locals.outcome = 'answered';
+        res.json(await attachStoredExchange(req, jsonResponse));
+    } catch (error) {
+        if (isProviderUnavailable(error)) {
+            logger.warn('Model unavailable, serving fallback', { error: error.message });
+            res.locals.outcome = 'fallback';
+            return res.json(await attachStoredExchange(req, await fallbackAnswer(req)));
+        }
+        logger.error('Model API error', { error });
+        res.locals.outcome = 'error';
+        if (error instanceof ApiError) {
+            return sendError(res, error);
+        }
+        res.status(500).json({ error: 'Failed to fetch wisdom from the waters.', code: 'MODEL_ERROR' });
+    }
+});
+
+/**
+ * Streaming Chat Endpoint (Server-Sent Events)
+ *
+ * Emits the answer's `view` text as it is generated, then the full payload:
+ *   event: delta  data: { "text": "next piece of the view" }
+ *   event: done   data: { ...same payload as POST /chat, including the stored rows }
+ *   event: error  data: { "error": "...", "code": "MODEL_ERROR" }
+ *
+ * Auth and quota failures happen before the stream opens and use normal JSON errors.
+ * Cached answers and crisis responses are sent as a single `done` event.
+ * If the model is unavailable the `done` event carries a cached or fallback answer.
+ * If the client disconnects, generation is cancelled and nothing is saved.
+ */
+router.post('/chat/stream', requireAuth, ...checkQuestion({ stream: true }), serveCachedAnswer({ stream: true }), ...usageLimits, async (req, res) => {
+    const { question, history, translation } = req.body;
+    const send = openEventStream(res);
+
+    // Stop generating (and paying for) an answer nobody is waiting for
+    const disconnected = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) disconnected.abort();
+    });
+
+    try {
+        const provider = meterProvider(getProvider(), { user: req.user, feature: 'chat' });
+        res.locals.provider = { name: provider.name, model: provider.model };
+        const chat = startGuideChat(history, provider, { summary: req.conversationSummary?.summary });
+
+        const extractor = createViewExtractor();
+        for await (const chunk of streamGuide(chat, question, { signal: disconnected.signal })) {
+            disconnected.signal.throwIfAborted();
+            const delta = extractor.push(chunk);
+            if (delta) send('delta', { text: delta });
+        }
+        disconnected.signal.throwIfAborted();
+
+        const jsonResponse = finalizeAnswer(req, verifyScriptures(await ensureValidAnswer(chat, extractor.text()), translation));
+        trackQuestion(req.user);
+        storeAnswer(req, jsonResponse);
+        res.locals.outcome = 'answered';
+        send('done', await attachStoredExchange(req, jsonResponse));
+    } catch (error) {
+        if (disconnected.signal.aborted) {
+            // Logged as a 499 by the request log
+            logger.info('Client disconnected, stopped the answer stream', { userId: req.user?.id });
+            return;
+        }
+        if (isProviderUnavailable(error)) {
+            logger.warn('Model unavailable, serving fallback', { error: error.message });
+            res.locals.outcome = 'fallback';
+            send('done', await attachStoredExchange(req, await fallbackAnswer(req)));
+            return res.end();
+        }
+        logger.error('Model API error', { error });
+        res.locals.outcome = 'error';
+        send('error', error instanceof ApiError
+            ? { error: error.message, code: error.code }
+            : { error: 'Failed to fetch wisdom from the waters.', code: 'MODEL_ERROR' });
+    }
+    res.end();
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * In-memory stand-in for the Supabase admin client, used by the HTTP tests
+ * through `jest.mock('../services/supabase')`.
+ *
+ * Auth: "token-<id>" signs in as user <id> (an admin when <id> starts with "admin");
+ * any other token is an invalid session.
+ * `db.questionsToday` is the count every usage query returns, inserted rows
+ * are collected per table in `db.rows`, and `save_guide_exchange` keeps
+ * conversations and messages in `db.conversations` / `db.messages`.
+ * Conversation summaries live in `db.summaries`, and devotionals and FAQs in
+ * `db.devotionals` / `db.faqs` (rows inserted there get an id).
+ *
+ * Queries are built like supabase-js ones and run when awaited (or on
+ * `single` / `maybeSingle`); `select('a, b')` returns only those columns.
+ */
+const db = { questionsToday: 0, rows: {}, conversations: [], messages: [], summaries: [], devotionals: [], faqs: [] };
+
+let ids = 0;
+const nextId = () => `00000000-0000-4000-8000-${String(++ids).padStart(12, '0')}`;
+
+// Strictly increasing timestamps, so messages saved in the same millisecond keep their order
+let clock = 0;
+const tick = () => {
+    clock = Math.max(Date.now(), clock + 1);
+    return new Date(clock).toISOString();
+};
+
+const tables = {
+    conversations: () => db.conversations,
+    messages: () => db.messages,
+    conversation_summaries: () => db.summaries,
+    devotionals: () => db.devotionals,
+    faqs: () => db.faqs,
+};
+
+const query = (table) => {
+    const filters = [];
+    let columns = null;
+    let action = null;
+    let sort = null;
+
+    const stored = () => {
+        if (tables[table]) return tables[table]();
+        db.rows[table] = db.rows[table] || [];
+        return db.rows[table];
+    };
+    const project = (row) => (columns ? Object.fromEntries(columns.map(column => [column, row[column] ?? null])) : row);
+
+    const run = () => {
+        if (action?.type === 'insert') {
+            const inserted = action.rows.map(row => (tables[table] ? { id: nextId(), ...row } : row));
+            stored().push(...inserted);
+            return inserted;
+        }
+        const rows = stored().filter(row => filters.every(filter => filter(row)));
+        if (action?.type === 'update') {
+            rows.forEach(row => Object.assign(row, action.changes));
+        }
+        return sort ? [...rows].sort(sort) : rows;
+    };
+
+    const filter = (test) => (column, value) => {
+        filters.push(row => test(row[column], value));
+        return chain;
+    };
+
+    const chain = {
+        select: (list) => {
+            columns = list && list !== '*' ? list.split(',').map(column => column.trim()) : null;
+            return chain;
+        },
+        eq: filter((actual, value) => actual === value),
+        neq: filter((actual, value) => actual !== value),
+        gt: filter((actual, value) => actual > value),
+        gte: async () => ({ count: db.questionsToday, error: null }),
+        limit: async () => ({ error: null }),
+        order: (column, { ascending = true } = {}) => {
+            sort = (a, b) => (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+            return chain;
+        },
+        insert: (rows) => {
+            action = { type: 'insert', rows: Array.isArray(rows) ? rows : [rows] };
+            return chain;
+        },
+        update: (changes) => {
+            action = { type: 'update', changes };
+            return chain;
+        },
+        upsert: async (row, { onConflict }) => {
+            const rows = stored();
+            const index = rows.findIndex(existing => existing[onConflict] === row[onConflict]);
+            if (index === -1) rows.push(row);
+            else rows[index] = row;
+            return { error: null };
+        },
+        maybeSingle: async () => {
+            const [row] = run();
+            return { data: row ? project(row) : null, error: null };
+        },
+        single: async () => {
+            const rows = run();
+            return rows.length === 1
+                ? { data: project(rows[0]), error: null }
+                : { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${rows.length}` } };
+        },
+        then: (resolve, reject) => Promise.resolve()
+            .then(() => ({ data: run().map(project), error: null }))
+            .then(resolve, reject),
+    };
+    return chain;
+};
+
+// Same behaviour as supabase/migrations/20261019000500_guide_exchanges.sql
+const saveGuideExchange = ({ p_user_id: userId, p_conversation_id: conversationId, p_title: title, p_messages: messages }) => {
+    let conversation;
+    if (conversationId) {
+        conversation = db.conversations.find(row => row.id === conversationId && row.user_id === userId);
+        if (!conversation) return { data: null, error: { code: 'P0002', message: 'Conversation not found' } };
+        if (conversation.summary === 'New Conversation') conversation.summary = title;
+    } else {
+        conversation = { id: nextId(), user_id: userId, summary: title, created_at: new Date().toISOString() };
+        db.conversations.push(conversation);
+    }
+
+    const stored = messages.map(({ sender, text, metadata }) => ({
+        id: nextId(),
+        sender,
+        text,
+        metadata: JSON.parse(JSON.stringify(metadata)),
+        created_at: tick(),
+    }));
+    db.messages.push(...stored.map(message => ({ ...message, conversation_id: conversation.id })));
+
+    const { id, summary, created_at: createdAt } = conversation;
+    return { data: { conversation: { id, summary, created_at: createdAt }, messages: stored }, error: null };
+};
+
+const supabase = {
+    auth: {
+        getUser: async (token) => (token.startsWith('token-')
+            ? { data: { user: { id: token.slice(6), app_metadata: token.startsWith('token-admin') ? { role: 'admin' } : {} } }, error: null }
+            : { data: { user: null }, error: { status: 401, message: 'invalid JWT' } }),
+    },
+    from: query,
+    rpc: async (name, params) => {
+        if (name === 'save_guide_exchange') return saveGuideExchange(params);
+        return { data: 0, error: null };
+    },
+};
+
+/**
+ * Forget everything stored by earlier tests.
+ */
+const resetDb = () => {
+    db.questionsToday = 0;
+    db.rows = {};
+    db.conversations = [];
+    db.messages = [];
+    db.summaries = [];
+    db.devotionals = [];
+    db.faqs = [];
+};
+
+module.exports = { supabase, db, resetDb };
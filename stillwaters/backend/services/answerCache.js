@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { normalizeHistory } = require('./conversation');
+const { PROMPT_VERSION } = require('./guide');
+const { DEFAULT_TRANSLATION, normalizeTranslation } = require('./bible');
+const { getCacheStore } = require('../cache');
+const { logger } = require('../utils/logger');
+
+/**
+ * Answer Cache
+ *
+ * Reuses The Guide's answers to repeated questions ("What is the Trinity?")
+ * instead of paying for another model call.
+ *
+ * Only opening questions are cached: a follow-up depends on the conversation
+ * before it. Keys combine the normalized question, the requested translation
+ * and the prompt version, so changing the prompt invalidates old answers.
+ */
+const ANSWER_CACHE_TTL_SECONDS = parseInt(process.env.ANSWER_CACHE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+/**
+ * Reduce a question to the form used for matching: case, punctuation and
+ * spacing differences ("What is the Trinity?" vs "what is the trinity") are ignored.
+ *
+ * @param {string} question
+ * @returns {string}
+ */
+const normalizeQuestion = (question) => (typeof question === 'string' ? question : '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Whether an answer to this request may be served from or stored in the cache.
+ *
+ * @param {string} question
+ * @param {Array} [history] - Prior turns sent with the question.
+ * @returns {boolean}
+ */
+const isCacheable = (question, history) => normalizeQuestion(question).length > 0 && normalizeHistory(history).length === 0;
+
+/**
+ * @param {string} question
+ * @param {string} [translation]
+ * @returns {string} Cache key (hex digest).
+ */
+const cacheKey = (question, translation) => crypto
+    .createHash('sha256')
+    .update([PROMPT_VERSION, normalizeTranslation(translation) || DEFAULT_TRANSLATION, normalizeQuestion(question)].join('\n'))
+    .digest('hex');
+
+/**
+ * Look up a cached answer. Cache failures are logged and treated as a miss.
+ *
+ * @param {string} key
+ * @param {Object|null} [store]
+ * @returns {Promise<Object|null>}
+ */
+const getCachedAnswer = async (key, store = getCacheStore()) => {
+    if (!store) return null;
+    try {
+        return await store.get(key);
+    } catch (error) {
+        logger.error('Answer cache read failed', { error });
+        return null;
+    }
+};
+
+/**
+ * Store an answer. Failures are logged; the user already has their answer.
+ *
+ * @param {string} key
+ * @param {Object} answer - A verified Guide response.
+ * @param {Object|null} [store]
+ */
+const cacheAnswer = async (key, answer, store = getCacheStore()) => {
+    if (!store) return;
+    try {
+        await store.set(key, answer, ANSWER_CACHE_TTL_SECONDS);
+    } catch (error) {
+        logger.error('Answer cache write failed', { error });
+    }
+};
+
+module.exports = { normalizeQuestion, isCacheable, cacheKey, getCachedAnswer, cacheAnswer, ANSWER_CACHE_TTL_SECONDS };
@@ -0,0 +1,263 @@
+const { parseReference, parseReferences, formatReference, formatReferences } = require('stillwaters-shared');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Bible Service
+ *
+ * Verse lookup against the Bible text bundled with the backend and verification
+ * of the scriptures The Guide quotes, so misquoted or invented verses never reach the app.
+ *
+ * Only public-domain text is bundled: the King James Version (the `kjv` package,
+ * 1769 Oxford text). Modern translations (NIV, ESV, ...) need a licence before their
+ * text can be served, so requests for them fall back to the KJV and say so.
+ * References are parsed and formatted by shared/scripture.js, as in the app.
+ */
+const DEFAULT_TRANSLATION = 'KJV';
+
+// Passage lookups: verses shown either side of the passage, and the most served at once
+const DEFAULT_CONTEXT_VERSES = 2;
+const MAX_CONTEXT_VERSES = 10;
+const MAX_PASSAGE_VERSES = 200;
+
+// Translation code -> loader for its verses, keyed like "John 3:16"
+const BUNDLED_TRANSLATIONS = {
+    KJV: () => require('kjv/json/verses-1769.json'),
+};
+
+// Book names in the kjv package's keys, where they differ from ours
+const KJV_BOOK_NAMES = { 'Song of Solomon': "Solomon's Song" };
+
+const verseKey = (book, chapter, verse) => `${KJV_BOOK_NAMES[book] || book} ${chapter}:${verse}`;
+
+const loadedTranslations = {};
+
+// Loaded on first use: a full Bible is ~5 MB
+const getVerses = (translation = DEFAULT_TRANSLATION) => {
+    if (!loadedTranslations[translation]) {
+        loadedTranslations[translation] = BUNDLED_TRANSLATIONS[translation]();
+    }
+    return loadedTranslations[translation];
+};
+
+const normalizeTranslation = (translation) => (typeof translation === 'string' ? translation.trim().toUpperCase() : '');
+
+/**
+ * Pick the translation to serve for a user's preference.
+ *
+ * @param {string} [requested] - Translation code from the app, e.g. "NIV".
+ * @returns {string} The requested code if its text is bundled, otherwise the default.
+ */
+const resolveTranslation = (requested) => {
+    const code = normalizeTranslation(requested);
+    return BUNDLED_TRANSLATIONS[code] ? code : DEFAULT_TRANSLATION;
+};
+
+// Strip the kjv package's markup: "#" marks a new paragraph, [brackets] mark italic words
+const cleanVerseText = (text) => text.replace(/^#\s*/, '').replace(/[[\]]/g, '').trim();
+
+/**
+ * Look up the text of a verse or verse range.
+ *
+ * @param {Object} parsed - Result of parseReference (must include verses).
+ * @param {string} [translation] - A bundled translation code.
+ * @returns {string|null} The verse text, or null if any verse does not exist.
+ */
+const lookupVerses = ({ book, chapter, verseStart, verseEnd }, translation = DEFAULT_TRANSLATION) => {
+    if (!verseStart || verseEnd < verseStart) return null;
+
+    const texts = [];
+    for (let verse = verseStart; verse <= verseEnd; verse += 1) {
+        const text = getVerses(translation)[verseKey(book, chapter, verse)];
+        if (!text) return null;
+        texts.push(cleanVerseText(text));
+    }
+    return texts.join(' ');
+};
+
+/**
+ * Whether a parsed reference points at verses (or a whole chapter) that exist.
+ *
+ * @param {Object} parsed - Result of parseReference.
+ * @returns {boolean}
+ */
+const referenceExists = (parsed) => (parsed.verseStart
+    ? Boolean(lookupVerses(parsed))
+    : Boolean(getVerses()[verseKey(parsed.book, parsed.chapter, 1)]));
+
+/**
+ * Number of verses in a chapter, or 0 when the chapter does not exist.
+ *
+ * @param {string} book
+ * @param {number} chapter
+ * @param {string} [translation]
+ * @returns {number}
+ */
+const chapterLength = (book, chapter, translation = DEFAULT_TRANSLATION) => {
+    const verses = getVerses(translation);
+    let count = 0;
+    while (verses[verseKey(book, chapter, count + 1)]) count += 1;
+    return count;
+};
+
+// Verses `from`..`to` of a chapter as { verse, text }; the range must exist
+const readVerses = (book, chapter, from, to, translation) => {
+    const verses = [];
+    for (let verse = from; verse <= to; verse += 1) {
+        verses.push({ verse, text: cleanVerseText(getVerses(translation)[verseKey(book, chapter, verse)]) });
+    }
+    return verses;
+};
+
+/**
+ * Look up the full text of a reference or list of references, with a few verses
+ * either side of each passage, so a screen can expand a reference on tap.
+ * A whole chapter ("Psalm 23") is served in full, without context.
+ *
+ * @param {string} reference - e.g. "John 3:16-18" or "1 Cor 13:4-7, 13".
+ * @param {Object} [options]
+ * @param {string} [options.translation] - The user's preferred translation.
+ * @param {number} [options.context] - Verses to include before and after each passage.
+ * @returns {Object} `{ reference, translation, passages }`, plus `requested_translation`
+ *   when the preferred translation could not be served.
+ * @throws {ApiError} 400 INVALID_REQUEST when the reference cannot be read or is too long,
+ *   404 SCRIPTURE_NOT_FOUND when a passage is not in the Bible.
+ */
+const lookupPassages = (reference, { translation: requestedTranslation, context = DEFAULT_CONTEXT_VERSES } = {}) => {
+    const parsed = parseReferences(reference);
+    if (!parsed) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'That is not a Bible reference we can read, e.g. "John 3:16-18".', { field: 'reference' });
+    }
+
+    const translation = resolveTranslation(requestedTranslation);
+    const ranges = parsed.map((passage) => {
+        const length = chapterLength(passage.book, passage.chapter, translation);
+        const [first, last] = passage.verseStart ? [passage.verseStart, passage.verseEnd] : [1, length];
+        if (length === 0 || last > length) {
+            throw new ApiError(404, 'SCRIPTURE_NOT_FOUND', `${formatReference(passage)} is not in the Bible.`);
+        }
+        return { passage, length, first, last };
+    });
+
+    const total = ranges.reduce((sum, { first, last }) => sum + last - first + 1, 0);
+    if (total > MAX_PASSAGE_VERSES) {
+        throw new ApiError(400, 'INVALID_REQUEST', `Please ask for at most ${MAX_PASSAGE_VERSES} verses at a time.`, { field: 'reference' });
+    }
+
+    const passages = ranges.map(({ passage, length, first, last }) => {
+        const { book, chapter } = passage;
+        const verses = readVerses(book, chapter, first, last, translation);
+        const around = passage.verseStart ? context : 0;
+        return {
+            reference: formatReference(passage),
+            book,
+            chapter,
+            verse_count: length,
+            text: verses.map(verse => verse.text).join(' '),
+            verses,
+            context: {
+                before: readVerses(book, chapter, Math.max(1, first - around), first - 1, translation),
+                after: readVerses(book, chapter, last + 1, Math.min(length, last + around), translation),
+            },
+        };
+    });
+
+    const requested = normalizeTranslation(requestedTranslation);
+    return {
+        reference: formatReferences(parsed),
+        translation,
+        ...(requested && requested !== translation ? { requested_translation: requested } : {}),
+        passages,
+    };
+};
+
+/**
+ * Check one scripture from a Guide answer against the bundled Bible.
+ *
+ * @param {{reference: string, text: string, translation: string}} scripture
+ * @param {string} [requestedTranslation] - The user's preferred translation.
+ * @returns {Object|null} The scripture with canonical text and `verified: true`
+ *   (plus `requested_translation` when the preferred translation could not be served);
+ *   the original with `verified: false` when the reference cannot be checked;
+ *   null when the reference does not exist.
+ */
+const verifyScripture = (scripture, requestedTranslation) => {
+    const parsed = parseReference(scripture.reference);
+    if (!parsed) {
+        return { ...scripture, verified: false };
+    }
+    if (!referenceExists(parsed)) return null;
+
+    // Whole chapters are real but too long to quote; keep the model's excerpt, unverified
+    const translation = resolveTranslation(requestedTranslation);
+    const text = lookupVerses(parsed, translation);
+    if (!text) {
+        return { ...scripture, reference: formatReference(parsed), verified: false };
+    }
+
+    const requested = normalizeTranslation(requestedTranslation);
+    return {
+        reference: formatReference(parsed),
+        text,
+        translation,
+        verified: true,
+        ...(requested && requested !== translation ? { requested_translation: requested } : {}),
+    };
+};
+
+/**
+ * Replace the model's quoted scripture with canonical text, drop references
+ * that do not exist and normalize related verses.
+ *
+ * @param {Object} answer - A schema-valid Guide response.
+ * @param {string} [translation] - The user's preferred translation.
+ * @returns {Object} The answer with verified scriptures.
+ */
+const verifyScriptures = (answer, translation) => {
+    const dropped = [];
+
+    const interpretations = answer.interpretations.map(interpretation => ({
+        ...interpretation,
+        scriptures: interpretation.scriptures
+            .map(scripture => {
+                const verified = verifyScripture(scripture, translation);
+                if (!verified) dropped.push(scripture.reference);
+                return verified;
+            })
+            .filter(Boolean),
+    }));
+
+    const relatedVerses = answer.related_verses
+        .map(reference => {
+            const parsed = parseReference(reference);
+            if (!parsed) return reference;
+            if (!referenceExists(parsed)) {
+                dropped.push(reference);
+                return null;
+            }
+            return formatReference(parsed);
+        })
+        .filter(Boolean);
+
+    if (dropped.length > 0) {
+        logger.warn('Dropped non-existent scripture references', { references: dropped });
+    }
+
+    return { ...answer, interpretations, related_verses: relatedVerses };
+};
+
+module.exports = {
+    DEFAULT_TRANSLATION,
+    DEFAULT_CONTEXT_VERSES,
+    MAX_CONTEXT_VERSES,
+    MAX_PASSAGE_VERSES,
+    normalizeTranslation,
+    resolveTranslation,
+    parseReference,
+    formatReference,
+    lookupVerses,
+    lookupPassages,
+    referenceExists,
+    verifyScripture,
+    verifyScriptures,
+};
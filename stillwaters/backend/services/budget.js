@@ -0,0 +1,87 @@
+const { supabase } = require('./supabase');
+const { logger } = require('../utils/logger');
+
+/**
+ * Spending Ceiling
+ *
+ * A global cap on estimated model spend per UTC day (DAILY_SPEND_LIMIT_USD; unset
+ * means no cap). Once it is reached the backend runs in degraded mode: cached
+ * answers are still served, but no new model calls are made until the next day.
+ *
+ * Today's spend is read from `model_usage` (via the `model_spend_since` function)
+ * at most once a minute per instance, plus what this instance has spent since.
+ * When that read is unavailable (no Supabase) or fails, the ceiling still applies to
+ * what this instance has spent today.
+ */
+const DAILY_SPEND_LIMIT_USD = parseFloat(process.env.DAILY_SPEND_LIMIT_USD) || null;
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+let snapshot = { day: null, spend: 0, fetchedAt: 0 };
+let local = { day: null, spend: 0 }; // This instance's own spend today
+
+/**
+ * Add a call's cost to this instance's running total.
+ *
+ * @param {number} cost - USD.
+ */
+const noteSpend = (cost) => {
+    const day = startOfUtcDay().toISOString();
+    if (local.day !== day) local = { day, spend: 0 };
+    local.spend += cost;
+    if (snapshot.day === day) {
+        snapshot.spend += cost;
+    }
+};
+
+/**
+ * The most spend known for today without a lookup: the last snapshot plus calls
+ * made since, or at least this instance's own calls.
+ *
+ * @returns {number} USD.
+ */
+const knownSpendToday = () => {
+    const day = startOfUtcDay().toISOString();
+    return Math.max(snapshot.day === day ? snapshot.spend : 0, local.day === day ? local.spend : 0);
+};
+
+/**
+ * Estimated spend so far today, across all instances
+ * (this instance's only, without Supabase).
+ *
+ * @returns {Promise<number>} USD.
+ */
+const getSpendToday = async () => {
+    if (!supabase) return knownSpendToday();
+
+    const day = startOfUtcDay().toISOString();
+    if (snapshot.day === day && Date.now() - snapshot.fetchedAt < REFRESH_INTERVAL_MS) {
+        return snapshot.spend;
+    }
+
+    const { data, error } = await supabase.rpc('model_spend_since', { since: day });
+    if (error) throw error;
+
+    snapshot = { day, spend: Number(data) || 0, fetchedAt: Date.now() };
+    return snapshot.spend;
+};
+
+/**
+ * Whether today's spending ceiling has been reached.
+ * If spend cannot be read, the spend already known is used (and the error is logged).
+ *
+ * @param {number|null} [limit]
+ * @returns {Promise<boolean>}
+ */
+const isOverBudget = async (limit = DAILY_SPEND_LIMIT_USD) => {
+    if (!limit) return false;
+    try {
+        return (await getSpendToday()) >= limit;
+    } catch (error) {
+        logger.error('Spend lookup failed', { error });
+        return knownSpendToday() >= limit;
+    }
+};
+
+module.exports = { DAILY_SPEND_LIMIT_USD, noteSpend, getSpendToday, isOverBudget, startOfUtcDay };
@@ -0,0 +1,377 @@
+const { supabase } = require('./supabase');
+const { validate } = require('./responseSchema');
+const { parseReference, referenceExists } = require('./bible');
+const { parseReferences } = require('stillwaters-shared');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Content
+ *
+ * Devotionals (served as the Daily Stream by `get_daily_stream`) and FAQ entries
+ * ("The Well"), edited through the admin API (routes/admin.js).
+ *
+ * Content is created as a draft and validated against the shapes the screens expect
+ * (`scripture_json` for DevotionalScreen, `answer_json` for FAQDetailScreen), with
+ * every scripture reference checked against the bundled Bible. Publishing makes it
+ * visible to the app, now or on a schedule (a day for devotionals, a time for FAQs);
+ * unpublishing hides it again, and rejecting keeps a draft out after review. See
+ * supabase/migrations/20261019000700_content_publishing.sql.
+ */
+const CONTENT_STATUSES = ['draft', 'published', 'unpublished', 'rejected'];
+const TRANSLATION_CODE = /^[A-Z0-9]{2,10}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 80;
+
+const DEVOTIONAL_SCHEMA = {
+    type: 'object',
+    required: ['title', 'content', 'prayer', 'scripture_json'],
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 120 },
+        content: { type: 'string', minLength: 1, maxLength: 10000 },
+        prayer: { type: 'string', minLength: 1, maxLength: 2000 },
+        // One translation's text, optionally others under `translations` (see resolveScripture in the app)
+        scripture_json: {
+            type: 'object',
+            required: ['reference', 'text', 'translation'],
+            properties: {
+                reference: { type: 'string', minLength: 1, maxLength: 100 },
+                text: { type: 'string', minLength: 1, maxLength: 4000 },
+                translation: { type: 'string', minLength: 1 },
+                translations: { type: 'object' },
+            },
+        },
+    },
+};
+
+const FAQ_SCHEMA = {
+    type: 'object',
+    required: ['category', 'question', 'answer_json'],
+    properties: {
+        // Stable name used to match entries when importing from files; derived from the question when omitted
+        slug: { type: 'string', minLength: 1, maxLength: MAX_SLUG_LENGTH },
+        category: { type: 'string', minLength: 1, maxLength: 60 },
+        question: { type: 'string', minLength: 1, maxLength: 300 },
+        answer_json: {
+            type: 'object',
+            required: ['summary', 'detailed'],
+            properties: {
+                summary: { type: 'string', minLength: 1, maxLength: 1000 },
+                detailed: { type: 'string', minLength: 1, maxLength: 10000 },
+                // References only, e.g. "Romans 8:28" or "1 Corinthians 13:4-7, 13"
+                scriptures: { type: 'array', items: { type: 'string', minLength: 1 } },
+            },
+        },
+    },
+};
+
+/**
+ * A slug for an FAQ question, e.g. "How should I pray?" -> "how-should-i-pray".
+ * Matches the backfill in supabase/migrations/20261019000900_faq_slugs.sql.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '') || 'faq';
+
+/**
+ * @param {string} reference
+ * @param {string} path - Location used in error messages.
+ * @returns {string[]}
+ */
+const checkReference = (reference, path) => {
+    const parsed = parseReference(reference);
+    if (!parsed) return [`${path} "${reference}" is not a Bible reference`];
+    return referenceExists(parsed) ? [] : [`${path} "${reference}" does not exist`];
+};
+
+// FAQ scriptures may list several passages, e.g. "1 Corinthians 13:4-7, 13"
+const checkReferences = (text, path) => {
+    const passages = parseReferences(text);
+    if (!passages) return [`${path} "${text}" is not a Bible reference`];
+    return passages.every(referenceExists) ? [] : [`${path} "${text}" does not exist`];
+};
+
+const checkTranslationCode = (code, path) => (TRANSLATION_CODE.test(code) ? [] : [`${path} "${code}" is not a translation code (e.g. "KJV")`]);
+
+const checkDevotional = ({ scripture_json: scripture }) => {
+    const translations = Object.entries(scripture.translations || {});
+    return [
+        ...checkReference(scripture.reference, 'scripture_json.reference'),
+        ...checkTranslationCode(scripture.translation, 'scripture_json.translation'),
+        ...translations.flatMap(([code, text]) => [
+            ...checkTranslationCode(code, 'scripture_json.translations'),
+            ...(typeof text === 'string' && text.trim() ? [] : [`scripture_json.translations.${code} should be the verse text`]),
+        ]),
+    ];
+};
+
+const checkFaq = ({ slug, answer_json: answer }) => [
+    ...(slug === undefined || SLUG.test(slug) ? [] : [`slug "${slug}" should be lowercase words joined by hyphens, e.g. "how-should-i-pray"`]),
+    ...(answer.scriptures || []).flatMap((reference, index) => checkReferences(reference, `answer_json.scriptures[${index}]`)),
+];
+
+const CONTENT_TYPES = {
+    devotionals: {
+        table: 'devotionals',
+        label: 'Devotional',
+        schema: DEVOTIONAL_SCHEMA,
+        check: checkDevotional,
+        columns: 'id, title, content, prayer, scripture_json, status, scheduled_for, updated_at',
+        schedule: 'scheduled_for',
+        // devotionals_scheduled_for_idx: another devotional took the day in the meantime
+        conflict: ['SCHEDULE_CONFLICT', 'Another devotional is already scheduled for that day.'],
+    },
+    faqs: {
+        table: 'faqs',
+        label: 'FAQ',
+        schema: FAQ_SCHEMA,
+        check: checkFaq,
+        columns: 'id, slug, category, question, answer_json, status, publish_at, updated_at',
+        schedule: 'publish_at',
+        defaults: fields => ({ slug: slugify(fields.question) }),
+        // faqs_slug_idx
+        conflict: ['SLUG_CONFLICT', 'Another FAQ already uses that slug.'],
+    },
+};
+
+const contentType = (type) => {
+    const definition = CONTENT_TYPES[type];
+    if (!definition) throw new Error(`Unknown content type "${type}"`);
+    return definition;
+};
+
+/**
+ * Check content against the shape its screen expects.
+ *
+ * @param {string} type - 'devotionals' | 'faqs'
+ * @param {Object} fields - The editable fields of one entry.
+ * @returns {string[]} Human readable problems; empty when the content is valid.
+ */
+const validateContent = (type, fields) => {
+    const { schema, check } = contentType(type);
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return ['content should be an object'];
+
+    const unknown = Object.keys(fields)
+        .filter(key => !schema.properties[key])
+        .map(key => `${key} is not an editable field`);
+    const problems = [...unknown, ...validate(schema, fields, 'content').map(problem => problem.replace(/^content\./, ''))];
+    return problems.length > 0 ? problems : check(fields);
+};
+
+const assertValid = (type, fields) => {
+    const issues = validateContent(type, fields);
+    if (issues.length > 0) {
+        throw new ApiError(400, 'INVALID_CONTENT', `This ${contentType(type).label.toLowerCase()} is not ready to save.`, { issues });
+    }
+};
+
+const editableFields = (type, row) => Object.fromEntries(Object.keys(contentType(type).schema.properties).map(key => [key, row[key]]));
+
+const todayUtc = () => new Date().toISOString().substring(0, 10);
+
+// A real calendar day, e.g. not 2026-02-30
+const isDate = (value) => {
+    if (typeof value !== 'string' || !DATE.test(value)) return false;
+    const day = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(day.getTime()) && day.toISOString().startsWith(value);
+};
+
+/**
+ * @param {string} type
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only entries with this status.
+ * @returns {Promise<Array>} Newest edits first.
+ */
+const listContent = async (type, { status } = {}) => {
+    const { table, columns } = contentType(type);
+    let query = supabase.from(table).select(columns);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query.order('updated_at', { ascending: false });
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * @param {string} type
+ * @param {string} id
+ * @returns {Promise<Object>}
+ * @throws {ApiError} 404 CONTENT_NOT_FOUND
+ */
+const getContent = async (type, id) => {
+    const { table, columns, label } = contentType(type);
+    const { data, error } = await supabase.from(table).select(columns).eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new ApiError(404, 'CONTENT_NOT_FOUND', `${label} not found.`);
+    return data;
+};
+
+// A unique index rejected the write
+const checkConflict = (type, error) => {
+    if (error?.code === '23505') {
+        const [code, message] = contentType(type).conflict;
+        throw new ApiError(409, code, message);
+    }
+    if (error) throw error;
+};
+
+// The entry can be deleted between the caller's check and the update
+const saveChanges = async (type, id, changes) => {
+    const { table, columns, label } = contentType(type);
+    const { data, error } = await supabase
+        .from(table)
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select(columns)
+        .maybeSingle();
+    checkConflict(type, error);
+    if (!data) throw new ApiError(404, 'CONTENT_NOT_FOUND', `${label} not found.`);
+    return data;
+};
+
+/**
+ * Create a draft.
+ *
+ * @param {string} type
+ * @param {Object} fields - Every editable field (an FAQ's slug is optional).
+ * @returns {Promise<Object>}
+ * @throws {ApiError} 400 INVALID_CONTENT with `issues`, 409 SLUG_CONFLICT when another FAQ has the slug.
+ */
+const createContent = async (type, fields) => {
+    const { table, columns, defaults } = contentType(type);
+    const isObject = fields && typeof fields === 'object' && !Array.isArray(fields);
+    const row = isObject && defaults ? { ...defaults(fields), ...fields } : fields;
+    assertValid(type, row);
+
+    const { data, error } = await supabase
+        .from(table)
+        .insert({ ...row, status: 'draft', updated_at: new Date().toISOString() })
+        .select(columns)
+        .single();
+    checkConflict(type, error);
+    return data;
+};
+
+/**
+ * Edit some fields. Published content changes in the app straight away.
+ *
+ * @param {string} type
+ * @param {string} id
+ * @param {Object} changes - Editable fields to replace.
+ * @returns {Promise<Object>}
+ * @throws {ApiError} 409 SLUG_CONFLICT when another FAQ has the slug.
+ */
+const updateContent = async (type, id, changes) => {
+    const current = await getContent(type, id);
+    const isObject = changes && typeof changes === 'object' && !Array.isArray(changes);
+    assertValid(type, isObject ? { ...editableFields(type, current), ...changes } : changes);
+    return saveChanges(type, id, changes);
+};
+
+/**
+ * Make content visible to the app.
+ * Devotionals: `date` (YYYY-MM-DD, today or later) serves it on that day; without one it joins the rotation.
+ * FAQs: `publish_at` (ISO time) shows it from then; without one it shows immediately.
+ *
+ * @param {string} type
+ * @param {string} id
+ * @param {Object} [schedule] - { date } or { publish_at }
+ * @returns {Promise<Object>}
+ * @throws {ApiError} 400 INVALID_REQUEST for a bad schedule, 409 SCHEDULE_CONFLICT when another devotional has the day.
+ */
+const publishContent = async (type, id, schedule = {}) => {
+    const current = await getContent(type, id);
+    assertValid(type, editableFields(type, current));
+
+    if (type === 'devotionals') {
+        const { date } = schedule;
+        if (date !== undefined && date !== null) {
+            if (!isDate(date) || date < todayUtc()) {
+                throw new ApiError(400, 'INVALID_REQUEST', 'Choose a date from today onwards (YYYY-MM-DD).', { field: 'date' });
+            }
+            const { data: taken, error } = await supabase
+                .from('devotionals')
+                .select('id, title')
+                .eq('status', 'published')
+                .eq('scheduled_for', date)
+                .neq('id', id)
+                .maybeSingle();
+            if (error) throw error;
+            if (taken) {
+                throw new ApiError(409, 'SCHEDULE_CONFLICT', `"${taken.title}" is already scheduled for ${date}.`);
+            }
+        }
+        return saveChanges(type, id, { status: 'published', scheduled_for: date || null });
+    }
+
+    const publishAt = schedule.publish_at;
+    if (publishAt !== undefined && publishAt !== null && (typeof publishAt !== 'string' || Number.isNaN(Date.parse(publishAt)))) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'publish_at should be an ISO date and time.', { field: 'publish_at' });
+    }
+    return saveChanges(type, id, { status: 'published', publish_at: publishAt ? new Date(publishAt).toISOString() : null });
+};
+
+/**
+ * Hide content from the app (and drop its schedule). It can be published again.
+ *
+ * @param {string} type
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const unpublishContent = async (type, id) => {
+    await getContent(type, id);
+    return saveChanges(type, id, { status: 'unpublished', [contentType(type).schedule]: null });
+};
+
+/**
+ * Turn content down after review, e.g. a drafted devotional that should not be served.
+ * Rejected devotionals stay in the library so their passage is not drafted again;
+ * they can still be edited and published.
+ *
+ * @param {string} type
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const rejectContent = async (type, id) => {
+    await getContent(type, id);
+    return saveChanges(type, id, { status: 'rejected', [contentType(type).schedule]: null });
+};
+
+/**
+ * Content exactly as the app receives it, whatever its status: the `get_daily_stream`
+ * payload for a devotional (dated its scheduled day, or today), the `faqs` row the FAQ
+ * screens read for an entry.
+ *
+ * @param {string} type
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const previewContent = async (type, id) => {
+    const row = await getContent(type, id);
+    if (type === 'devotionals') {
+        const { id: devotionalId, title, content, scripture_json: scriptureJson, prayer } = row;
+        return { id: devotionalId, date: row.scheduled_for || todayUtc(), title, content, scripture_json: scriptureJson, prayer };
+    }
+    const { id: faqId, category, question, answer_json: answerJson } = row;
+    return { id: faqId, category, question, answer_json: answerJson };
+};
+
+module.exports = {
+    CONTENT_TYPES,
+    CONTENT_STATUSES,
+    slugify,
+    validateContent,
+    listContent,
+    getContent,
+    createContent,
+    updateContent,
+    publishContent,
+    unpublishContent,
+    rejectContent,
+    previewContent,
+};
@@ -0,0 +1,110 @@
+/**
+ * Conversation Memory
+ *
+ * Turns the prior messages of a Guide conversation (sent by the app) into
+ * chat history for the model, within a token budget.
+ *
+ * History turns have the shape { role: 'user' | 'model', text: string }.
+ * When the conversation is longer than the budget, the oldest turns are dropped
+ * and replaced by a short note listing the questions asked earlier, so the model
+ * keeps a sense of the thread without paying for every word of it.
+ */
+const { stripDelimiters, wrapUserQuestion } = require('./promptGuard');
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 2000;
+const MAX_EARLIER_QUESTIONS = 5;
+
+/**
+ * Rough token estimate (~4 characters per token for English text).
+ * Good enough for budgeting; the provider does the exact count.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Keep only well-formed turns and merge consecutive turns from the same role
+ * (e.g. a question whose answer failed, followed by a retry).
+ *
+ * @param {Array} history - Raw history from the request body.
+ * @returns {Array<{role: string, text: string}>}
+ */
+const normalizeHistory = (history) => {
+    if (!Array.isArray(history)) return [];
+
+    return history
+        .filter(turn => turn && ['user', 'model'].includes(turn.role) && typeof turn.text === 'string' && turn.text.trim())
+        .reduce((turns, turn) => {
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === turn.role) {
+                previous.text = `${previous.text}\n\n${turn.text.trim()}`;
+            } else {
+                turns.push({ role: turn.role, text: turn.text.trim() });
+            }
+            return turns;
+        }, []);
+};
+
+/**
+ * Summarize dropped turns as a list of the user's earlier questions.
+ *
+ * @param {Array<{role: string, text: string}>} droppedTurns
+ * @returns {string|null}
+ */
+const summarizeDroppedTurns = (droppedTurns) => {
+    const questions = droppedTurns
+        .filter(turn => turn.role === 'user')
+        .slice(-MAX_EARLIER_QUESTIONS)
+        .map(turn => stripDelimiters(turn.text))
+        .map(text => (text.length > 120 ? `${text.substring(0, 120)}...` : text));
+
+    if (questions.length === 0) return null;
+    return `Earlier in this conversation the user asked:\n<earlier_questions>\n${questions.map(q => `- ${q}`).join('\n')}\n</earlier_questions>`;
+};
+
+/**
+ * Fit the conversation into the token budget, newest turns first.
+ *
+ * @param {Array} history - Raw history from the request body.
+ * @param {number} [budget] - Max estimated tokens of history to send.
+ * @returns {{turns: Array<{role: string, text: string}>, earlierSummary: string|null}}
+ */
+const buildHistory = (history, budget = HISTORY_TOKEN_BUDGET) => {
+    const turns = normalizeHistory(history);
+
+    let used = 0;
+    let start = turns.length;
+    while (start > 0 && used + estimateTokens(turns[start - 1].text) <= budget) {
+        used += estimateTokens(turns[start - 1].text);
+        start -= 1;
+    }
+
+    // Chat history has to open with a user turn
+    while (start < turns.length && turns[start].role !== 'user') {
+        start += 1;
+    }
+
+    return {
+        turns: turns.slice(start),
+        earlierSummary: summarizeDroppedTurns(turns.slice(0, start)),
+    };
+};
+
+/**
+ * Prepare turns for the model.
+ * User turns are wrapped in <user_question> tags like the current question.
+ * Model turns are wrapped in the same JSON shape the model is asked to answer in,
+ * so prior answers do not nudge it towards replying in plain prose.
+ *
+ * @param {Array<{role: string, text: string}>} turns
+ * @returns {Array<{role: string, text: string}>}
+ */
+const toPromptHistory = (turns) => turns.map(turn => ({
+    role: turn.role,
+    text: turn.role === 'model'
+        ? JSON.stringify({ interpretations: [{ view: turn.text }] })
+        : wrapUserQuestion(turn.text),
+}));
+
+module.exports = { estimateTokens, normalizeHistory, buildHistory, toPromptHistory, HISTORY_TOKEN_BUDGET };
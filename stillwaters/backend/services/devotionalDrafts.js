@@ -0,0 +1,150 @@
+const { supabase } = require('./supabase');
+const { parseJson } = require('./responseSchema');
+const { parseReference, verifyScripture } = require('./bible');
+const { findBook } = require('stillwaters-shared');
+const { validateContent, createContent } = require('./content');
+const { meterProvider } = require('./usage');
+const { getProvider } = require('../providers');
+const { logger } = require('../utils/logger');
+
+/**
+ * Devotional Drafts
+ *
+ * Fills the devotional library in bulk: the configured model drafts devotionals around
+ * a theme or through a book of the Bible, a few per call. Every draft's scripture is
+ * checked against the bundled Bible and replaced with its canonical KJV text, passages
+ * already in the library (including rejected ones) are not drafted again, and what
+ * survives is saved as a draft. Nothing reaches the Daily Stream until a reviewer
+ * approves it (publishContent); see devotionals.js for the review commands.
+ */
+const MAX_DRAFTS = 30;
+const BATCH_SIZE = 5;
+const TRANSLATION = 'KJV';
+
+const DRAFT_PROMPT = `You write short daily devotionals for "Still Waters", a Christian app for quiet reflection.
+Each devotional is an object with:
+- "title": a short title of at most 6 words
+- "scripture": { "reference": one passage of 1 to 5 verses, e.g. "Psalm 46:10" or "Philippians 4:6-7", "text": its King James Version text }
+- "content": 2 or 3 short paragraphs (150 to 250 words) reflecting on the passage and applying it to daily life, warm, plain and theologically sound
+- "prayer": a first-person prayer of 2 to 4 sentences responding to the passage
+Use a different passage for every devotional and none of the passages listed as already used.
+Reply with JSON only: {"devotionals": [ ... ]}`;
+
+/**
+ * The canonical name of a book of the Bible, e.g. "phil" -> "Philippians".
+ *
+ * @param {string} book
+ * @returns {string|null}
+ */
+const resolveBook = (book) => findBook(book)?.name || null;
+
+/**
+ * The request sent to the model for one batch.
+ *
+ * @param {Object} options
+ * @param {number} options.count
+ * @param {string} [options.theme]
+ * @param {string} [options.book] - Canonical book name.
+ * @param {string[]} options.used - References already in the library.
+ * @returns {string}
+ */
+const describeRequest = ({ count, theme, book, used }) => [
+    book
+        ? `Write ${count} devotionals on passages from the book of ${book}, in order through the book.`
+        : `Write ${count} devotionals on the theme: ${theme}.`,
+    `Passages already used: ${used.length > 0 ? used.join('; ') : '(none)'}.`,
+].join('\n');
+
+/**
+ * Turn one devotional from the model into draft fields, or explain why it cannot be used.
+ *
+ * @param {Object} item - One entry of the model's `devotionals`.
+ * @param {Object} options
+ * @param {string} [options.book] - Passages must come from this book.
+ * @param {Set<string>} options.used - References already in the library.
+ * @returns {{fields: Object|null, reason: string|null}}
+ */
+const toDraft = (item, { book, used }) => {
+    const reference = item?.scripture?.reference;
+    if (typeof reference !== 'string') return { fields: null, reason: 'no scripture reference' };
+
+    const scripture = verifyScripture({ reference, text: item.scripture.text, translation: TRANSLATION }, TRANSLATION);
+    if (!scripture) return { fields: null, reason: `"${reference}" does not exist` };
+    if (!scripture.verified) return { fields: null, reason: `"${reference}" is not a passage of whole verses` };
+    if (book && parseReference(scripture.reference).book !== book) {
+        return { fields: null, reason: `"${scripture.reference}" is not in ${book}` };
+    }
+    if (used.has(scripture.reference)) return { fields: null, reason: `"${scripture.reference}" is already in the library` };
+
+    const fields = {
+        title: typeof item.title === 'string' ? item.title.trim() : item.title,
+        content: typeof item.content === 'string' ? item.content.trim() : item.content,
+        prayer: typeof item.prayer === 'string' ? item.prayer.trim() : item.prayer,
+        scripture_json: { reference: scripture.reference, text: scripture.text, translation: scripture.translation },
+    };
+    const issues = validateContent('devotionals', fields);
+    return issues.length > 0 ? { fields: null, reason: issues.join('; ') } : { fields, reason: null };
+};
+
+// Every passage in the library, whatever its status
+const fetchUsedReferences = async () => {
+    const { data, error } = await supabase.from('devotionals').select('scripture_json');
+    if (error) throw error;
+    return data.map(row => row.scripture_json?.reference).filter(Boolean);
+};
+
+/**
+ * Draft devotionals with the model and save them for review.
+ *
+ * @param {Object} options
+ * @param {string} [options.theme] - e.g. "rest in a busy season".
+ * @param {string} [options.book] - e.g. "Philippians"; used instead of a theme.
+ * @param {number} [options.count] - How many drafts to save (default BATCH_SIZE, at most MAX_DRAFTS).
+ * @param {Object} [options.provider] - Defaults to the configured provider, metered as 'devotionals'.
+ * @returns {Promise<{drafts: Array, skipped: Array<{title: string, reference: string, reason: string}>}>}
+ *   The saved drafts, and what the model wrote that could not be used.
+ */
+const draftDevotionals = async ({ theme, book, count = BATCH_SIZE, provider } = {}) => {
+    const bookName = book ? resolveBook(book) : null;
+    if (book && !bookName) throw new Error(`"${book}" is not a book of the Bible`);
+    if (!bookName && !(typeof theme === 'string' && theme.trim())) throw new Error('Give a theme or a book of the Bible');
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DRAFTS) throw new Error(`count should be between 1 and ${MAX_DRAFTS}`);
+
+    const model = provider || meterProvider(getProvider(), { user: null, feature: 'devotionals' });
+    const used = new Set(await fetchUsedReferences());
+    const drafts = [];
+    const skipped = [];
+
+    // The model may repeat passages or misquote them; allow a couple of extra calls to make up the count
+    const maxCalls = Math.ceil(count / BATCH_SIZE) + 2;
+    for (let call = 0; call < maxCalls && drafts.length < count; call += 1) {
+        const wanted = Math.min(BATCH_SIZE, count - drafts.length);
+        const result = await model.generate({
+            system: DRAFT_PROMPT,
+            messages: [{ role: 'user', text: describeRequest({ count: wanted, theme: theme?.trim(), book: bookName, used: [...used] }) }],
+            json: true,
+        });
+
+        const { value, errors } = parseJson(result.text);
+        if (errors.length > 0 || !Array.isArray(value?.devotionals)) {
+            logger.warn('Devotional drafts could not be parsed', { errors });
+            continue;
+        }
+
+        for (const item of value.devotionals) {
+            if (drafts.length >= count) break;
+            const { fields, reason } = toDraft(item, { book: bookName, used });
+            if (!fields) {
+                skipped.push({ title: String(item?.title || '(untitled)'), reference: String(item?.scripture?.reference || ''), reason });
+                continue;
+            }
+            used.add(fields.scripture_json.reference);
+            drafts.push(await createContent('devotionals', fields));
+        }
+    }
+
+    logger.info('Devotionals drafted', { theme, book: bookName, drafted: drafts.length, skipped: skipped.length });
+    return { drafts, skipped };
+};
+
+module.exports = { MAX_DRAFTS, BATCH_SIZE, DRAFT_PROMPT, resolveBook, describeRequest, toDraft, draftDevotionals };
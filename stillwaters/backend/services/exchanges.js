@@ -0,0 +1,122 @@
+const { supabase } = require('./supabase');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { scheduleSummaryRefresh } = require('./conversationSummary');
+
+/**
+ * Guide Exchanges
+ *
+ * Stores each question and The Guide's answer in the user's conversation
+ * (`conversations` / `messages`), server-side and in one transaction through the
+ * `save_guide_exchange` database function, so a failure never leaves a question
+ * without its answer.
+ *
+ * An exchange is saved as two messages:
+ *   user  - the question
+ *   bot   - the answer's first view, with the full answer as metadata, which the app
+ *           shows as one card (view, verse, application and related verses)
+ * Older conversations also have a separate verse card after single-perspective answers
+ * (metadata { isVerse, verified }); the app still shows those as they are.
+ */
+const MAX_TITLE_LENGTH = 30;
+
+const truncateTitle = (text) => (text.length > MAX_TITLE_LENGTH ? `${text.substring(0, MAX_TITLE_LENGTH)}...` : text);
+
+/**
+ * Build the messages saved for one exchange.
+ *
+ * @param {string} question
+ * @param {Object} answer - The Guide response sent to the app.
+ * @returns {Array<{sender: string, text: string, metadata: Object|null}>}
+ */
+const buildExchangeMessages = (question, answer) => [
+    { sender: 'user', text: question, metadata: null },
+    { sender: 'bot', text: answer.interpretations[0].view, metadata: answer },
+];
+
+/**
+ * Title for a conversation started by this exchange. Fallback answers say nothing
+ * about the question, so the question itself is used instead.
+ */
+const exchangeTitle = (question, answer) => (answer.title && !answer.fallback ? answer.title : truncateTitle(question));
+
+/**
+ * Find a conversation owned by the user.
+ *
+ * @param {Object} user - Supabase auth user.
+ * @param {string} conversationId
+ * @returns {Promise<Object>} { id, summary, created_at }
+ * @throws {ApiError} 404 CONVERSATION_NOT_FOUND when it does not exist or belongs to someone else.
+ */
+const findConversation = async (user, conversationId) => {
+    const { data, error } = await supabase
+        .from('conversations')
+        .select('id, summary, created_at')
+        .eq('id', conversationId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+        throw new ApiError(404, 'CONVERSATION_NOT_FOUND', 'That conversation could not be found. Please start a new one.');
+    }
+    return data;
+};
+
+/**
+ * Save a question and its answer, creating the conversation when none is given.
+ *
+ * @param {Object} exchange
+ * @param {Object} exchange.user - Supabase auth user.
+ * @param {string|null} exchange.conversationId - Existing conversation (already checked to be the user's).
+ * @param {string} exchange.question
+ * @param {Object} exchange.answer
+ * @returns {Promise<{conversation: Object, messages: Array}>} The stored rows.
+ */
+const saveExchange = async ({ user, conversationId, question, answer }) => {
+    const { data, error } = await supabase.rpc('save_guide_exchange', {
+        p_user_id: user.id,
+        p_conversation_id: conversationId || null,
+        p_title: exchangeTitle(question, answer),
+        p_messages: buildExchangeMessages(question, answer),
+    });
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Save the exchange for a chat request and add the stored rows to the answer
+ * (`conversation` and `messages`) for the app to reconcile with, then refresh the
+ * conversation's rolling summary in the background when one is due.
+ * If saving fails the answer is still returned, without the rows, and the error is logged.
+ *
+ * @param {import('express').Request} req - Authenticated chat request (see loadConversation).
+ * @param {Object} answer
+ * @returns {Promise<Object>}
+ */
+const attachStoredExchange = async (req, answer) => {
+    if (!supabase || !req.user) return answer;
+
+    try {
+        const stored = await saveExchange({
+            user: req.user,
+            conversationId: req.conversation?.id,
+            question: req.body.question,
+            answer,
+        });
+        scheduleSummaryRefresh(req.user, stored.conversation.id);
+        return { ...answer, ...stored };
+    } catch (error) {
+        logger.error('Saving Guide exchange failed', { error, conversationId: req.conversation?.id });
+        return answer;
+    }
+};
+
+module.exports = {
+    buildExchangeMessages,
+    exchangeTitle,
+    findConversation,
+    saveExchange,
+    attachStoredExchange,
+};
@@ -0,0 +1,347 @@
+const path = require('path');
+const {
+    slugify,
+    validateContent,
+    listContent,
+    createContent,
+    updateContent,
+    publishContent,
+} = require('./content');
+
+/**
+ * FAQ Files
+ *
+ * Reads and writes "The Well" FAQs as files, so the `faqs` table can be seeded from
+ * and reviewed in git (see faqs.js for the commands). Three formats, all describing
+ * `{ slug, category, question, answer_json: { summary, detailed, scriptures } }`:
+ *
+ *   .json  an array of FAQs in exactly that shape (or `{ "faqs": [...] }`)
+ *   .csv   columns slug, category, question, summary, detailed, scriptures ("; " between references)
+ *   .md    one FAQ per file: front matter for slug, category, question, summary and
+ *          scriptures, with the detailed answer as the body
+ *
+ * Entries are matched to existing rows by slug (derived from the question when a file
+ * leaves it out): new ones are created as drafts, changed ones updated in place.
+ */
+const CSV_COLUMNS = ['slug', 'category', 'question', 'summary', 'detailed', 'scriptures'];
+const REQUIRED_CSV_COLUMNS = ['category', 'question', 'summary', 'detailed'];
+const FRONT_MATTER_KEYS = ['slug', 'category', 'question', 'summary', 'scriptures'];
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+const FORMATS = { '.json': 'json', '.csv': 'csv', '.md': 'md', '.markdown': 'md' };
+
+/**
+ * @param {string} filename
+ * @returns {string|null} 'json' | 'csv' | 'md'
+ */
+const formatOf = (filename) => FORMATS[path.extname(filename).toLowerCase()] || null;
+
+const splitScriptures = (value) => value.split(';').map(reference => reference.trim()).filter(Boolean);
+
+// The answer as stored, with `scriptures` only when there are some
+const toAnswer = ({ summary, detailed, scriptures }) => ({
+    summary,
+    detailed,
+    ...(scriptures && scriptures.length > 0 ? { scriptures } : {}),
+});
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+ * newlines and doubled quotes).
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const csvField = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// A front matter value: "double quoted" (JSON escapes), 'single quoted' or plain
+const parseScalar = (value) => {
+    if (value.startsWith('"')) return JSON.parse(value);
+    if (value.startsWith('\'')) return value.slice(1, -1).replace(/''/g, '\'');
+    return value;
+};
+
+/**
+ * Read the simple YAML used in FAQ front matter: `key: value` lines, with lists
+ * written inline (`[a, b]`) or as `- item` lines under an empty key.
+ *
+ * @param {string} text
+ * @returns {{values: Object, issues: string[]}}
+ */
+const parseFrontMatter = (text) => {
+    const values = {};
+    const issues = [];
+    let list = null;
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        try {
+            const item = /^-\s+(.*)$/.exec(trimmed);
+            if (item && list) {
+                list.push(parseScalar(item[1].trim()));
+                return;
+            }
+
+            const entry = /^([A-Za-z_]+):\s*(.*)$/.exec(line);
+            if (!entry) {
+                issues.push(`front matter line ${index + 2} should be "key: value"`);
+                return;
+            }
+
+            const [, key, value] = entry;
+            list = null;
+            if (!value) {
+                list = [];
+                values[key] = list;
+            } else if (value.startsWith('[') && value.endsWith(']')) {
+                values[key] = value.slice(1, -1).split(',').map(part => part.trim()).filter(Boolean).map(parseScalar);
+            } else {
+                values[key] = parseScalar(value);
+            }
+        } catch (error) {
+            issues.push(`front matter line ${index + 2}: ${error.message}`);
+        }
+    });
+    return { values, issues };
+};
+
+const fromJson = (text) => {
+    const data = JSON.parse(text);
+    const faqs = Array.isArray(data) ? data : data?.faqs;
+    if (!Array.isArray(faqs)) return { entries: [], issues: ['should be an array of FAQs or { "faqs": [...] }'] };
+    return { entries: faqs.map((fields, index) => ({ at: `[${index}]`, fields })), issues: [] };
+};
+
+const fromCsv = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim().toLowerCase());
+    const issues = [
+        ...columns.filter(column => !CSV_COLUMNS.includes(column)).map(column => `"${column}" is not a column (expected ${CSV_COLUMNS.join(', ')})`),
+        ...REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column)).map(column => `the "${column}" column is missing`),
+    ];
+    if (issues.length > 0) return { entries: [], issues };
+
+    const entries = rows
+        .map((cells, index) => ({ cells, row: index + 2 }))
+        .filter(({ cells }) => cells.some(cell => cell.trim()))
+        .map(({ cells, row }) => {
+            const value = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()]));
+            return {
+                at: `row ${row}`,
+                fields: {
+                    ...(value.slug ? { slug: value.slug } : {}),
+                    category: value.category,
+                    question: value.question,
+                    answer_json: toAnswer({ ...value, scriptures: splitScriptures(value.scriptures || '') }),
+                },
+            };
+        });
+    return { entries, issues: [] };
+};
+
+const fromMarkdown = (text) => {
+    const match = FRONT_MATTER.exec(text);
+    if (!match) return { entries: [], issues: ['should start with front matter between "---" lines'] };
+
+    const { values, issues } = parseFrontMatter(match[1]);
+    issues.push(...Object.keys(values)
+        .filter(key => !FRONT_MATTER_KEYS.includes(key))
+        .map(key => `"${key}" is not a front matter key (expected ${FRONT_MATTER_KEYS.join(', ')})`));
+    if (typeof values.scriptures === 'string') values.scriptures = splitScriptures(values.scriptures);
+    if (issues.length > 0) return { entries: [], issues };
+
+    const { slug, category, question, summary, scriptures } = values;
+    return {
+        entries: [{
+            at: null,
+            fields: {
+                ...(slug ? { slug } : {}),
+                category,
+                question,
+                answer_json: toAnswer({ summary, detailed: match[2].trim(), scriptures }),
+            },
+        }],
+        issues: [],
+    };
+};
+
+/**
+ * Read the FAQs in one file.
+ *
+ * @param {string} filename - Decides the format by its extension.
+ * @param {string} text - The file's contents.
+ * @returns {{entries: Array<{source: string, fields: Object}>, issues: string[]}}
+ *   Each entry's `source` names the file (and row) it came from, for messages.
+ */
+const parseFaqFile = (filename, text) => {
+    const format = formatOf(filename);
+    if (!format) return { entries: [], issues: [`${filename}: not a .json, .csv or .md file`] };
+
+    try {
+        const content = text.replace(/^\uFEFF/, '');
+        const parsed = { json: fromJson, csv: fromCsv, md: fromMarkdown }[format](content);
+        return {
+            entries: parsed.entries.map(({ at, fields }) => ({ source: at ? `${filename} ${at}` : filename, fields })),
+            issues: parsed.issues.map(issue => `${filename}: ${issue}`),
+        };
+    } catch (error) {
+        return { entries: [], issues: [`${filename}: ${error.message}`] };
+    }
+};
+
+/**
+ * An FAQ row as it is written to files.
+ *
+ * @param {Object} row - A `faqs` row.
+ * @returns {Object} { slug, category, question, answer_json }
+ */
+const toFileEntry = ({ slug, category, question, answer_json: answer }) => ({
+    slug,
+    category,
+    question,
+    answer_json: toAnswer(answer),
+});
+
+/**
+ * Write FAQs in one of the file formats.
+ *
+ * @param {Array} rows - `faqs` rows.
+ * @param {string} format - 'json' or 'csv' (all FAQs in one file) or 'md' (one FAQ).
+ * @returns {string}
+ */
+const formatFaqs = (rows, format) => {
+    const entries = rows.map(toFileEntry);
+    if (format === 'json') return `${JSON.stringify(entries, null, 2)}\n`;
+
+    if (format === 'csv') {
+        const lines = entries.map(({ slug, category, question, answer_json: answer }) => [
+            slug, category, question, answer.summary, answer.detailed, (answer.scriptures || []).join('; '),
+        ].map(csvField).join(','));
+        return `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`;
+    }
+
+    if (format === 'md') {
+        const [{ slug, category, question, answer_json: answer }] = entries;
+        return [
+            '---',
+            `slug: ${slug}`,
+            `category: ${JSON.stringify(category)}`,
+            `question: ${JSON.stringify(question)}`,
+            `summary: ${JSON.stringify(answer.summary)}`,
+            ...(answer.scriptures ? ['scriptures:', ...answer.scriptures.map(reference => `  - ${JSON.stringify(reference)}`)] : []),
+            '---',
+            '',
+            answer.detailed,
+            '',
+        ].join('\n');
+    }
+    throw new Error(`Unknown FAQ format "${format}" (expected json, csv or md)`);
+};
+
+const withSlug = (fields) => (fields && typeof fields === 'object' && !Array.isArray(fields) && fields.slug === undefined
+    ? { slug: slugify(fields.question), ...fields }
+    : fields);
+
+const sameContent = (row, fields) => JSON.stringify(toFileEntry(row)) === JSON.stringify(toFileEntry(fields));
+
+/**
+ * Create or update FAQs by slug. Nothing is written unless every entry is valid.
+ *
+ * @param {Array<{source: string, fields: Object}>} entries - From parseFaqFile.
+ * @param {Object} [options]
+ * @param {boolean} [options.publish] - Publish newly created FAQs straight away (default: drafts).
+ * @param {boolean} [options.dryRun] - Only report what would change.
+ * @returns {Promise<{issues: string[], created: string[], updated: string[], unchanged: string[]}>}
+ *   Slugs by outcome, or the problems that stopped the import.
+ */
+const importFaqs = async (entries, { publish = false, dryRun = false } = {}) => {
+    const prepared = entries.map(({ source, fields }) => ({ source, fields: withSlug(fields) }));
+    const sources = new Map();
+    const issues = prepared.flatMap(({ source, fields }) => {
+        const problems = validateContent('faqs', fields).map(issue => `${source}: ${issue}`);
+        if (problems.length === 0 && sources.has(fields.slug)) {
+            problems.push(`${source}: slug "${fields.slug}" is also used by ${sources.get(fields.slug)}`);
+        }
+        if (problems.length === 0) sources.set(fields.slug, source);
+        return problems;
+    });
+    const result = { issues, created: [], updated: [], unchanged: [] };
+    if (issues.length > 0) return result;
+
+    const existing = new Map((await listContent('faqs')).map(row => [row.slug, row]));
+    for (const { fields } of prepared) {
+        const row = existing.get(fields.slug);
+        if (row && sameContent(row, fields)) {
+            result.unchanged.push(fields.slug);
+        } else if (row) {
+            if (!dryRun) await updateContent('faqs', row.id, fields);
+            result.updated.push(fields.slug);
+        } else {
+            if (!dryRun) {
+                const created = await createContent('faqs', fields);
+                if (publish) await publishContent('faqs', created.id);
+            }
+            result.created.push(fields.slug);
+        }
+    }
+    return result;
+};
+
+/**
+ * Every FAQ, whatever its status, ordered by category and slug for stable files.
+ *
+ * @returns {Promise<Array>} `faqs` rows.
+ */
+const exportFaqs = async () => (await listContent('faqs'))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.slug.localeCompare(b.slug));
+
+module.exports = {
+    formatOf,
+    parseCsv,
+    parseFrontMatter,
+    parseFaqFile,
+    formatFaqs,
+    importFaqs,
+    exportFaqs,
+};
@@ -0,0 +1,93 @@
+const { supabase } = require('./supabase');
+const { getProvider } = require('../providers');
+
+/**
+ * Health Checks
+ *
+ * Reports whether the backend can reach its dependencies, for GET /api/v1/health:
+ *   database - a one-row read from Supabase
+ *   provider - the model provider's model list (no tokens spent), and the circuit breaker state
+ *
+ * Each check is 'up' or 'down'; the overall status is 'ok' only when every check is up.
+ * Results are reused for HEALTH_CACHE_MS (default 10s) so frequent probes do not hammer the provider.
+ */
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 3000;
+const CACHE_MS = parseInt(process.env.HEALTH_CACHE_MS, 10) || 10000;
+
+const startedAt = Date.now();
+
+const timed = async (check, timeoutMs) => {
+    const start = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+    });
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { status: 'up', latencyMs: Date.now() - start, ...details };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - start, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * @param {Object} client - Supabase client, or null when not configured.
+ */
+const checkDatabase = (client, timeoutMs) => {
+    if (!client) return { status: 'down', error: 'Supabase is not configured' };
+    return timed(async () => {
+        const { error } = await client.from('usage_tracking').select('id', { head: true }).limit(1);
+        if (error) throw new Error(error.message);
+    }, timeoutMs);
+};
+
+/**
+ * @param {Object} provider - Provider from getProvider() (with its circuit breaker).
+ */
+const checkProvider = async (provider, timeoutMs) => {
+    const identity = { name: provider.name, model: provider.model, circuit: provider.breaker?.state ?? 'closed' };
+    if (identity.circuit === 'open') return { status: 'down', ...identity, error: 'Circuit open after repeated failures' };
+
+    return { ...await timed(async () => { await provider.listModels(); }, timeoutMs), ...identity };
+};
+
+/**
+ * Run every check now.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.provider]
+ * @param {Object|null} [options.client]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{status: 'ok'|'degraded', uptimeSeconds: number, checks: Object}>}
+ */
+const checkHealth = async ({ provider = getProvider(), client = supabase, timeoutMs = CHECK_TIMEOUT_MS } = {}) => {
+    const [database, model] = await Promise.all([
+        checkDatabase(client, timeoutMs),
+        checkProvider(provider, timeoutMs),
+    ]);
+    const checks = { database, provider: model };
+
+    return {
+        status: Object.values(checks).every(check => check.status === 'up') ? 'ok' : 'degraded',
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        checks,
+    };
+};
+
+let cached = null;
+
+/**
+ * Latest health report, re-checked at most every HEALTH_CACHE_MS.
+ *
+ * @returns {Promise<Object>}
+ */
+const getHealth = async () => {
+    if (!cached || Date.now() - cached.at >= CACHE_MS) {
+        cached = { at: Date.now(), report: checkHealth() };
+    }
+    return cached.report;
+};
+
+module.exports = { checkHealth, getHealth };
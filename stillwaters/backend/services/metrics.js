@@ -0,0 +1,117 @@
+/**
+ * Metrics
+ *
+ * In-process counters and latency histograms, served by GET /metrics in the
+ * Prometheus text format. Values are per process and reset on restart.
+ *
+ *   stillwaters_http_requests_total{method, route, status}
+ *   stillwaters_http_request_duration_seconds{method, route}      (histogram)
+ *   stillwaters_guide_answers_total{outcome}                      answered | cached | crisis | fallback | error
+ *   stillwaters_model_calls_total{provider, feature, outcome}     ok | error
+ *   stillwaters_model_call_duration_seconds{provider, feature}    (histogram)
+ */
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const seriesKey = (labels) => JSON.stringify(labels);
+
+const createCounter = (name, help) => {
+    const series = new Map();
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines.join('\n');
+        },
+        reset: () => series.clear(),
+    };
+};
+
+const createHistogram = (name, help, buckets = DURATION_BUCKETS) => {
+    const series = new Map();
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+            series.set(key, entry);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        },
+        reset: () => series.clear(),
+    };
+};
+
+const httpRequests = createCounter('stillwaters_http_requests_total', 'HTTP requests handled.');
+const httpDuration = createHistogram('stillwaters_http_request_duration_seconds', 'HTTP request latency in seconds.');
+const guideAnswers = createCounter('stillwaters_guide_answers_total', 'Guide questions by how they were answered.');
+const modelCalls = createCounter('stillwaters_model_calls_total', 'Model provider calls.');
+const modelDuration = createHistogram('stillwaters_model_call_duration_seconds', 'Model provider call latency in seconds.');
+
+const ALL = [httpRequests, httpDuration, guideAnswers, modelCalls, modelDuration];
+
+/**
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.route - Route pattern (not the raw path), to keep label values bounded.
+ * @param {number} request.status
+ * @param {number} request.durationMs
+ */
+const recordRequest = ({ method, route, status, durationMs }) => {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationMs / 1000);
+};
+
+/**
+ * @param {string} outcome - answered | cached | crisis | fallback | error
+ */
+const recordAnswer = (outcome) => guideAnswers.inc({ outcome });
+
+/**
+ * @param {Object} call
+ * @param {string} call.provider
+ * @param {string} call.feature
+ * @param {boolean} call.ok
+ * @param {number} call.durationMs
+ */
+const recordModelCall = ({ provider, feature, ok, durationMs }) => {
+    modelCalls.inc({ provider, feature, outcome: ok ? 'ok' : 'error' });
+    modelDuration.observe({ provider, feature }, durationMs / 1000);
+};
+
+/**
+ * @returns {string} All metrics in the Prometheus text exposition format.
+ */
+const renderMetrics = () => `${ALL.map(metric => metric.render()).join('\n\n')}\n`;
+
+const resetMetrics = () => ALL.forEach(metric => metric.reset());
+
+module.exports = { recordRequest, recordAnswer, recordModelCall, renderMetrics, resetMetrics, DURATION_BUCKETS };
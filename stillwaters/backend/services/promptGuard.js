@@ -0,0 +1,54 @@
+/**
+ * Prompt Guard
+ *
+ * Keeps user text from being read as instructions to the model.
+ *
+ * User content never goes into the system prompt as-is: questions are wrapped in
+ * <user_question> tags (earlier questions in <earlier_questions>, conversation summaries
+ * in <conversation_summary>), and the system
+ * prompt tells the model that anything inside those tags is only a question to answer.
+ * Tags typed by the user are stripped so they cannot close the block early.
+ *
+ * Obvious attempts to override the instructions are rejected before the model is called.
+ */
+const USER_CONTENT_TAGS = /<\s*\/?\s*(user_question|earlier_questions|conversation_summary|transcript)\s*>/gi;
+
+/**
+ * Remove our delimiter tags from user text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const stripDelimiters = (text) => text.replace(USER_CONTENT_TAGS, '');
+
+/**
+ * Wrap a user question for the model.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const wrapUserQuestion = (text) => `<user_question>\n${stripDelimiters(text).trim()}\n</user_question>`;
+
+const OVERRIDE_RULES = [
+    // Aimed at the assistant's own instructions, not rules in general ("ignore the rules my parents set")
+    { id: 'ignore_instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b.{0,40}\b(previous|prior|above|earlier|your|system)\b.{0,20}\b(instructions?|prompts?|rules|guidelines|directions)\b/ },
+    { id: 'reveal_prompt', pattern: /\b(reveal|show|print|repeat|output|tell me|what (is|are))\b.{0,30}\b(system prompt|your (initial |original |hidden |secret )?prompt)\b|\b(reveal|print|repeat|output)\b.{0,30}\byour (initial |original |hidden |secret |system )?(instructions|rules|guidelines)\b/ },
+    { id: 'role_change', pattern: /\b(from now on|starting now|for the rest of this)\b.{0,30}\byou (are|will|must|should)\b/ },
+    { id: 'new_instructions', pattern: /\b(new|updated|real) (system )?(instructions|prompt|rules)\s*:/ },
+    { id: 'jailbreak', pattern: /\b(jailbreak|developer mode|dan mode|do anything now)\b/ },
+    { id: 'delimiter', pattern: /<\s*\/?\s*(system|user_question|earlier_questions|conversation_summary|transcript)\s*>/ },
+];
+
+/**
+ * Check text for an attempt to override The Guide's instructions.
+ *
+ * @param {string} text
+ * @returns {string|null} The id of the rule that matched, or null.
+ */
+const detectInstructionOverride = (text) => {
+    const normalized = (typeof text === 'string' ? text : '').toLowerCase().replace(/\s+/g, ' ');
+    const rule = OVERRIDE_RULES.find(candidate => candidate.pattern.test(normalized));
+    return rule ? rule.id : null;
+};
+
+module.exports = { stripDelimiters, wrapUserQuestion, detectInstructionOverride };
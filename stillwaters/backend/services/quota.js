@@ -0,0 +1,73 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Question Quota Service
+ *
+ * Tracks how many questions each account has asked The Guide today.
+ * Usage is stored server-side in the `usage_tracking` table (one row per answered
+ * question) so the allowance cannot be reset by reinstalling the app or switching IPs.
+ *
+ * Days are counted in UTC.
+ */
+const CHAT_FEATURE = 'chat';
+
+const DAILY_LIMITS = {
+    free: parseInt(process.env.MAX_FREE_QUESTIONS, 10) || 5,
+    premium: parseInt(process.env.MAX_PREMIUM_QUESTIONS, 10) || 100,
+};
+
+/**
+ * Resolve the subscription tier for a user.
+ * Read from `app_metadata`, which only the service role can write.
+ *
+ * @param {Object} user - Supabase auth user.
+ * @returns {'free'|'premium'}
+ */
+const getTier = (user) => (user?.app_metadata?.subscription_tier === 'premium' ? 'premium' : 'free');
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Get today's quota for a user.
+ *
+ * @param {Object} user - Supabase auth user.
+ * @returns {Promise<{tier: string, limit: number, used: number, remaining: number, resetAt: string}>}
+ */
+const getQuota = async (user) => {
+    const dayStart = startOfUtcDay();
+    const { count, error } = await supabase
+        .from('usage_tracking')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .eq('feature', CHAT_FEATURE)
+        .gte('created_at', dayStart.toISOString());
+
+    if (error) throw error;
+
+    const tier = getTier(user);
+    const limit = DAILY_LIMITS[tier];
+    const used = count || 0;
+
+    return {
+        tier,
+        limit,
+        used,
+        remaining: Math.max(limit - used, 0),
+        resetAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+    };
+};
+
+/**
+ * Record one answered question against the user's allowance.
+ *
+ * @param {Object} user - Supabase auth user.
+ */
+const recordQuestion = async (user) => {
+    const { error } = await supabase
+        .from('usage_tracking')
+        .insert([{ user_id: user.id, feature: CHAT_FEATURE, action: 'question' }]);
+
+    if (error) throw error;
+};
+
+module.exports = { getQuota, recordQuestion, getTier, DAILY_LIMITS };
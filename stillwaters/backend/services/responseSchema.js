@@ -0,0 +1,130 @@
+/**
+ * Guide Response Schema
+ *
+ * The declared shape of every answer The Guide sends to the app, and the
+ * helpers used to check raw model output against it before it leaves the backend.
+ *
+ * Schemas are plain objects with a small vocabulary:
+ *   type: 'object' | 'array' | 'string' | 'boolean'
+ *   properties / required (objects), items / minItems (arrays), minLength / maxLength (strings)
+ */
+const scriptureSchema = {
+    type: 'object',
+    required: ['reference', 'text', 'translation'],
+    properties: {
+        reference: { type: 'string', minLength: 1 },
+        text: { type: 'string', minLength: 1 },
+        translation: { type: 'string', minLength: 1 },
+    },
+};
+
+const GUIDE_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['title', 'contested', 'interpretations', 'application', 'related_verses'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        // True when Christian traditions answer the question differently
+        contested: { type: 'boolean' },
+        interpretations: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['tradition', 'view', 'scriptures'],
+                properties: {
+                    tradition: { type: 'string', minLength: 1 },
+                    view: { type: 'string', minLength: 1 },
+                    scriptures: { type: 'array', items: scriptureSchema },
+                },
+            },
+        },
+        application: { type: 'string', minLength: 1 },
+        related_verses: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+};
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] - Location used in error messages.
+ * @returns {string[]} Human readable problems; empty when the value is valid.
+ */
+const validate = (schema, value, path = 'response') => {
+    const actualType = typeOf(value);
+    if (actualType !== schema.type) {
+        return [`${path} should be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}, got ${actualType}`];
+    }
+
+    if (schema.type === 'boolean') {
+        return [];
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) return [`${path} should not be empty`];
+        return schema.maxLength && value.length > schema.maxLength ? [`${path} should be at most ${schema.maxLength} characters`] : [];
+    }
+
+    if (schema.type === 'array') {
+        const errors = schema.minItems && value.length < schema.minItems
+            ? [`${path} should have at least ${schema.minItems} item(s)`]
+            : [];
+        return value.reduce((all, item, index) => all.concat(validate(schema.items, item, `${path}[${index}]`)), errors);
+    }
+
+    const errors = (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .map(key => `${path}.${key} is required`);
+
+    return Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .reduce((all, [key, propertySchema]) => all.concat(validate(propertySchema, value[key], `${path}.${key}`)), errors);
+};
+
+/**
+ * Parse raw model output into JSON.
+ * Tolerates markdown code fences and stray text around the JSON object.
+ *
+ * @param {string} text - Raw model output.
+ * @returns {{value: *, errors: string[]}}
+ */
+const parseJson = (text) => {
+    const cleaned = (text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1) {
+        return { value: null, errors: ['Output does not contain a JSON object'] };
+    }
+
+    try {
+        return { value: JSON.parse(end > start ? cleaned.substring(start, end + 1) : cleaned.substring(start)), errors: [] };
+    } catch (error) {
+        return { value: null, errors: [`Output is not valid JSON: ${error.message}`] };
+    }
+};
+
+/**
+ * Parse and validate a Guide answer.
+ *
+ * @param {string} text - Raw model output.
+ * @returns {{value: Object|null, errors: string[]}} `errors` is empty when the answer is usable.
+ */
+const parseGuideResponse = (text) => {
+    const { value, errors } = parseJson(text);
+    if (errors.length > 0) return { value: null, errors };
+
+    const schemaErrors = validate(GUIDE_RESPONSE_SCHEMA, value);
+    if (schemaErrors.length === 0 && value.contested && value.interpretations.length < 2) {
+        schemaErrors.push('response.interpretations should include at least 2 traditions when contested is true');
+    }
+    return { value: schemaErrors.length > 0 ? null : value, errors: schemaErrors };
+};
+
+module.exports = { GUIDE_RESPONSE_SCHEMA, validate, parseJson, parseGuideResponse };
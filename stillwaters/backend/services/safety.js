@@ -0,0 +1,192 @@
+const { supabase } = require('./supabase');
+const { parseJson } = require('./responseSchema');
+const { getProvider } = require('../providers');
+const { logger } = require('../utils/logger');
+
+/**
+ * Safety Service
+ *
+ * Screens questions for crisis and self-harm risk before they reach the model.
+ *
+ * Risk levels:
+ *   'high'    - the user may be in danger (e.g. "I want to end my life"). The Guide
+ *               is not called; the user gets a compassionate reply with crisis resources.
+ *   'concern' - the topic is sensitive but not a personal disclosure (e.g. "Is suicide
+ *               a sin?"). The question is answered normally, with the resources attached.
+ *   'none'
+ *
+ * Keyword rules always run. An optional model check (SAFETY_MODEL_CHECK=true) also
+ * classifies questions the rules did not flag as high risk, to catch indirect wording.
+ */
+const MODEL_CHECK_ENABLED = process.env.SAFETY_MODEL_CHECK === 'true';
+
+// First-person statements of intent or despair
+const HIGH_RISK_RULES = [
+    { id: 'self_harm_intent', pattern: /\b(kill|hurt|harm|cut|cutting|hurting|harming|killing)\s+my\s?self\b/ },
+    { id: 'end_life', pattern: /\b(end|take|ending|taking)\s+my\s+(own\s+)?life\b/ },
+    { id: 'end_it_all', pattern: /\b(i|im|ive)\b.{0,30}\b(end|ending)\s+it\s+all\b/ },
+    // Not "I don't want to die", "die to self" / "die to sin", nor "is it okay to want to die...?" (a concern)
+    { id: 'want_to_die', pattern: /(?<!dont |do not |(okay|ok|wrong|normal|bad|sinful|a sin) to )\b(want|wanna|plan|planning)\s+(to\s+)?die\b(?!\s+to\s+(self|myself|sin|the\s+flesh))/ },
+    { id: 'wish_dead', pattern: /\b(wish\s+i\s+(was|were)\s+dead|better\s+off\s+dead|better\s+off\s+without\s+me)\b/ },
+    { id: 'no_reason_to_live', pattern: /\b(no|nothing\s+to|any)\s+(reason|point)\s+(to|in|of)\s+(go(ing)?\s+on(\s+living)?|live|living|being\s+alive)\b/ },
+    { id: 'dont_want_to_live', pattern: /\bdont\s+want\s+to\s+(live|be\s+alive|be\s+here|wake\s+up|exist)\b/ },
+    { id: 'cant_go_on', pattern: /\b(cant|cannot|can not)\s+(go\s+on|keep\s+going|keep\s+living)\s+(anymore|any\s+more|any\s+longer|like\s+this)\b/ },
+    { id: 'nobody_would_care', pattern: /\b(no\s?one|nobody)\s+(would|will|is\s+going\s+to)\s+(even\s+)?(care|notice|miss\s+me)\s+if\s+i\s+(was|were|am|died|disappeared|left)\b/ },
+    { id: 'suicidal_self', pattern: /\b(i\s+am|im|i\s+feel|feeling|been)\s+(so\s+|really\s+|very\s+)?suicidal\b/ },
+    { id: 'suicide_thoughts', pattern: /\b(i|im|i\s+am|ive\s+been|i\s+have\s+been|i\s+keep|been)\s+(thinking\s+(about|of)|considering|planning|contemplating)\s+(suicide|killing\s+myself|ending\s+it)\b|\b(i\s+have|im\s+having|i\s+am\s+having|i\s+keep\s+having)\s+suicidal\s+thoughts\b/ },
+];
+
+// Sensitive topics asked about in general terms
+const CONCERN_RULES = [
+    { id: 'suicide_topic', pattern: /\bsuicid(e|al)\b/ },
+    { id: 'self_harm_topic', pattern: /\bself[\s-]?harm/ },
+    { id: 'overdose_topic', pattern: /\boverdos(e|ing)\b/ },
+    { id: 'death_wish_topic', pattern: /(?<!dont |do not )\b(want|wanting)\s+to\s+die\b(?!\s+to\s+(self|myself|sin|the\s+flesh))/ },
+];
+
+const normalizeText = (text) => (typeof text === 'string' ? text : '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/\s+/g, ' ');
+
+/**
+ * Classify a question with the keyword rules.
+ *
+ * @param {string} text
+ * @returns {{level: 'high'|'concern'|'none', source: 'rules'|null, rule: string|null}}
+ */
+const classifyByRules = (text) => {
+    const normalized = normalizeText(text);
+    const high = HIGH_RISK_RULES.find(rule => rule.pattern.test(normalized));
+    if (high) return { level: 'high', source: 'rules', rule: high.id };
+
+    const concern = CONCERN_RULES.find(rule => rule.pattern.test(normalized));
+    if (concern) return { level: 'concern', source: 'rules', rule: concern.id };
+
+    return { level: 'none', source: null, rule: null };
+};
+
+const CLASSIFIER_PROMPT = `You screen messages sent to a Christian mentoring app for suicide and self-harm risk.
+Classify the user's message and reply with JSON only: {"risk": "high" | "concern" | "none"}
+- "high": the writer may be thinking of ending their life or harming themselves, stated directly or indirectly.
+- "concern": the message discusses suicide or self-harm as a topic without personal risk.
+- "none": anything else.`;
+
+/**
+ * Ask the model to classify a question. Returns null when the check fails,
+ * so the rules' result stands.
+ *
+ * @param {string} text
+ * @param {Object} provider
+ * @returns {Promise<'high'|'concern'|'none'|null>}
+ */
+const classifyByModel = async (text, provider) => {
+    try {
+        const result = await provider.generate({
+            system: CLASSIFIER_PROMPT,
+            messages: [{ role: 'user', text }],
+            json: true,
+        });
+        const { value } = parseJson(result.text);
+        return ['high', 'concern', 'none'].includes(value?.risk) ? value.risk : null;
+    } catch (error) {
+        logger.error('Safety model check failed', { error: error.message });
+        return null;
+    }
+};
+
+/**
+ * Assess the risk level of a question.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.modelCheck] - Also ask the model (default: SAFETY_MODEL_CHECK).
+ * @param {Object} [options.provider]
+ * @returns {Promise<{level: string, source: string|null, rule: string|null}>}
+ */
+const assessRisk = async (text, { modelCheck = MODEL_CHECK_ENABLED, provider } = {}) => {
+    const byRules = classifyByRules(text);
+    if (byRules.level === 'high' || !modelCheck) return byRules;
+
+    const byModel = await classifyByModel(text, provider || getProvider());
+    if (byModel === 'high' || (byModel === 'concern' && byRules.level === 'none')) {
+        return { level: byModel, source: 'model', rule: null };
+    }
+    return byRules;
+};
+
+const CRISIS_RESOURCES = [
+    {
+        name: '988 Suicide & Crisis Lifeline',
+        detail: 'Call or text 988 (US), any time',
+        url: 'tel:988',
+    },
+    {
+        name: 'Crisis Text Line',
+        detail: 'Text HOME to 741741 (US)',
+        url: 'sms:741741',
+    },
+    {
+        name: 'Find a Helpline',
+        detail: 'Free, confidential support in other countries',
+        url: 'https://findahelpline.com',
+    },
+];
+
+/**
+ * The reply sent instead of a Guide answer for high-risk messages.
+ * Same shape as a Guide response, plus `crisis: true` and `resources`.
+ */
+const CRISIS_RESPONSE = {
+    title: 'You Are Not Alone',
+    contested: false,
+    crisis: true,
+    interpretations: [
+        {
+            tradition: 'Historic Christian',
+            view: "I'm really glad you told me. What you're carrying sounds incredibly heavy, and you don't have to carry it alone. Please reach out right now to someone who can be with you in this: a crisis line, a trusted friend, or a pastor. If you are in immediate danger, call 911 or your local emergency number.\n\nYour life matters deeply, to the people around you and to God, who is close to the brokenhearted.",
+            scriptures: [
+                {
+                    reference: 'Psalm 34:18',
+                    text: 'The LORD is nigh unto them that are of a broken heart; and saveth such as be of a contrite spirit.',
+                    translation: 'KJV',
+                    verified: true,
+                },
+            ],
+        },
+    ],
+    application: 'Reach out to one of the people or lines below today. Talking to someone is a brave and faithful step.',
+    related_verses: ['Matthew 11:28', 'Isaiah 41:10'],
+    resources: CRISIS_RESOURCES,
+};
+
+/**
+ * Record a safety event. The question text is never stored.
+ * Failures are logged and ignored.
+ *
+ * @param {Object} user - Supabase auth user.
+ * @param {{level: string, source: string|null, rule: string|null}} assessment
+ */
+const logSafetyEvent = async (user, { level, source, rule }) => {
+    logger.warn('Safety event', { userId: user?.id, level, source, rule });
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('safety_events')
+            .insert([{ user_id: user?.id ?? null, level, source, rule }]);
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Safety event logging failed', { error });
+    }
+};
+
+module.exports = {
+    MODEL_CHECK_ENABLED,
+    classifyByRules,
+    classifyByModel,
+    assessRisk,
+    logSafetyEvent,
+    CRISIS_RESOURCES,
+    CRISIS_RESPONSE,
+};
@@ -0,0 +1,114 @@
+/**
+ * Streaming Helpers
+ *
+ * Support for the Server-Sent Events variant of the chat route.
+ *
+ * The model streams its answer as raw JSON text, so the user-facing `view`
+ * has to be picked out of a document that is still being written.
+ * `createViewExtractor` does that incrementally: feed it each chunk and it
+ * returns only the newly decoded characters of the first `view` string.
+ */
+
+const VIEW_KEY = /"view"\s*:\s*"/;
+
+const ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+};
+
+/**
+ * Decode as much of a JSON string body as is available.
+ * Stops before an incomplete escape sequence so it can be completed by the next chunk.
+ *
+ * @param {string} source - Text starting right after the opening quote.
+ * @returns {{value: string, complete: boolean}}
+ */
+const decodePartialString = (source) => {
+    let value = '';
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '"') {
+            return { value, complete: true };
+        }
+        if (char !== '\\') {
+            value += char;
+            i += 1;
+            continue;
+        }
+
+        const next = source[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = source.substring(i + 2, i + 6);
+            if (hex.length < 4) break;
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 6;
+        } else {
+            value += ESCAPES[next] ?? next;
+            i += 2;
+        }
+    }
+    return { value, complete: false };
+};
+
+/**
+ * Create an incremental extractor for the first `view` field of the model's JSON.
+ *
+ * @returns {{push: (chunk: string) => string, text: () => string}}
+ */
+const createViewExtractor = () => {
+    let buffer = '';
+    let emitted = '';
+    let done = false;
+
+    return {
+        /**
+         * Add a chunk of raw model output.
+         * @returns {string} Newly available view text (may be empty).
+         */
+        push: (chunk) => {
+            buffer += chunk;
+            if (done) return '';
+
+            const match = VIEW_KEY.exec(buffer);
+            if (!match) return '';
+
+            const { value, complete } = decodePartialString(buffer.substring(match.index + match[0].length));
+            done = complete;
+            const delta = value.substring(emitted.length);
+            emitted = value;
+            return delta;
+        },
+        /** The raw model output received so far. */
+        text: () => buffer,
+    };
+};
+
+/**
+ * Switch a response into Server-Sent Events mode.
+ *
+ * @param {import('express').Response} res
+ * @returns {(event: string, data: Object) => void} Function that writes one event.
+ */
+const openEventStream = (res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering so tokens arrive live
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
+
+module.exports = { createViewExtractor, decodePartialString, openEventStream };
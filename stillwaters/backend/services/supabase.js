@@ -0,0 +1,27 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase Admin Client
+ *
+ * Server-side client used to verify user access tokens and to read/write
+ * tables the app is not allowed to touch directly (e.g. usage tracking).
+ *
+ * Uses the service role key, so it bypasses Row Level Security.
+ * Never expose this key to the mobile app.
+ *
+ * Exported as null when the environment is not configured so callers can
+ * fail closed instead of crashing on startup.
+ */
+const supabaseUrl = process.env.SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = supabaseUrl && serviceRoleKey
+    ? createClient(supabaseUrl, serviceRoleKey, {
+        auth: {
+            persistSession: false,
+            autoRefreshToken: false,
+        },
+    })
+    : null;
+
+module.exports = { supabase };
@@ -0,0 +1,140 @@
+const { supabase } = require('./supabase');
+const { logger } = require('../utils/logger');
+const { noteSpend } = require('./budget');
+const { recordModelCall } = require('./metrics');
+
+/**
+ * Model Usage Accounting
+ *
+ * Records every model call (prompt/response tokens, model and estimated cost)
+ * against the user who caused it, in the `model_usage` table.
+ *
+ * Calls are metered by wrapping the provider for the request with `meterProvider`,
+ * so chat answers, repair passes and safety checks are all counted the same way.
+ * The same wrapper times each call for the model metrics (see services/metrics.js).
+ */
+
+// USD per million tokens. Override or extend with MODEL_PRICING, e.g.
+// MODEL_PRICING={"my-model": {"input": 0.2, "output": 0.8}}
+const DEFAULT_PRICING = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    fixture: { input: 0, output: 0 },
+};
+
+const parsePricing = (json) => {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        logger.error('Ignoring invalid MODEL_PRICING', { error });
+        return {};
+    }
+};
+
+const MODEL_PRICING = { ...DEFAULT_PRICING, ...parsePricing(process.env.MODEL_PRICING) };
+
+/**
+ * Estimate the cost of one call.
+ * Models without a price are logged and costed at zero, so add them to MODEL_PRICING.
+ *
+ * @param {string} model
+ * @param {{promptTokens: number, responseTokens: number}} usage
+ * @param {Object} [pricing]
+ * @returns {number} Cost in USD.
+ */
+const estimateCost = (model, usage, pricing = MODEL_PRICING) => {
+    const price = pricing[model];
+    if (!price) {
+        logger.warn(`No price configured for model "${model}"; recording its cost as 0`, { model });
+        return 0;
+    }
+    return ((usage.promptTokens || 0) * price.input + (usage.responseTokens || 0) * price.output) / 1e6;
+};
+
+/**
+ * Store one model call. Failures are logged; they never fail the request.
+ *
+ * @param {Object} entry
+ * @param {Object} [entry.user] - Supabase auth user.
+ * @param {string} entry.feature - What the call was for ('chat', 'safety', ...).
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {{promptTokens: number, responseTokens: number}} entry.usage
+ */
+const recordModelUsage = async ({ user, feature, provider, model, usage }) => {
+    const cost = estimateCost(model, usage);
+    noteSpend(cost);
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('model_usage')
+            .insert([{
+                user_id: user?.id ?? null,
+                feature,
+                provider,
+                model,
+                prompt_tokens: usage.promptTokens || 0,
+                response_tokens: usage.responseTokens || 0,
+                cost_usd: cost,
+            }]);
+        if (error) throw error;
+    } catch (error) {
+        logger.error('Model usage recording failed', { error });
+    }
+};
+
+/**
+ * Wrap a provider so every call it makes is recorded (and timed) for one user and feature.
+ *
+ * @param {Object} provider - An LLM provider (see providers/index.js).
+ * @param {Object} context
+ * @param {Object} [context.user]
+ * @param {string} context.feature
+ * @param {Function} [context.record] - Recorder, overridable in tests.
+ * @returns {Object} Provider with the same interface.
+ */
+const meterProvider = (provider, { user, feature, record = recordModelUsage }) => {
+    const track = (usage) => {
+        if (usage) record({ user, feature, provider: provider.name, model: provider.model, usage });
+    };
+    const time = (start, ok) => recordModelCall({ provider: provider.name, feature, ok, durationMs: Date.now() - start });
+
+    return {
+        ...provider,
+
+        generate: async (request) => {
+            const start = Date.now();
+            try {
+                const result = await provider.generate(request);
+                time(start, true);
+                track(result.usage);
+                return result;
+            } catch (error) {
+                time(start, false);
+                throw error;
+            }
+        },
+
+        stream: async function* (request) {
+            const start = Date.now();
+            try {
+                for await (const event of provider.stream(request)) {
+                    if (event.type === 'usage') track(event.usage);
+                    yield event;
+                }
+                time(start, true);
+            } catch (error) {
+                time(start, false);
+                throw error;
+            }
+        },
+    };
+};
+
+module.exports = { DEFAULT_PRICING, MODEL_PRICING, estimateCost, recordModelUsage, meterProvider };
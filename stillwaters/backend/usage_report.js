@@ -0,0 +1,91 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+const { supabase } = require('./services/supabase');
+const { DAILY_SPEND_LIMIT_USD, startOfUtcDay } = require('./services/budget');
+
+/**
+ * Usage Report
+ *
+ * Summarizes model spend from the `model_usage` table: per day, per model and
+ * the heaviest users. Needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in backend/.env.
+ *
+ * Usage: npm run usage-report [-- --days 7]
+ */
+const PAGE_SIZE = 1000;
+
+const parseDays = (args) => {
+    const index = args.indexOf('--days');
+    const days = index === -1 ? 7 : parseInt(args[index + 1], 10);
+    return Number.isInteger(days) && days > 0 ? days : 7;
+};
+
+const fetchUsage = async (since) => {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('model_usage')
+            .select('user_id, feature, model, prompt_tokens, response_tokens, cost_usd, created_at')
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+};
+
+/**
+ * Group rows and add up calls, tokens and cost.
+ *
+ * @param {Array} rows
+ * @param {(row: Object) => string} keyOf
+ * @returns {Array<{key: string, calls: number, tokens: number, cost: number}>}
+ */
+const summarize = (rows, keyOf) => Object.values(rows.reduce((groups, row) => {
+    const key = keyOf(row);
+    const group = groups[key] || (groups[key] = { key, calls: 0, tokens: 0, cost: 0 });
+    group.calls += 1;
+    group.tokens += row.prompt_tokens + row.response_tokens;
+    group.cost += Number(row.cost_usd);
+    return groups;
+}, {}));
+
+const printTable = (title, groups) => {
+    console.log(`\n${title}`);
+    if (groups.length === 0) {
+        console.log('  (no usage)');
+        return;
+    }
+    groups.forEach(({ key, calls, tokens, cost }) => {
+        console.log(`  ${key.padEnd(38)} ${String(calls).padStart(7)} calls ${String(tokens).padStart(11)} tokens   $${cost.toFixed(4)}`);
+    });
+};
+
+async function usageReport() {
+    try {
+        if (!supabase) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+        }
+
+        const days = parseDays(process.argv.slice(2));
+        const since = new Date(startOfUtcDay().getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+        const rows = await fetchUsage(since);
+        const total = rows.reduce((sum, row) => sum + Number(row.cost_usd), 0);
+
+        console.log(`Model usage for the last ${days} day(s) (UTC, since ${since.toISOString().substring(0, 10)})`);
+        console.log(`Total: ${rows.length} calls, $${total.toFixed(4)}`);
+        if (DAILY_SPEND_LIMIT_USD) {
+            console.log(`Daily spending ceiling: $${DAILY_SPEND_LIMIT_USD.toFixed(2)}`);
+        }
+
+        printTable('By day', summarize(rows, row => row.created_at.substring(0, 10)));
+        printTable('By model', summarize(rows, row => `${row.model} (${row.feature})`).sort((a, b) => b.cost - a.cost));
+        printTable('Top users', summarize(rows, row => row.user_id || 'unknown').sort((a, b) => b.cost - a.cost).slice(0, 10));
+    } catch (error) {
+        console.error('Error building usage report:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+usageReport();
@@ -0,0 +1,67 @@
+const { logger } = require('./logger');
+
+/**
+ * API Errors
+ *
+ * Every error the backend returns to the app has the same JSON shape:
+ *   { error: 'Human readable message', code: 'MACHINE_READABLE_CODE', ...details }
+ *
+ * The `error` string is safe to show to the user as-is, and `code` lets the
+ * client branch on the failure (e.g. prompt to sign in again on UNAUTHORIZED).
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code.
+     * @param {string} code - Stable, machine readable error code.
+     * @param {string} message - User facing message.
+     * @param {Object} [details] - Extra fields merged into the response body.
+     */
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Raised when the model's answer still does not match the Guide response
+ * schema after the automatic repair attempt.
+ * The validation problems are kept on `issues` for logging and are not sent to the app.
+ */
+class ModelOutputError extends ApiError {
+    /**
+     * @param {string[]} issues - Validation problems from the last attempt.
+     */
+    constructor(issues) {
+        super(502, 'INVALID_MODEL_OUTPUT', "The Guide's answer came back unclear. Please try asking again.");
+        this.name = 'ModelOutputError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Send an error response in the standard shape.
+ * Unknown errors are logged and reported as a generic 500.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} error
+ */
+const sendError = (res, error) => {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            ...error.details,
+        });
+    }
+
+    logger.error('Unhandled error', { error });
+    return res.status(500).json({
+        error: 'Something went wrong in the waters. Please try again.',
+        code: 'INTERNAL_ERROR',
+    });
+};
+
+module.exports = { ApiError, ModelOutputError, sendError };
@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line, e.g.
+ *   {"time":"2026-10-19T12:00:00.000Z","level":"info","msg":"request","requestId":"...","status":200}
+ *
+ * Fields bound with `withLogContext` (the request id, set by the request middleware)
+ * are added to every line logged while that request is handled, including from services.
+ * Errors passed as `error` are reduced to name, message, code, status and stack.
+ *
+ * Env: LOG_LEVEL ('debug' | 'info' | 'warn' | 'error', default 'info').
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+const minimumLevel = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * @param {*} error
+ * @returns {Object}
+ */
+const serializeError = (error) => {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.status ? { status: error.status } : {}),
+        stack: error.stack,
+    };
+};
+
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < minimumLevel()) return;
+
+    const { error, ...rest } = fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context.getStore(),
+        ...rest,
+        ...(error !== undefined ? { error: serializeError(error) } : {}),
+    };
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+};
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Run `fn` with `fields` added to every log line written during it (including async work it starts).
+ *
+ * @param {Object} fields
+ * @param {Function} fn
+ */
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+module.exports = { logger, withLogContext, serializeError };
@@ -3,4 +3,6 @@ module.exports = {
     transformIgnorePatterns: [
         'node_modules/(?!((jest-)?react-native|@react-native(-community)?)|expo(nent)?|@expo(nent)?/.*|@expo-google-fonts/.*|react-navigation|@react-navigation/.*|@unimodules/.*|unimodules|sentry-expo|native-base|react-native-svg|@rneui/.*|react-native-vector-icons)'
     ],
+    // The backend has its own package and test suite (cd backend && npm test)
+    testPathIgnorePatterns: ['/node_modules/', '<rootDir>/backend/'],
 };
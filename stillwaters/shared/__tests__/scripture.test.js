@@ -0,0 +1,263 @@
+import {
+    BOOKS,
+    findBook,
+    parseReference,
+    parseReferences,
+    formatReference,
+    formatReferences,
+    normalizeReference,
+    findReferences,
+} from '../scripture';
+
+const verses = (book, chapter, verseStart, verseEnd = verseStart) => ({ book, chapter, verseStart, verseEnd });
+const chapterOf = (book, chapter) => ({ book, chapter, verseStart: null, verseEnd: null });
+
+describe('BOOKS', () => {
+    it('lists the 66 books of the Protestant canon with their chapters', () => {
+        expect(BOOKS).toHaveLength(66);
+        expect(BOOKS[0]).toEqual({ name: 'Genesis', chapters: 50 });
+        expect(BOOKS[65]).toEqual({ name: 'Revelation', chapters: 22 });
+        expect(BOOKS.reduce((sum, book) => sum + book.chapters, 0)).toBe(1189);
+    });
+
+    it('finds every book by its own name', () => {
+        BOOKS.forEach(book => expect(findBook(book.name)).toEqual(book));
+    });
+});
+
+describe('findBook', () => {
+    it.each([
+        ['gen', 'Genesis'],
+        ['Gen.', 'Genesis'],
+        ['PSALM', 'Psalms'],
+        ['Pss', 'Psalms'],
+        ['Song of Songs', 'Song of Solomon'],
+        ['Canticles', 'Song of Solomon'],
+        ['Solomon\'s Song', 'Song of Solomon'],
+        ['1 Cor', '1 Corinthians'],
+        ['1Cor', '1 Corinthians'],
+        ['1 Cor.', '1 Corinthians'],
+        ['I Corinthians', '1 Corinthians'],
+        ['First Corinthians', '1 Corinthians'],
+        ['1st Corinthians', '1 Corinthians'],
+        ['II Kings', '2 Kings'],
+        ['Second Kings', '2 Kings'],
+        ['2nd Kgs', '2 Kings'],
+        ['III John', '3 John'],
+        ['Third John', '3 John'],
+        ['3rd Jn', '3 John'],
+        ['Jn', 'John'],
+        ['Phil', 'Philippians'],
+        ['Philem', 'Philemon'],
+        ['Rev', 'Revelation'],
+        ['Revelations', 'Revelation'],
+        ['  matt  ', 'Matthew'],
+    ])('%p is %s', (name, book) => {
+        expect(findBook(name)?.name).toBe(book);
+    });
+
+    it.each(['', 'Hezekiah', '4 John', 'Maccabees', null, 7])('does not know %p', (name) => {
+        expect(findBook(name)).toBeNull();
+    });
+});
+
+describe('parseReference', () => {
+    it.each([
+        ['John 3:16', verses('John', 3, 16)],
+        ['john 3:16', verses('John', 3, 16)],
+        ['  John  3 : 16  ', verses('John', 3, 16)],
+        ['John 3.16', verses('John', 3, 16)],
+        ['John 3:16-18', verses('John', 3, 16, 18)],
+        ['John 3:16 - 18', verses('John', 3, 16, 18)],
+        ['John 3:16–18', verses('John', 3, 16, 18)],
+        ['John 3:16—18', verses('John', 3, 16, 18)],
+        ['Psalm 23:2', verses('Psalms', 23, 2)],
+        ['Ps 23', chapterOf('Psalms', 23)],
+        ['Psalm 119:105', verses('Psalms', 119, 105)],
+        ['1 Cor 13:4-7', verses('1 Corinthians', 13, 4, 7)],
+        ['1Cor 13:4', verses('1 Corinthians', 13, 4)],
+        ['I Cor. 13:4', verses('1 Corinthians', 13, 4)],
+        ['First John 4:8', verses('1 John', 4, 8)],
+        ['2 Tim 3:16', verses('2 Timothy', 3, 16)],
+        ['Song of Songs 2:1', verses('Song of Solomon', 2, 1)],
+        ['Gen. 1:1', verses('Genesis', 1, 1)],
+        ['Isaiah 40', chapterOf('Isaiah', 40)],
+        ['Is 40:31', verses('Isaiah', 40, 31)],
+        ['Jude 3', verses('Jude', 1, 3)],
+        ['Jude 1:3', verses('Jude', 1, 3)],
+        ['Jude 1', chapterOf('Jude', 1)],
+        ['Philemon 4-6', verses('Philemon', 1, 4, 6)],
+        ['3 John 4', verses('3 John', 1, 4)],
+        ['Obadiah 1:15', verses('Obadiah', 1, 15)],
+        ['John 3:16-16', verses('John', 3, 16)],
+        // Existence is checked against the Bible text, not here
+        ['Hebrews 14:1', verses('Hebrews', 14, 1)],
+        ['John 3:99', verses('John', 3, 99)],
+    ])('reads %p', (reference, expected) => {
+        expect(parseReference(reference)).toEqual(expected);
+    });
+
+    it.each([
+        '',
+        '   ',
+        'John',
+        '3:16',
+        'Hezekiah 3:1',
+        'not a verse',
+        'John 0:1',
+        'John 3:0',
+        'John 3:18-16',
+        'Psalm 1-2',
+        'John 3:16-4:2',
+        'John 3:16, 18',
+        'John 3:16a',
+        undefined,
+        null,
+        42,
+    ])('rejects %p', (reference) => {
+        expect(parseReference(reference)).toBeNull();
+    });
+});
+
+describe('parseReferences', () => {
+    it.each([
+        ['John 3:16', [verses('John', 3, 16)]],
+        ['1 Cor 13:4-7, 13', [verses('1 Corinthians', 13, 4, 7), verses('1 Corinthians', 13, 13)]],
+        ['1 Cor 13:4-7,13', [verses('1 Corinthians', 13, 4, 7), verses('1 Corinthians', 13, 13)]],
+        ['John 3:16, 18-20', [verses('John', 3, 16), verses('John', 3, 18, 20)]],
+        ['John 3:16; 4:1-2', [verses('John', 3, 16), verses('John', 4, 1, 2)]],
+        ['John 3:16, 4:1', [verses('John', 3, 16), verses('John', 4, 1)]],
+        ['Psalm 23, 24', [chapterOf('Psalms', 23), chapterOf('Psalms', 24)]],
+        ['Psalm 23; 24:1', [chapterOf('Psalms', 23), verses('Psalms', 24, 1)]],
+        ['Rom 8:28; 1 Cor 13', [verses('Romans', 8, 28), chapterOf('1 Corinthians', 13)]],
+        ['Matthew 5:3-12; Luke 6:20-23', [verses('Matthew', 5, 3, 12), verses('Luke', 6, 20, 23)]],
+        ['Jude 3, 24-25', [verses('Jude', 1, 3), verses('Jude', 1, 24, 25)]],
+        ['Gen 1:1; 2:7, 18; Ps 8', [verses('Genesis', 1, 1), verses('Genesis', 2, 7), verses('Genesis', 2, 18), chapterOf('Psalms', 8)]],
+    ])('reads %p', (text, expected) => {
+        expect(parseReferences(text)).toEqual(expected);
+    });
+
+    it.each([
+        '',
+        '13',
+        '13, John 3:16',
+        'John 3:16, ',
+        'John 3:16,, 18',
+        'John 3:16, Hezekiah 1:1',
+        'John 3:16, 18-17',
+        'Psalm 23, 24-25',
+        'John 3:16 and 18',
+        null,
+    ])('rejects %p', (text) => {
+        expect(parseReferences(text)).toBeNull();
+    });
+});
+
+describe('formatReference', () => {
+    it.each([
+        [verses('John', 3, 16), 'John 3:16'],
+        [verses('John', 3, 16, 18), 'John 3:16-18'],
+        [chapterOf('Isaiah', 40), 'Isaiah 40'],
+        [verses('Psalms', 23, 1, 3), 'Psalm 23:1-3'],
+        [chapterOf('Psalms', 23), 'Psalm 23'],
+        [verses('Jude', 1, 3), 'Jude 1:3'],
+        [verses('Song of Solomon', 2, 1), 'Song of Solomon 2:1'],
+    ])('formats %o as %p', (passage, expected) => {
+        expect(formatReference(passage)).toBe(expected);
+    });
+
+    it('round-trips through parseReference', () => {
+        ['John 3:16', 'Psalm 23', '1 Corinthians 13:4-7', 'Jude 1:24-25'].forEach((reference) => {
+            expect(formatReference(parseReference(reference))).toBe(reference);
+        });
+    });
+});
+
+describe('formatReferences', () => {
+    it('names the book and chapter only when they change', () => {
+        expect(formatReferences([
+            verses('1 Corinthians', 13, 4, 7),
+            verses('1 Corinthians', 13, 13),
+            verses('1 Corinthians', 14, 1),
+            chapterOf('Romans', 8),
+            chapterOf('Romans', 9),
+            verses('Romans', 10, 9),
+        ])).toBe('1 Corinthians 13:4-7, 13; 14:1; Romans 8, 9; 10:9');
+    });
+
+    it('formats a single passage like formatReference', () => {
+        expect(formatReferences([verses('John', 3, 16)])).toBe('John 3:16');
+        expect(formatReferences([])).toBe('');
+    });
+});
+
+describe('normalizeReference', () => {
+    it.each([
+        ['1 cor 13:4-7,13', '1 Corinthians 13:4-7, 13'],
+        ['jn 3.16', 'John 3:16'],
+        ['Ps 23', 'Psalm 23'],
+        ['II Tim 3:16–17', '2 Timothy 3:16-17'],
+        ['Jude 24-25', 'Jude 1:24-25'],
+        ['Gen 1:1;2:7 , 18', 'Genesis 1:1; 2:7, 18'],
+        ['Romans 8:28; 1 John 4:8', 'Romans 8:28; 1 John 4:8'],
+    ])('rewrites %p as %p', (text, expected) => {
+        expect(normalizeReference(text)).toBe(expected);
+    });
+
+    it('is stable once normalized', () => {
+        const normalized = normalizeReference('1 cor 13:4-7, 13; 14:1; rom 8');
+        expect(normalizeReference(normalized)).toBe(normalized);
+    });
+
+    it('returns null for text that is not a reference', () => {
+        expect(normalizeReference('Be still and know')).toBeNull();
+        expect(normalizeReference('')).toBeNull();
+    });
+});
+
+describe('findReferences', () => {
+    const referencesIn = (text) => findReferences(text).map(found => [found.text, found.reference]);
+
+    it('finds references in prose with their positions', () => {
+        const text = 'Read John 3:16 and Romans 8:28; 1 Cor 13:4-7, 13. Also Psalm 23.';
+
+        expect(findReferences(text)).toEqual([
+            { start: 5, end: 14, text: 'John 3:16', reference: 'John 3:16' },
+            { start: 19, end: 30, text: 'Romans 8:28', reference: 'Romans 8:28' },
+            { start: 32, end: 48, text: '1 Cor 13:4-7, 13', reference: '1 Corinthians 13:4-7, 13' },
+            { start: 55, end: 63, text: 'Psalm 23', reference: 'Psalm 23' },
+        ]);
+    });
+
+    it.each([
+        ['In 1 John 4:8, God is love.', [['1 John 4:8', '1 John 4:8']]],
+        ['Then First John 1:9 and II Kings 5:1, 18 people', [['First John 1:9', '1 John 1:9'], ['II Kings 5:1, 18', '2 Kings 5:1, 18']]],
+        ['(Eph. 2:8-9)', [['Eph. 2:8-9', 'Ephesians 2:8-9']]],
+        ['Genesis 1:1; 2:7 and Jude 1:3', [['Genesis 1:1; 2:7', 'Genesis 1:1; 2:7'], ['Jude 1:3', 'Jude 1:3']]],
+        ['Mark 5:30 and 1 John 4', [['Mark 5:30', 'Mark 5:30'], ['1 John 4', '1 John 4']]],
+        ['Song of Songs 2:1', [['Song of Songs 2:1', 'Song of Solomon 2:1']]],
+        ['Psalm 23, 24-25', [['Psalm 23', 'Psalm 23']]],
+        ['John 3:16–18 says', [['John 3:16–18', 'John 3:16-18']]],
+    ])('reads %p', (text, expected) => {
+        expect(referencesIn(text)).toEqual(expected);
+    });
+
+    it.each([
+        'Is 3 enough?',
+        'Chapter 3:16 of the book',
+        'Hezekiah 3:1',
+        'john 3:16',
+        'John3:16',
+        'Ps 23',
+        'Mark 5 people came',
+        'Luke 10 minutes later',
+        'James 3 of us',
+        'Jude 2 weeks ago',
+        'Job 2 is due',
+        'Jn 3',
+        '',
+        null,
+    ])('finds nothing in %p', (text) => {
+        expect(findReferences(text)).toEqual([]);
+    });
+});
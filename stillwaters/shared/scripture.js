@@ -0,0 +1,308 @@
+/**
+ * Scripture References
+ *
+ * Parses and formats the free-text references used across Still Waters: scriptures
+ * in Guide answers, FAQ `scriptures` lists and devotional `scripture_json`. Shared
+ * by the app (bundled by Metro) and the backend (required from Node as the local
+ * package `stillwaters-shared`), so it is plain CommonJS with no dependencies.
+ *
+ * Understands full names and common abbreviations ("Gen", "1 Cor.", "Jn"), numbered
+ * books written as digits, roman numerals or words ("II Kings", "First John"),
+ * chapters ("Psalm 23"), verses and verse ranges ("John 3:16-18", also "John 3.16"),
+ * verses of single-chapter books ("Jude 3"), and lists ("1 Cor 13:4-7, 13; 14:1").
+ *
+ * `findReferences` picks the references out of prose, e.g. to make them tappable.
+ *
+ * A passage is `{ book, chapter, verseStart, verseEnd }`; the verses are null for a
+ * whole chapter. Parsing only checks the shape; whether the chapter and verses exist
+ * is up to the Bible text (see backend/services/bible.js).
+ */
+
+// [name, chapters, ...aliases]
+const BOOKS = [
+    ['Genesis', 50, 'gen', 'ge', 'gn'],
+    ['Exodus', 40, 'exod', 'exo', 'ex'],
+    ['Leviticus', 27, 'lev', 'le', 'lv'],
+    ['Numbers', 36, 'num', 'nu', 'nm'],
+    ['Deuteronomy', 34, 'deut', 'deu', 'dt'],
+    ['Joshua', 24, 'josh', 'jos'],
+    ['Judges', 21, 'judg', 'jdg'],
+    ['Ruth', 4, 'rth', 'ru'],
+    ['1 Samuel', 31, '1 sam', '1 sa'],
+    ['2 Samuel', 24, '2 sam', '2 sa'],
+    ['1 Kings', 22, '1 kgs', '1 ki'],
+    ['2 Kings', 25, '2 kgs', '2 ki'],
+    ['1 Chronicles', 29, '1 chron', '1 chr', '1 ch'],
+    ['2 Chronicles', 36, '2 chron', '2 chr', '2 ch'],
+    ['Ezra', 10, 'ezr'],
+    ['Nehemiah', 13, 'neh', 'ne'],
+    ['Esther', 10, 'esth', 'est'],
+    ['Job', 42, 'jb'],
+    ['Psalms', 150, 'psalm', 'ps', 'psa', 'pss'],
+    ['Proverbs', 31, 'prov', 'pro', 'prv'],
+    ['Ecclesiastes', 12, 'eccl', 'ecc', 'qoh'],
+    ['Song of Solomon', 8, 'song of songs', 'song', 'sos', 'canticles', 'solomon\'s song'],
+    ['Isaiah', 66, 'isa', 'is'],
+    ['Jeremiah', 52, 'jer', 'je'],
+    ['Lamentations', 5, 'lam', 'la'],
+    ['Ezekiel', 48, 'ezek', 'eze'],
+    ['Daniel', 12, 'dan', 'da', 'dn'],
+    ['Hosea', 14, 'hos', 'ho'],
+    ['Joel', 3, 'jl'],
+    ['Amos', 9, 'am'],
+    ['Obadiah', 1, 'obad', 'ob'],
+    ['Jonah', 4, 'jon', 'jnh'],
+    ['Micah', 7, 'mic', 'mi'],
+    ['Nahum', 3, 'nah', 'na'],
+    ['Habakkuk', 3, 'hab', 'hb'],
+    ['Zephaniah', 3, 'zeph', 'zep'],
+    ['Haggai', 2, 'hag', 'hg'],
+    ['Zechariah', 14, 'zech', 'zec'],
+    ['Malachi', 4, 'mal'],
+    ['Matthew', 28, 'matt', 'mat', 'mt'],
+    ['Mark', 16, 'mrk', 'mk', 'mr'],
+    ['Luke', 24, 'luk', 'lk'],
+    ['John', 21, 'jhn', 'jn'],
+    ['Acts', 28, 'act', 'ac'],
+    ['Romans', 16, 'rom', 'ro', 'rm'],
+    ['1 Corinthians', 16, '1 cor', '1 co'],
+    ['2 Corinthians', 13, '2 cor', '2 co'],
+    ['Galatians', 6, 'gal', 'ga'],
+    ['Ephesians', 6, 'eph', 'ephes'],
+    ['Philippians', 4, 'phil', 'php', 'pp'],
+    ['Colossians', 4, 'col', 'co'],
+    ['1 Thessalonians', 5, '1 thess', '1 thes', '1 th'],
+    ['2 Thessalonians', 3, '2 thess', '2 thes', '2 th'],
+    ['1 Timothy', 6, '1 tim', '1 ti'],
+    ['2 Timothy', 4, '2 tim', '2 ti'],
+    ['Titus', 3, 'tit', 'ti'],
+    ['Philemon', 1, 'philem', 'phm', 'pm'],
+    ['Hebrews', 13, 'heb'],
+    ['James', 5, 'jas', 'jm'],
+    ['1 Peter', 5, '1 pet', '1 pe', '1 pt'],
+    ['2 Peter', 3, '2 pet', '2 pe', '2 pt'],
+    ['1 John', 5, '1 jn', '1 jhn', '1 jo'],
+    ['2 John', 1, '2 jn', '2 jhn', '2 jo'],
+    ['3 John', 1, '3 jn', '3 jhn', '3 jo'],
+    ['Jude', 1, 'jud', 'jd'],
+    ['Revelation', 22, 'revelations', 'rev', 're', 'rv'],
+];
+
+const BOOK_LOOKUP = BOOKS.reduce((lookup, [name, chapters, ...aliases]) => {
+    [name, ...aliases].forEach((alias) => {
+        lookup[alias.toLowerCase()] = { name, chapters };
+    });
+    return lookup;
+}, {});
+
+const normalizeBookName = (book) => book
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/^(first|1st|i)\s+/, '1 ')
+    .replace(/^(second|2nd|ii)\s+/, '2 ')
+    .replace(/^(third|3rd|iii)\s+/, '3 ')
+    .replace(/^([123])(?=[a-z])/, '$1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const DASH = '\\s*[-\u2013\u2014]\\s*';
+const REFERENCE_PATTERN = new RegExp(`^\\s*((?:[123]|i{1,3}|first|second|third|1st|2nd|3rd)?\\s*[a-z][a-z'. ]*?)\\s*(\\d+)(?:\\s*[:.]\\s*(\\d+))?(?:${DASH}(\\d+))?\\s*$`, 'i');
+// A list item without a book: "13", "13-15", "14:1" or "14:1-3"
+const CONTINUATION_PATTERN = new RegExp(`^\\s*(\\d+)(?:\\s*[:.]\\s*(\\d+))?(?:${DASH}(\\d+))?\\s*$`);
+
+/**
+ * Look up a book by name or abbreviation.
+ *
+ * @param {string} name - e.g. "1 Cor", "Psalm", "Song of Songs".
+ * @returns {{name: string, chapters: number}|null}
+ */
+const findBook = (name) => (typeof name === 'string' ? BOOK_LOOKUP[normalizeBookName(name)] || null : null);
+
+const toNumber = (value) => (value === undefined ? null : parseInt(value, 10));
+
+/**
+ * Build a passage from its numbers, or null when they do not make sense.
+ *
+ * @param {{name: string, chapters: number}} book
+ * @param {number} chapter
+ * @param {number|null} verseStart
+ * @param {number|null} verseEnd
+ * @returns {Object|null}
+ */
+const passage = (book, chapter, verseStart, verseEnd) => {
+    if (chapter < 1) return null;
+    if (verseStart !== null && (verseStart < 1 || verseEnd < verseStart)) return null;
+    return { book: book.name, chapter, verseStart, verseEnd };
+};
+
+/**
+ * Parse a single reference like "John 3:16", "1 Cor 13:4-7", "Psalm 23" or "Jude 3".
+ *
+ * @param {string} reference
+ * @returns {{book: string, chapter: number, verseStart: number|null, verseEnd: number|null}|null}
+ */
+const parseReference = (reference) => {
+    const match = REFERENCE_PATTERN.exec(typeof reference === 'string' ? reference : '');
+    if (!match) return null;
+
+    const book = findBook(match[1]);
+    if (!book) return null;
+
+    const first = toNumber(match[2]);
+    const verse = toNumber(match[3]);
+    const end = toNumber(match[4]);
+    if (verse !== null) return passage(book, first, verse, end ?? verse);
+
+    // "Jude 3" and "Philemon 4-6" are verses; "Jude 1" is the whole book
+    if (book.chapters === 1 && (first > 1 || end !== null)) return passage(book, 1, first, end ?? first);
+
+    // Chapter ranges ("Psalm 1-2") are not passages
+    return end === null ? passage(book, first, null, null) : null;
+};
+
+/**
+ * Parse a list of references separated by commas or semicolons, e.g.
+ * "1 Cor 13:4-7, 13; 14:1; Romans 8". Items without a book continue the previous
+ * one: a number is another verse of the same chapter after a verse reference, or
+ * another chapter after a chapter reference; "14:1" is another chapter of the same book.
+ *
+ * @param {string} text
+ * @returns {Array<Object>|null} Passages in order, or null if any item is not a reference.
+ */
+const parseReferences = (text) => {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const passages = [];
+    for (const item of text.split(/[,;]/)) {
+        const previous = passages[passages.length - 1];
+        let parsed = parseReference(item);
+
+        const match = !parsed && previous ? CONTINUATION_PATTERN.exec(item) : null;
+        if (match) {
+            const book = findBook(previous.book);
+            const [first, verse, end] = [toNumber(match[1]), toNumber(match[2]), toNumber(match[3])];
+            if (verse !== null) parsed = passage(book, first, verse, end ?? verse);
+            else if (previous.verseStart !== null) parsed = passage(book, previous.chapter, first, end ?? first);
+            else if (end === null) parsed = passage(book, first, null, null);
+        }
+
+        if (!parsed) return null;
+        passages.push(parsed);
+    }
+    return passages;
+};
+
+const formatVerses = ({ verseStart, verseEnd }) => (verseEnd && verseEnd !== verseStart ? `${verseStart}-${verseEnd}` : `${verseStart}`);
+
+/**
+ * Format a passage for display, e.g. "Psalm 23:2" or "John 3:16-18".
+ *
+ * @param {Object} parsed - A passage from parseReference.
+ * @returns {string}
+ */
+const formatReference = ({ book, chapter, verseStart, verseEnd }) => {
+    // A single psalm reads as "Psalm"
+    const name = book === 'Psalms' ? 'Psalm' : book;
+    return verseStart ? `${name} ${chapter}:${formatVerses({ verseStart, verseEnd })}` : `${name} ${chapter}`;
+};
+
+/**
+ * Format passages as one list, naming the book and chapter only when they change:
+ * "1 Corinthians 13:4-7, 13; 14:1; Romans 8".
+ *
+ * @param {Array<Object>} passages
+ * @returns {string}
+ */
+const formatReferences = (passages) => passages.map((current, index) => {
+    const previous = passages[index - 1];
+    if (previous && previous.book === current.book) {
+        if (current.verseStart && previous.verseStart && previous.chapter === current.chapter) return `, ${formatVerses(current)}`;
+        if (!current.verseStart && !previous.verseStart) return `, ${current.chapter}`;
+        if (current.verseStart) return `; ${current.chapter}:${formatVerses(current)}`;
+    }
+    return `${previous ? '; ' : ''}${formatReference(current)}`;
+}).join('');
+
+/**
+ * Rewrite a reference or list of references in the standard form,
+ * e.g. "1 cor 13:4-7,13" -> "1 Corinthians 13:4-7, 13".
+ *
+ * @param {string} text
+ * @returns {string|null} Null when the text is not a reference.
+ */
+const normalizeReference = (text) => {
+    const passages = parseReferences(text);
+    return passages ? formatReferences(passages) : null;
+};
+
+// A book as written in prose ("John", "1 Cor.", "II Kings", "Song of Songs") and its
+// chapter, verses and any continuations (", 13", "; 14:1"). Continuations stop before
+// a number that starts the next book ("; 1 Cor 13") or a word ("18 people").
+const NUMBER_PREFIX = '(?:[123]|I{1,3}|First|Second|Third|1st|2nd|3rd)';
+const VERSES = `\\d+(?:\\s*:\\s*\\d+)?(?:${DASH}\\d+)?`;
+const PROSE_PATTERN = new RegExp(
+    `(?<![\\w:])((${NUMBER_PREFIX})\\s?)?([A-Z][a-z]+(?:'s)?(?:\\s+of\\s+[A-Z][a-z]+|\\s+Song)?)\\.?\\s+(\\d+(?:\\s*:\\s*\\d+(?:${DASH}\\d+)?)?)((?:\\s*[,;]\\s*${VERSES}(?!\\s*[A-Z]|\\w|\\s*[:.]\\d))*)(?![\\w:])`,
+    'g',
+);
+
+// Books that are also first names ("Mark 5 people came", "Luke 10 minutes later")
+const FIRST_NAMES = ['Mark', 'Luke', 'John', 'James', 'Jude', 'Job', 'Daniel', 'Ruth', 'Esther', 'Joel', 'Amos', 'Jonah', 'Micah', 'Ezra', 'Titus', 'Joshua', 'Hosea'];
+
+// Words that are also everyday English only count as a reference with a verse: those
+// first names, and abbreviations ("Is 3 enough?", "Am 2 late?")
+const needsVerse = (word, book) => {
+    if (FIRST_NAMES.includes(book.name)) return true;
+    return book.chapters > 1
+        && word.toLowerCase() !== book.name.replace(/^[123] /, '').toLowerCase()
+        && word.toLowerCase() !== 'psalm';
+};
+
+/**
+ * Find the scripture references in a piece of prose, e.g. a Guide answer or a devotional.
+ *
+ * @param {string} text
+ * @returns {Array<{start: number, end: number, text: string, reference: string}>} Each
+ *   reference's position in the text, the text as written and its standard form, in order.
+ */
+const findReferences = (text) => {
+    if (typeof text !== 'string') return [];
+
+    const found = [];
+    const pattern = new RegExp(PROSE_PATTERN);
+    let match;
+    while ((match = pattern.exec(text))) {
+        const [whole, prefixed, prefix, word, numbers, continuations] = match;
+        // A prefix that makes no book ("I Matthew 5:3") is not part of the reference
+        const start = match.index + (prefix && !findBook(`${prefix} ${word}`) ? prefixed.length : 0);
+        const book = findBook(start > match.index ? word : `${prefix || ''} ${word}`);
+        if (!book || (!/[:.]/.test(numbers) && needsVerse(word, book))) {
+            // Not a reference ("In 1 John 4:8"); look again from the next character
+            pattern.lastIndex = match.index + 1;
+            continue;
+        }
+
+        const written = text.slice(start, match.index + whole.length);
+        const passages = parseReferences(written)
+            // A continuation that does not read (e.g. "Psalm 23, 24-25") leaves just the first reference
+            || parseReferences(written.slice(0, written.length - continuations.length));
+        if (!passages) {
+            pattern.lastIndex = match.index + 1;
+            continue;
+        }
+
+        const end = passages.length === 1 && continuations ? start + written.length - continuations.length : start + written.length;
+        found.push({ start, end, text: text.slice(start, end), reference: formatReferences(passages) });
+    }
+    return found;
+};
+
+module.exports = {
+    BOOKS: BOOKS.map(([name, chapters]) => ({ name, chapters })),
+    findBook,
+    parseReference,
+    parseReferences,
+    formatReference,
+    formatReferences,
+    normalizeReference,
+    findReferences,
+};
@@ -0,0 +1,114 @@
+import { parseEventStream, streamMessage } from '../services/api';
+
+jest.mock('../services/supabase', () => ({
+    supabase: { auth: { getSession: jest.fn() } },
+}));
+
+// Feed chunks through parseEventStream the way streamMessage does, collecting every event
+const readChunks = (chunks) => {
+    let pending = '';
+    const events = [];
+    chunks.forEach((chunk) => {
+        const parsed = parseEventStream(pending + chunk);
+        pending = parsed.rest;
+        events.push(...parsed.events);
+    });
+    return { events, pending };
+};
+
+const body = 'event: delta\ndata: {"text":"Be still"}\n\n'
+    + 'event: delta\ndata: {"text":", and know \\u2014 \\"I am\\""}\n\n'
+    + 'event: done\ndata: {"title":"Peace"}\n\n';
+
+const expected = [
+    { event: 'delta', data: { text: 'Be still' } },
+    { event: 'delta', data: { text: ', and know — "I am"' } },
+    { event: 'done', data: { title: 'Peace' } },
+];
+
+describe('parseEventStream', () => {
+    it('parses several events in one chunk', () => {
+        expect(parseEventStream(body)).toEqual({ events: expected, rest: '' });
+    });
+
+    it('keeps an incomplete event for the next chunk', () => {
+        expect(parseEventStream('event: delta\ndata: {"text":"Be still"}\n\nevent: delta\ndata: {"te')).toEqual({
+            events: [expected[0]],
+            rest: 'event: delta\ndata: {"te',
+        });
+    });
+
+    it('reads the same events wherever the stream is split', () => {
+        for (let i = 1; i < body.length; i += 1) {
+            expect(readChunks([body.slice(0, i), body.slice(i)])).toEqual({ events: expected, pending: '' });
+        }
+    });
+
+    it('reads the stream a character at a time', () => {
+        expect(readChunks(body.split(''))).toEqual({ events: expected, pending: '' });
+    });
+});
+
+describe('streamMessage', () => {
+    // Stand-in for XMLHttpRequest that the test feeds response text to
+    class FakeRequest {
+        constructor() {
+            FakeRequest.current = this;
+            this.status = 0;
+            this.responseText = '';
+            this.abort = jest.fn();
+        }
+
+        open() { }
+
+        setRequestHeader() { }
+
+        send() { }
+
+        receive(text) {
+            this.status = 200;
+            this.responseText += text;
+            this.onprogress();
+        }
+    }
+
+    const OriginalRequest = global.XMLHttpRequest;
+
+    beforeEach(() => {
+        global.XMLHttpRequest = FakeRequest;
+    });
+
+    afterEach(() => {
+        global.XMLHttpRequest = OriginalRequest;
+    });
+
+    it('streams deltas and resolves with the done event', async () => {
+        const onDelta = jest.fn();
+        const answer = streamMessage('How do I find peace?', [], { onDelta });
+
+        FakeRequest.current.receive(body.slice(0, 60));
+        FakeRequest.current.receive(body.slice(60));
+
+        await expect(answer).resolves.toEqual({ title: 'Peace' });
+        expect(onDelta.mock.calls).toEqual([['Be still'], [', and know — "I am"']]);
+    });
+
+    it('rejects a malformed event instead of waiting forever', async () => {
+        const answer = streamMessage('How do I find peace?');
+
+        FakeRequest.current.receive('event: delta\ndata: {"text":"Be st\n\n');
+        FakeRequest.current.onload();
+
+        await expect(answer).rejects.toMatchObject({ code: 'STREAM_INCOMPLETE' });
+        expect(FakeRequest.current.abort).toHaveBeenCalled();
+    });
+
+    it('rejects when the answer takes too long', async () => {
+        const answer = streamMessage('How do I find peace?');
+
+        expect(FakeRequest.current.timeout).toBeGreaterThan(0);
+        FakeRequest.current.ontimeout();
+
+        await expect(answer).rejects.toMatchObject({ code: 'TIMEOUT' });
+    });
+});
@@ -1,6 +1,10 @@
 import { act, renderHook } from '@testing-library/react-native';
 import useChatStore from '../store/useChatStore';
 
+jest.mock('../services/api', () => ({
+    streamMessage: jest.fn(),
+}));
+
 // Mock Supabase client
 jest.mock('../services/supabase', () => ({
     supabase: {
@@ -31,3 +35,74 @@ describe('useChatStore', () => {
         expect(result.current.messages[0].text).toBe('Hello');
     });
 });
+
+describe('useChatStore.getHistory', () => {
+    it('includes questions and answers but not verse cards, errors or fallback answers', () => {
+        useChatStore.setState({
+            messages: [
+                { id: '1', text: 'What is grace?', sender: 'user' },
+                { id: '2', text: 'Grace is unearned favor.', sender: 'bot', data: { interpretations: [{ view: 'Grace is unearned favor.' }] } },
+                { id: '3', text: '"For by grace..." — Ephesians 2:8', sender: 'bot', data: { isVerse: true } },
+                { id: '4', text: 'What about verse 9?', sender: 'user' },
+                { id: '5', text: "I'm having trouble connecting to the waters right now.", sender: 'bot' },
+                { id: '6', text: 'The Guide is resting for a moment.', sender: 'bot', data: { fallback: true, interpretations: [{ view: 'The Guide is resting for a moment.' }] } },
+            ],
+        });
+
+        expect(useChatStore.getState().getHistory()).toEqual([
+            { role: 'user', text: 'What is grace?' },
+            { role: 'model', text: 'Grace is unearned favor.' },
+            { role: 'user', text: 'What about verse 9?' },
+        ]);
+    });
+});
+
+describe('useChatStore.reconcileExchange', () => {
+    it('replaces the optimistic messages with the stored rows and adds the conversation', () => {
+        useChatStore.setState({
+            conversationId: null,
+            conversations: [{ id: 'older', summary: 'Earlier talk', created_at: '2026-10-18T09:00:00Z' }],
+            messages: [
+                { id: 'local-1', text: 'What is grace?', sender: 'user' },
+                { id: 'local-2', text: 'Grace is unearned favor.', sender: 'bot', isStreaming: true },
+            ],
+        });
+
+        const conversation = { id: 'c1', summary: 'Grace', created_at: '2026-10-19T09:00:00Z' };
+        useChatStore.getState().reconcileExchange(['local-1', 'local-2'], conversation, [
+            { id: 'm1', sender: 'user', text: 'What is grace?', metadata: null, created_at: '2026-10-19T09:00:00.000Z' },
+            { id: 'm2', sender: 'bot', text: 'Grace is unearned favor.', metadata: { title: 'Grace' }, created_at: '2026-10-19T09:00:00.001Z' },
+        ]);
+
+        const state = useChatStore.getState();
+        expect(state.conversationId).toBe('c1');
+        expect(state.messages.map(msg => msg.id)).toEqual(['m1', 'm2']);
+        expect(state.messages[1].data).toEqual({ title: 'Grace' });
+        expect(state.conversations.map(c => c.id)).toEqual(['c1', 'older']);
+    });
+});
+
+describe('useChatStore.sendUserMessage', () => {
+    it('keeps an unsaved answer as one message with the whole answer', async () => {
+        const { streamMessage } = require('../services/api');
+        const answer = {
+            title: 'Rest',
+            interpretations: [{ tradition: 'Historic Christian', view: 'Rest is a gift.', scriptures: [{ reference: 'Psalm 23:2', text: 'He maketh me to lie down in green pastures', translation: 'KJV', verified: true }] }],
+            application: 'Rest in God today.',
+            related_verses: ['Matthew 11:28'],
+        };
+        streamMessage.mockImplementationOnce(async (question, history, { onDelta }) => {
+            onDelta('Rest is ');
+            onDelta('a gift.');
+            return answer;
+        });
+        useChatStore.setState({ messages: [], conversationId: null });
+
+        await useChatStore.getState().sendUserMessage('What is rest?');
+
+        const [question, reply, ...rest] = useChatStore.getState().messages;
+        expect(question).toMatchObject({ sender: 'user', text: 'What is rest?' });
+        expect(reply).toMatchObject({ sender: 'bot', text: 'Rest is a gift.', data: answer, isStreaming: false });
+        expect(rest).toEqual([]);
+    });
+});
@@ -0,0 +1,38 @@
+import { resolveScripture } from '../store/useDevotionalStore';
+
+jest.mock('../services/supabase', () => ({
+    supabase: { rpc: jest.fn() },
+}));
+
+describe('resolveScripture', () => {
+    const scriptureJson = {
+        reference: 'Psalm 23:2',
+        text: 'He maketh me to lie down in green pastures...',
+        translation: 'KJV',
+        translations: { WEB: 'He makes me lie down in green pastures...' },
+    };
+
+    it('keeps the stored text when it is already in the preferred translation', () => {
+        expect(resolveScripture(scriptureJson, 'KJV')).toEqual({
+            reference: 'Psalm 23:2',
+            text: 'He maketh me to lie down in green pastures...',
+            translation: 'KJV',
+            label: 'KJV',
+        });
+    });
+
+    it('uses an alternate translation when one is stored', () => {
+        expect(resolveScripture(scriptureJson, 'WEB')).toMatchObject({
+            text: 'He makes me lie down in green pastures...',
+            translation: 'WEB',
+            label: 'WEB',
+        });
+    });
+
+    it('labels the fallback when the preferred translation is unavailable', () => {
+        expect(resolveScripture(scriptureJson, 'NIV')).toMatchObject({
+            translation: 'KJV',
+            label: 'KJV · NIV unavailable',
+        });
+    });
+});
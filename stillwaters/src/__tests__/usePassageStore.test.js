@@ -0,0 +1,148 @@
+import React from 'react';
+import { fireEvent, render } from '@testing-library/react-native';
+import usePassageStore, { passageCitation } from '../store/usePassageStore';
+import useUserStore from '../store/useUserStore';
+import ScriptureText from '../components/ScriptureText';
+import { lookupScripture } from '../services/api';
+import { supabase } from '../services/supabase';
+
+jest.mock('../services/api', () => ({
+    lookupScripture: jest.fn(),
+}));
+
+jest.mock('../services/supabase', () => ({
+    supabase: { from: jest.fn() },
+}));
+
+const psalm = (translation, requested) => ({
+    reference: 'Psalm 46:10',
+    translation,
+    ...(requested ? { requested_translation: requested } : {}),
+    passages: [{
+        reference: 'Psalm 46:10',
+        book: 'Psalms',
+        chapter: 46,
+        verse_count: 11,
+        text: 'Be still, and know that I am God.',
+        verses: [{ verse: 10, text: 'Be still, and know that I am God.' }],
+        context: { before: [], after: [] },
+    }],
+});
+
+// A Supabase query that resolves to `result` however it is chained
+const query = (result) => {
+    const chain = {
+        select: jest.fn(() => chain),
+        insert: jest.fn(() => chain),
+        delete: jest.fn(() => chain),
+        order: jest.fn(() => Promise.resolve(result)),
+        eq: jest.fn(() => Promise.resolve(result)),
+        single: jest.fn(() => Promise.resolve(result)),
+    };
+    return chain;
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    usePassageStore.setState({ reference: null, translation: null, lookup: null, isLoading: false, error: null, savedVerses: [], expanded: {} });
+    useUserStore.setState({ user: { id: 'user-1' }, settings: { ...useUserStore.getState().settings, translation: 'NIV' } });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('usePassageStore', () => {
+    it('opens a passage in the preferred translation and switches translation', async () => {
+        lookupScripture.mockResolvedValueOnce(psalm('KJV', 'NIV')).mockResolvedValueOnce(psalm('KJV'));
+
+        await usePassageStore.getState().openPassage('Psalm 46:10');
+        expect(lookupScripture).toHaveBeenLastCalledWith('Psalm 46:10', { translation: 'NIV' });
+        expect(usePassageStore.getState()).toMatchObject({ reference: 'Psalm 46:10', translation: 'NIV', lookup: psalm('KJV', 'NIV'), isLoading: false });
+
+        await usePassageStore.getState().setTranslation('KJV');
+        expect(lookupScripture).toHaveBeenLastCalledWith('Psalm 46:10', { translation: 'KJV' });
+        expect(usePassageStore.getState().lookup).toEqual(psalm('KJV'));
+    });
+
+    it('drops a lookup that finishes after the sheet was closed', async () => {
+        let finish;
+        lookupScripture.mockReturnValueOnce(new Promise((resolve) => { finish = resolve; }));
+
+        const opening = usePassageStore.getState().openPassage('Psalm 46:10');
+        usePassageStore.getState().closePassage();
+        finish(psalm('KJV'));
+        await opening;
+
+        expect(usePassageStore.getState()).toMatchObject({ reference: null, lookup: null, isLoading: false });
+    });
+
+    it('keeps the lookup error for the sheet', async () => {
+        lookupScripture.mockRejectedValueOnce(new Error('Hebrews 14:1 is not in the Bible.'));
+
+        await usePassageStore.getState().openPassage('Hebrews 14:1');
+
+        expect(usePassageStore.getState()).toMatchObject({ lookup: null, error: 'Hebrews 14:1 is not in the Bible.' });
+    });
+
+    it('saves the open passage and removes it again', async () => {
+        const saved = { id: 'saved-1', reference: 'Psalm 46:10', translation: 'KJV', text: 'Be still, and know that I am God.' };
+        const insert = query({ data: saved, error: null });
+        const remove = query({ error: null });
+        supabase.from.mockReturnValueOnce(insert).mockReturnValueOnce(remove);
+        usePassageStore.setState({ reference: 'Psalm 46:10', lookup: psalm('KJV') });
+
+        await usePassageStore.getState().toggleSavedVerse();
+        expect(insert.insert).toHaveBeenCalledWith([{ user_id: 'user-1', reference: 'Psalm 46:10', translation: 'KJV', text: 'Be still, and know that I am God.' }]);
+        expect(usePassageStore.getState().findSavedVerse('Psalm 46:10', 'KJV')).toEqual(saved);
+        expect(usePassageStore.getState().findSavedVerse('Psalm 46:10', 'WEB')).toBeUndefined();
+
+        await usePassageStore.getState().toggleSavedVerse();
+        expect(remove.eq).toHaveBeenCalledWith('id', 'saved-1');
+        expect(usePassageStore.getState().savedVerses).toEqual([]);
+    });
+});
+
+describe('usePassageStore.expandPassage', () => {
+    it('fetches a passage to show in place once per translation', async () => {
+        lookupScripture.mockResolvedValueOnce(psalm('KJV', 'NIV'));
+
+        await usePassageStore.getState().expandPassage('Psalm 46:10');
+        await usePassageStore.getState().expandPassage('Psalm 46:10');
+
+        expect(lookupScripture).toHaveBeenCalledTimes(1);
+        expect(lookupScripture).toHaveBeenCalledWith('Psalm 46:10', { context: 0 });
+        expect(usePassageStore.getState().expandedPassage('Psalm 46:10')).toEqual({ lookup: psalm('KJV', 'NIV'), isLoading: false, error: null });
+
+        useUserStore.setState({ settings: { ...useUserStore.getState().settings, translation: 'KJV' } });
+        expect(usePassageStore.getState().expandedPassage('Psalm 46:10')).toBeUndefined();
+    });
+
+    it('tries again after a failed lookup', async () => {
+        lookupScripture.mockRejectedValueOnce(new Error('Network request failed')).mockResolvedValueOnce(psalm('KJV'));
+
+        await usePassageStore.getState().expandPassage('Psalm 46:10');
+        expect(usePassageStore.getState().expandedPassage('Psalm 46:10')).toMatchObject({ error: 'Network request failed' });
+
+        await usePassageStore.getState().expandPassage('Psalm 46:10');
+        expect(usePassageStore.getState().expandedPassage('Psalm 46:10')).toMatchObject({ lookup: psalm('KJV'), error: null });
+    });
+});
+
+describe('passageCitation', () => {
+    it('quotes the passage with its reference and translation', () => {
+        expect(passageCitation(psalm('KJV'))).toBe('Be still, and know that I am God.\n— Psalm 46:10 (KJV)');
+    });
+});
+
+describe('ScriptureText', () => {
+    it('opens the passage sheet from a reference in the text', () => {
+        const openPassage = jest.spyOn(usePassageStore.getState(), 'openPassage').mockImplementation(() => { });
+
+        const { getByText } = render(<ScriptureText>Come to me (Matt 11:28), all who are weary.</ScriptureText>);
+        fireEvent.press(getByText('Matt 11:28'));
+
+        expect(openPassage).toHaveBeenCalledWith('Matthew 11:28');
+    });
+});
@@ -0,0 +1,199 @@
+import React from 'react';
+import { View, ScrollView, Modal, Pressable, TouchableOpacity, ActivityIndicator, Alert, StyleSheet, Platform } from 'react-native';
+import { Text, Icon, useTheme } from '@rneui/themed';
+import * as Clipboard from 'expo-clipboard';
+import { colors, spacing, typography } from '../utils/theme';
+import { AVAILABLE_TRANSLATIONS, translationLabel } from '../utils/translations';
+import usePassageStore, { passageCitation } from '../store/usePassageStore';
+
+// Verses as one paragraph with their numbers; context verses are dimmed
+const VerseRun = ({ verses, style, theme }) => (
+    <Text style={[styles.verses, { color: theme.colors.black }, style]}>
+        {verses.map(({ verse, text }) => (
+            <Text key={verse}>
+                <Text style={[styles.verseNumber, { color: theme.colors.primary }]}>{verse} </Text>
+                {text}{' '}
+            </Text>
+        ))}
+    </Text>
+);
+
+/**
+ * Passage Sheet
+ *
+ * Bottom sheet with the full text of a scripture reference, opened by tapping a
+ * reference anywhere in the app (components/ScriptureText.js). Shows the passage with
+ * a few verses around it, and lets the user copy and save the verse, and switch between
+ * the translations the backend can serve.
+ * Mounted once, above the tabs, in AppNavigator.
+ */
+const PassageSheet = () => {
+    const { reference, translation, lookup, isLoading, error, closePassage, setTranslation, toggleSavedVerse, findSavedVerse } = usePassageStore();
+    const { theme } = useTheme();
+    const isSaved = Boolean(lookup && findSavedVerse(lookup.reference, lookup.translation));
+
+    const handleCopy = async () => {
+        await Clipboard.setStringAsync(passageCitation(lookup));
+        Alert.alert('Copied', 'Passage copied to clipboard');
+    };
+
+    return (
+        <Modal visible={reference !== null} transparent animationType="slide" onRequestClose={closePassage}>
+            <Pressable style={styles.backdrop} onPress={closePassage} accessibilityLabel="Close passage" />
+            <View style={[styles.sheet, { backgroundColor: theme.colors.white }]}>
+                <View style={styles.header}>
+                    <View style={styles.headerText}>
+                        <Text h4 style={{ color: theme.colors.black }}>{lookup?.reference || reference}</Text>
+                        {lookup && (
+                            <Text style={[styles.label, { color: theme.colors.grey1 }]}>
+                                {translationLabel(lookup.translation, lookup.requested_translation)}
+                            </Text>
+                        )}
+                    </View>
+                    <Icon name="close" type="ionicon" color={theme.colors.grey1} onPress={closePassage} accessibilityLabel="Close passage" />
+                </View>
+
+                {/* Only translations the backend can serve; the others would come back as the fallback */}
+                {AVAILABLE_TRANSLATIONS.length > 1 && (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.translations}>
+                        {AVAILABLE_TRANSLATIONS.map(({ code }) => {
+                            const isSelected = code === translation;
+                            return (
+                                <TouchableOpacity
+                                    key={code}
+                                    onPress={() => setTranslation(code)}
+                                    style={[
+                                        styles.translationChip,
+                                        { borderColor: theme.colors.primary },
+                                        isSelected && { backgroundColor: theme.colors.primary },
+                                    ]}
+                                >
+                                    <Text style={[styles.translationChipText, { color: isSelected ? theme.colors.white : theme.colors.primary }]}>
+                                        {code}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </ScrollView>
+                )}
+
+                <ScrollView style={styles.body}>
+                    {isLoading && <ActivityIndicator color={theme.colors.primary} style={styles.loading} />}
+                    {error && <Text style={styles.error}>{error}</Text>}
+                    {!isLoading && lookup?.passages.map(passage => (
+                        <View key={passage.reference} style={styles.passage}>
+                            {lookup.passages.length > 1 && (
+                                <Text style={[styles.passageReference, { color: theme.colors.primary }]}>{passage.reference}</Text>
+                            )}
+                            {passage.context.before.length > 0 && <VerseRun verses={passage.context.before} style={styles.context} theme={theme} />}
+                            <VerseRun verses={passage.verses} theme={theme} />
+                            {passage.context.after.length > 0 && <VerseRun verses={passage.context.after} style={styles.context} theme={theme} />}
+                        </View>
+                    ))}
+                </ScrollView>
+
+                {lookup && !isLoading && (
+                    <View style={[styles.actions, { borderTopColor: theme.colors.grey0 }]}>
+                        <TouchableOpacity onPress={handleCopy} style={styles.action}>
+                            <Icon name="copy-outline" type="ionicon" size={20} color={theme.colors.primary} />
+                            <Text style={[styles.actionText, { color: theme.colors.primary }]}>Copy</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={toggleSavedVerse} style={styles.action}>
+                            <Icon name={isSaved ? 'bookmark' : 'bookmark-outline'} type="ionicon" size={20} color={theme.colors.primary} />
+                            <Text style={[styles.actionText, { color: theme.colors.primary }]}>{isSaved ? 'Saved' : 'Save Verse'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    sheet: {
+        maxHeight: '70%',
+        paddingTop: spacing.m,
+        paddingHorizontal: spacing.m,
+        paddingBottom: spacing.l,
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+    },
+    headerText: {
+        flex: 1,
+    },
+    label: {
+        fontSize: typography.sizes.small,
+        marginTop: spacing.xs,
+    },
+    translations: {
+        flexGrow: 0,
+        marginTop: spacing.s,
+    },
+    translationChip: {
+        borderWidth: 1,
+        borderRadius: 12,
+        paddingHorizontal: spacing.s,
+        paddingVertical: spacing.xs,
+        marginRight: spacing.xs,
+    },
+    translationChipText: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+    },
+    body: {
+        flexGrow: 0,
+        marginTop: spacing.s,
+    },
+    loading: {
+        marginVertical: spacing.l,
+    },
+    error: {
+        marginVertical: spacing.m,
+        color: colors.semantic.error,
+    },
+    passage: {
+        marginBottom: spacing.m,
+    },
+    passageReference: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+        marginBottom: spacing.xs,
+    },
+    verses: {
+        fontSize: typography.sizes.body,
+        lineHeight: 26,
+        fontFamily: Platform.OS === 'ios' ? 'Georgia' : 'serif',
+    },
+    context: {
+        opacity: 0.5,
+    },
+    verseNumber: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        paddingTop: spacing.s,
+        borderTopWidth: 1,
+    },
+    action: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: spacing.s,
+    },
+    actionText: {
+        marginLeft: spacing.xs,
+        fontWeight: typography.weights.bold,
+    },
+});
+
+export default PassageSheet;
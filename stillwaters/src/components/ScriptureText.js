@@ -0,0 +1,75 @@
+import React from 'react';
+import { Text as NativeText, StyleSheet } from 'react-native';
+import { Text } from '@rneui/themed';
+import { colors } from '../utils/theme';
+import { findReferences, normalizeReference } from '../../shared/scripture';
+import usePassageStore from '../store/usePassageStore';
+
+/**
+ * Scripture Links
+ *
+ * Make scripture references tappable: a tap opens the passage sheet
+ * (components/PassageSheet.js) with the full text. Links are plain native text so
+ * they take the surrounding text's style, like the markdown parts of a Guide answer.
+ */
+
+/**
+ * A single reference shown on its own, e.g. an FAQ's related scripture.
+ * Text that is not a reference is shown as it is, without the link.
+ */
+export const ScriptureLink = ({ reference, style, children }) => {
+    const openPassage = usePassageStore((state) => state.openPassage);
+    const normalized = normalizeReference(reference);
+    if (!normalized) return <NativeText style={style}>{children ?? reference}</NativeText>;
+
+    return (
+        <NativeText
+            style={[style, styles.link]}
+            onPress={() => openPassage(normalized)}
+            accessibilityRole="link"
+            accessibilityHint="Shows the passage"
+        >
+            {children ?? normalized}
+        </NativeText>
+    );
+};
+
+/**
+ * Prose with every reference in it linked, e.g. "Rest in Psalm 23 and Matthew 11:28."
+ */
+const ScriptureText = ({ children, style }) => {
+    const openPassage = usePassageStore((state) => state.openPassage);
+    const text = typeof children === 'string' ? children : '';
+    const references = findReferences(text);
+    if (references.length === 0) return <Text style={style}>{children}</Text>;
+
+    const parts = [];
+    let position = 0;
+    references.forEach(({ start, end, text: written, reference }) => {
+        if (start > position) parts.push(text.slice(position, start));
+        parts.push(
+            <NativeText
+                key={start}
+                style={styles.link}
+                onPress={() => openPassage(reference)}
+                accessibilityRole="link"
+                accessibilityHint="Shows the passage"
+            >
+                {written}
+            </NativeText>
+        );
+        position = end;
+    });
+    if (position < text.length) parts.push(text.slice(position));
+
+    return <Text style={style}>{parts}</Text>;
+};
+
+const styles = StyleSheet.create({
+    link: {
+        color: colors.primary.dark,
+        textDecorationLine: 'underline',
+    },
+});
+
+export default ScriptureText;
@@ -17,6 +17,9 @@ import SettingsScreen from '../screens/SettingsScreen';
 import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
 import ChatListScreen from '../screens/ChatListScreen';
+import TranslationScreen from '../screens/TranslationScreen';
+import SavedVersesScreen from '../screens/SavedVersesScreen';
+import PassageSheet from '../components/PassageSheet';
 
 // --- Navigators ---
 const AuthStack = createStackNavigator();
@@ -24,6 +27,7 @@ const Tab = createBottomTabNavigator();
 const FAQStack = createStackNavigator();
 const JournalStack = createStackNavigator();
 const GuideStack = createStackNavigator();
+const SettingsStack = createStackNavigator();
 
 /**
  * Auth Navigator
@@ -109,6 +113,27 @@ const GuideNavigator = () => {
     );
 };
 
+/**
+ * Settings Navigator
+ * 
+ * Stack navigator for the Settings section.
+ * Allows navigation from the settings list to individual preference screens.
+ */
+const SettingsNavigator = () => {
+    const { theme } = useTheme();
+    return (
+        <SettingsStack.Navigator screenOptions={{
+            headerStyle: { backgroundColor: theme.colors.primary },
+            headerTintColor: theme.colors.white,
+            headerTitleStyle: { fontWeight: typography.weights.bold },
+        }}>
+            <SettingsStack.Screen name="SettingsMain" component={SettingsScreen} options={{ headerShown: false }} />
+            <SettingsStack.Screen name="Translation" component={TranslationScreen} options={{ title: 'Bible Translation' }} />
+            <SettingsStack.Screen name="SavedVerses" component={SavedVersesScreen} options={{ title: 'Saved Verses' }} />
+        </SettingsStack.Navigator>
+    );
+};
+
 /**
  * Main Tab Navigator
  * 
@@ -152,7 +177,7 @@ const TabNavigator = () => {
             <Tab.Screen name="The Guide" component={GuideNavigator} />
             <Tab.Screen name="Daily Streams" component={DevotionalScreen} />
             <Tab.Screen name="The Well" component={FAQNavigator} />
-            <Tab.Screen name="Settings" component={SettingsScreen} />
+            <Tab.Screen name="Settings" component={SettingsNavigator} />
         </Tab.Navigator>
     );
 };
@@ -162,6 +187,7 @@ const TabNavigator = () => {
  * 
  * Orchestrates the top-level navigation logic.
  * Conditionally renders the AuthNavigator or TabNavigator based on the user's session state.
+ * Signed-in users also get the passage sheet, opened by tapping a scripture reference on any tab.
  */
 const AppNavigator = () => {
     const { session, restoreSession } = useUserStore();
@@ -173,7 +199,12 @@ const AppNavigator = () => {
 
     return (
         <NavigationContainer>
-            {session ? <TabNavigator /> : <AuthNavigator />}
+            {session ? (
+                <>
+                    <TabNavigator />
+                    <PassageSheet />
+                </>
+            ) : <AuthNavigator />}
         </NavigationContainer>
     );
 };
@@ -4,21 +4,26 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Text, Button, Card, Icon, useTheme } from '@rneui/themed';
 import { commonStyles, colors, spacing, typography } from '../utils/theme';
 import useDevotionalStore from '../store/useDevotionalStore';
+import useUserStore from '../store/useUserStore';
+import ScriptureText, { ScriptureLink } from '../components/ScriptureText';
 
 /**
  * Devotional Screen (Daily Streams)
  * 
  * Displays the daily devotional content.
  * Includes scripture, reflection, and prayer.
+ * The scripture's reference and any references in the reflection open the passage sheet when tapped.
  */
 const DevotionalScreen = ({ navigation }) => {
     const { todayDevotional, fetchTodayDevotional, isLoading, streak } = useDevotionalStore();
+    const translation = useUserStore((state) => state.settings.translation);
     const { theme } = useTheme();
     const insets = useSafeAreaInsets();
 
+    // Refetch when the preferred translation changes in Settings
     useEffect(() => {
-        fetchTodayDevotional();
-    }, []);
+        fetchTodayDevotional(translation);
+    }, [translation]);
 
     if (isLoading) {
         return (
@@ -62,11 +67,11 @@ const DevotionalScreen = ({ navigation }) => {
                 <View style={[styles.scriptureContainer, { backgroundColor: theme.mode === 'dark' ? theme.colors.grey0 : theme.colors.grey5 }]}>
                     <Text style={[styles.scriptureText, { color: theme.colors.grey2 }]}>"{todayDevotional.scripture.text}"</Text>
                     <Text style={[styles.scriptureReference, { color: theme.colors.primary }]}>
-                        {todayDevotional.scripture.reference} ({todayDevotional.scripture.translation})
+                        <ScriptureLink reference={todayDevotional.scripture.reference} /> ({todayDevotional.scripture.label})
                     </Text>
                 </View>
 
-                <Text style={[styles.bodyText, { color: theme.colors.black }]}>{todayDevotional.content}</Text>
+                <ScriptureText style={[styles.bodyText, { color: theme.colors.black }]}>{todayDevotional.content}</ScriptureText>
 
                 <View style={[styles.divider, { backgroundColor: theme.colors.grey0 }]} />
 
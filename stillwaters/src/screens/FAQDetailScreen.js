@@ -2,12 +2,14 @@ import React from 'react';
 import { View, ScrollView, StyleSheet } from 'react-native';
 import { Text, useTheme } from '@rneui/themed';
 import { spacing, typography } from '../utils/theme';
+import ScriptureText, { ScriptureLink } from '../components/ScriptureText';
 
 /**
  * FAQ Detail Screen
  * 
  * Displays the full answer for a selected FAQ.
  * Includes summary, detailed explanation, and key scripture references.
+ * References, in the answer or the Related Scripture list, open the passage sheet when tapped.
  */
 const FAQDetailScreen = ({ route }) => {
     const { faq } = route.params;
@@ -20,18 +22,18 @@ const FAQDetailScreen = ({ route }) => {
                 <Text h4 style={[styles.question, { color: theme.colors.black }]}>{faq.question}</Text>
 
                 <Text style={[styles.sectionTitle, { color: theme.colors.primary }]}>Summary</Text>
-                <Text style={[styles.answer, { color: theme.colors.black }]}>{faq.answer.summary}</Text>
+                <ScriptureText style={[styles.answer, { color: theme.colors.black }]}>{faq.answer.summary}</ScriptureText>
 
                 <View style={[styles.divider, { backgroundColor: theme.colors.grey0 }]} />
 
                 <Text style={[styles.sectionTitle, { color: theme.colors.primary }]}>Detailed Explanation</Text>
-                <Text style={[styles.answer, { color: theme.colors.black }]}>{faq.answer.detailed}</Text>
+                <ScriptureText style={[styles.answer, { color: theme.colors.black }]}>{faq.answer.detailed}</ScriptureText>
 
                 {faq.answer.scriptures && faq.answer.scriptures.length > 0 && (
                     <View style={styles.scriptureContainer}>
                         <Text style={[styles.scriptureTitle, { color: theme.colors.grey1 }]}>Related Scripture:</Text>
                         {faq.answer.scriptures.map((scripture, index) => (
-                            <Text key={index} style={[styles.scripture, { color: theme.colors.grey2 }]}>• {scripture}</Text>
+                            <Text key={index} style={[styles.scripture, { color: theme.colors.grey2 }]}>• <ScriptureLink reference={scripture} /></Text>
                         ))}
                     </View>
                 )}
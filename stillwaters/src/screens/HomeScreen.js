@@ -1,8 +1,12 @@
 import React, { useEffect, useRef } from 'react';
-import { View, FlatList, StyleSheet, KeyboardAvoidingView, Platform, Animated, Easing } from 'react-native';
+import { View, FlatList, StyleSheet, KeyboardAvoidingView, Platform, Animated, Easing, ActivityIndicator } from 'react-native';
 import { Text, Input, Icon, useTheme } from '@rneui/themed';
 import { commonStyles, colors, spacing, typography } from '../utils/theme';
+import { translationLabel } from '../utils/translations';
 import useChatStore from '../store/useChatStore';
+import usePassageStore, { passageText } from '../store/usePassageStore';
+import ScriptureText, { ScriptureLink } from '../components/ScriptureText';
+import { normalizeReference } from '../../shared/scripture';
 
 /**
  * Message Bubble Component
@@ -10,25 +14,189 @@ import useChatStore from '../store/useChatStore';
  * Displays a single chat message with "flowy" animations and themed styling.
  */
 import * as Clipboard from 'expo-clipboard';
-import { TouchableOpacity, Alert } from 'react-native';
+import { TouchableOpacity, Alert, Linking } from 'react-native';
+
+// Matches the backend's limit on /api/v1/chat questions
+const MAX_QUESTION_LENGTH = 1000;
 
 /**
- * Helper to render text with basic markdown (*italics*, **bold**)
+ * Helper to render text with basic markdown (*italics*, **bold**).
+ * With `linkScripture`, references in the text open the passage sheet when tapped.
  */
-const renderMarkdown = (text, style) => {
+const renderMarkdown = (text, style, { linkScripture = false } = {}) => {
+    const TextPart = linkScripture ? ScriptureText : Text;
     const parts = text.split(/(\*\*.*?\*\*|\*.*?\*)/g);
     return parts.map((part, index) => {
         if (part.startsWith('**') && part.endsWith('**')) {
-            return <Text key={index} style={[style, { fontWeight: 'bold' }]}>{part.slice(2, -2)}</Text>;
+            return <TextPart key={index} style={[style, { fontWeight: 'bold' }]}>{part.slice(2, -2)}</TextPart>;
         } else if (part.startsWith('*') && part.endsWith('*')) {
-            return <Text key={index} style={[style, { fontStyle: 'italic' }]}>{part.slice(1, -1)}</Text>;
+            return <TextPart key={index} style={[style, { fontStyle: 'italic' }]}>{part.slice(1, -1)}</TextPart>;
         }
-        return <Text key={index} style={style}>{part}</Text>;
+        return <TextPart key={index} style={style}>{part}</TextPart>;
     });
 };
 
-const MessageBubble = ({ item, theme }) => {
+/**
+ * Perspective Tabs
+ *
+ * Lets the user switch between the traditions' views when The Guide
+ * answers a contested question with several interpretations.
+ */
+const PerspectiveTabs = ({ interpretations, selectedIndex, onSelect, theme }) => (
+    <View style={styles.perspectiveTabs}>
+        {interpretations.map((interpretation, index) => {
+            const isSelected = index === selectedIndex;
+            return (
+                <TouchableOpacity
+                    key={`${interpretation.tradition}-${index}`}
+                    onPress={() => onSelect(index)}
+                    style={[
+                        styles.perspectiveTab,
+                        { borderColor: theme.colors.primary },
+                        isSelected && { backgroundColor: theme.colors.primary },
+                    ]}
+                >
+                    <Text style={[styles.perspectiveTabText, { color: isSelected ? theme.colors.white : theme.colors.primary }]}>
+                        {interpretation.tradition}
+                    </Text>
+                </TouchableOpacity>
+            );
+        })}
+    </View>
+);
+
+// Scriptures checked by the backend carry `verified`; older messages have no flag and show nothing
+const VerificationLabel = ({ verified }) => {
+    if (verified === undefined) return null;
+    return (
+        <Text style={[styles.verificationLabel, { color: verified ? colors.primary.dark : colors.secondary.medium }]}>
+            {verified ? '✓ Verified against the KJV' : 'Quotation not verified'}
+        </Text>
+    );
+};
+
+// The verse for the selected view of an answer, with its translation and verification
+const AnswerScripture = ({ scripture, theme }) => (
+    <View style={styles.answerScripture}>
+        <Text style={[styles.verseText, { color: theme.colors.black }]}>"{scripture.text}"</Text>
+        <Text style={[styles.answerReference, { color: theme.colors.primary }]}>
+            — <ScriptureLink reference={scripture.reference} />{scripture.translation ? ` (${translationLabel(scripture.translation, scripture.requested_translation)})` : ''}
+        </Text>
+        <VerificationLabel verified={scripture.verified} />
+    </View>
+);
+
+/**
+ * Related Verses
+ *
+ * Chips for an answer's related verses. Tapping one shows its text in place
+ * (fetched from the backend in the user's translation); tapping again hides it.
+ */
+const RelatedVerses = ({ references, theme }) => {
+    const [openReference, setOpenReference] = React.useState(null);
+    const { expandPassage, expandedPassage, openPassage } = usePassageStore();
+    const passage = openReference ? expandedPassage(openReference) : null;
+
+    const handlePress = (reference) => {
+        if (openReference === reference) {
+            setOpenReference(null);
+            return;
+        }
+        setOpenReference(reference);
+        expandPassage(reference);
+    };
+
+    return (
+        <View style={styles.answerSection}>
+            <Text style={[styles.answerHeading, { color: theme.colors.primary }]}>Related Verses</Text>
+            <View style={styles.relatedVerseChips}>
+                {references.map((reference) => {
+                    const isOpen = reference === openReference;
+                    // Citations the backend could not read are shown but cannot be expanded
+                    const readable = Boolean(normalizeReference(reference));
+                    return (
+                        <TouchableOpacity
+                            key={reference}
+                            onPress={() => handlePress(reference)}
+                            disabled={!readable}
+                            accessibilityState={{ expanded: isOpen }}
+                            style={[
+                                styles.relatedVerseChip,
+                                { borderColor: readable ? theme.colors.primary : theme.colors.grey2 },
+                                isOpen && { backgroundColor: theme.colors.primary },
+                            ]}
+                        >
+                            <Text style={[styles.relatedVerseChipText, { color: isOpen ? theme.colors.white : readable ? theme.colors.primary : theme.colors.grey2 }]}>
+                                {reference}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+            {passage && (
+                <View style={styles.answerScripture}>
+                    {passage.isLoading && <ActivityIndicator size="small" color={theme.colors.primary} />}
+                    {passage.error && <Text style={styles.relatedVerseError}>{passage.error}</Text>}
+                    {passage.lookup && (
+                        <>
+                            <Text style={[styles.verseText, { color: theme.colors.black }]}>"{passageText(passage.lookup)}"</Text>
+                            <Text style={[styles.answerReference, { color: theme.colors.primary }]}>
+                                — {passage.lookup.reference} ({translationLabel(passage.lookup.translation, passage.lookup.requested_translation)})
+                            </Text>
+                            <Text style={[styles.readInContext, { color: theme.colors.primary }]} onPress={() => openPassage(openReference)}>
+                                Read in context
+                            </Text>
+                        </>
+                    )}
+                </View>
+            )}
+        </View>
+    );
+};
+
+/**
+ * Crisis lines attached to answers about suicide or self-harm.
+ * Each resource opens the dialer, messages or browser.
+ */
+const CrisisResourceCard = ({ resources, theme }) => (
+    <View style={styles.resourceCard}>
+        <Text style={[styles.resourceHeading, { color: theme.colors.black }]}>You don't have to face this alone</Text>
+        {resources.map(resource => (
+            <TouchableOpacity
+                key={resource.name}
+                onPress={() => Linking.openURL(resource.url).catch(() => Alert.alert(resource.name, resource.detail))}
+                style={styles.resourceRow}
+            >
+                <Icon name="call-outline" type="ionicon" size={18} color={colors.semantic.error} />
+                <View style={styles.resourceTextContainer}>
+                    <Text style={[styles.resourceName, { color: theme.colors.black }]}>{resource.name}</Text>
+                    <Text style={styles.resourceDetail}>{resource.detail}</Text>
+                </View>
+            </TouchableOpacity>
+        ))}
+    </View>
+);
+
+/**
+ * A Guide answer is shown as one card from its stored metadata: the explanation (per
+ * perspective when there are several), its verse, the practical application and related
+ * verses. Older conversations saved the first verse as a separate verse card after the
+ * answer (`hasVerseCard`), so the card leaves it out there.
+ */
+const MessageBubble = ({ item, theme, hasVerseCard = false }) => {
     const isUser = item.sender === 'user';
+    const [perspectiveIndex, setPerspectiveIndex] = React.useState(0);
+    const answer = !isUser && item.data?.interpretations ? item.data : null;
+    const interpretations = answer?.interpretations || [];
+    const hasPerspectives = interpretations.length > 1;
+    // Show the selected tradition's view when the answer has several perspectives
+    const text = hasPerspectives ? interpretations[perspectiveIndex].view : item.text;
+    const scripture = answer && !hasVerseCard ? interpretations[perspectiveIndex]?.scriptures?.[0] : null;
+    const markdownStyle = {
+        color: isUser ? theme.colors.white : theme.colors.black,
+        fontSize: typography.sizes.body,
+        lineHeight: 22,
+    };
     const fadeAnim = useRef(new Animated.Value(0)).current;
     const translateY = useRef(new Animated.Value(20)).current;
 
@@ -50,7 +218,7 @@ const MessageBubble = ({ item, theme }) => {
     }, []);
 
     const handleLongPress = async () => {
-        await Clipboard.setStringAsync(item.text);
+        await Clipboard.setStringAsync(text);
         // Optional: Show a toast or small alert
         Alert.alert('Copied', 'Message copied to clipboard');
     };
@@ -69,21 +237,44 @@ const MessageBubble = ({ item, theme }) => {
                     isUser ?
                         [styles.userBubble, { backgroundColor: theme.colors.primary }] :
                         [styles.botBubble, { backgroundColor: theme.colors.white }],
-                    item.data?.isVerse && styles.verseBubble // Apply verse styling
+                    item.data?.isVerse && styles.verseBubble, // Apply verse styling
+                    item.data?.crisis && styles.crisisBubble
                 ]}
             >
+                {hasPerspectives && (
+                    <PerspectiveTabs
+                        interpretations={interpretations}
+                        selectedIndex={perspectiveIndex}
+                        onSelect={setPerspectiveIndex}
+                        theme={theme}
+                    />
+                )}
                 <Text style={[
                     styles.messageText,
                     isUser ? { color: theme.colors.white } : { color: theme.colors.black },
                     item.data?.isVerse && styles.verseText // Apply verse text styling
                 ]}>
-                    {renderMarkdown(item.text, {
-                        color: isUser ? theme.colors.white : theme.colors.black,
-                        fontSize: typography.sizes.body,
-                        lineHeight: 22,
+                    {renderMarkdown(text, {
+                        ...markdownStyle,
                         ...((item.data?.isVerse) ? styles.verseText : {})
-                    })}
+                    }, { linkScripture: !isUser })}
                 </Text>
+                {item.data?.isVerse && <VerificationLabel verified={item.data.verified} />}
+                {scripture && <AnswerScripture scripture={scripture} theme={theme} />}
+                {answer?.application && (
+                    <View style={styles.answerSection}>
+                        <Text style={[styles.answerHeading, { color: theme.colors.primary }]}>Application</Text>
+                        <Text style={[styles.messageText, { color: theme.colors.black }]}>
+                            {renderMarkdown(answer.application, markdownStyle, { linkScripture: true })}
+                        </Text>
+                    </View>
+                )}
+                {answer?.related_verses?.length > 0 && (
+                    <RelatedVerses references={answer.related_verses} theme={theme} />
+                )}
+                {item.data?.resources?.length > 0 && (
+                    <CrisisResourceCard resources={item.data.resources} theme={theme} />
+                )}
             </TouchableOpacity>
         </Animated.View>
     );
@@ -97,7 +288,7 @@ const MessageBubble = ({ item, theme }) => {
  */
 const HomeScreen = ({ route, navigation }) => {
     const { conversationId } = route.params || {};
-    const { messages, isLoading, sendUserMessage, loadConversation, clearMessages } = useChatStore();
+    const { messages, isLoading, sendUserMessage, loadConversation, clearMessages, fetchConversationSummary, conversationId: activeConversationId } = useChatStore();
     const [inputText, setInputText] = React.useState('');
     const flatListRef = useRef(null);
     const { theme } = useTheme();
@@ -111,6 +302,34 @@ const HomeScreen = ({ route, navigation }) => {
         }
     }, [conversationId]);
 
+    const showSummary = async () => {
+        const summary = await fetchConversationSummary();
+        Alert.alert(
+            'Conversation Summary',
+            summary
+                ? `${summary.summary}\n\nCovers your first ${summary.exchange_count} questions.`
+                : 'The Guide keeps a short summary of longer conversations. It will appear here after a few more questions.'
+        );
+    };
+
+    // Summary button in the header once the conversation has been saved
+    useEffect(() => {
+        navigation.setOptions({
+            headerRight: activeConversationId
+                ? () => (
+                    <Icon
+                        name="document-text-outline"
+                        type="ionicon"
+                        color={theme.colors.white}
+                        onPress={showSummary}
+                        containerStyle={styles.headerButton}
+                        accessibilityLabel="Conversation summary"
+                    />
+                )
+                : undefined,
+        });
+    }, [navigation, activeConversationId]);
+
     const handleSend = async () => {
         if (!inputText.trim()) return;
         const text = inputText;
@@ -130,7 +349,9 @@ const HomeScreen = ({ route, navigation }) => {
             <FlatList
                 ref={flatListRef}
                 data={messages}
-                renderItem={({ item }) => <MessageBubble item={item} theme={theme} />}
+                renderItem={({ item, index }) => (
+                    <MessageBubble item={item} theme={theme} hasVerseCard={Boolean(messages[index + 1]?.data?.isVerse)} />
+                )}
                 keyExtractor={item => item.id}
                 contentContainerStyle={styles.chatContent}
                 ListEmptyComponent={
@@ -144,7 +365,8 @@ const HomeScreen = ({ route, navigation }) => {
                     )
                 }
                 ListFooterComponent={
-                    isLoading && (
+                    // Hide once the answer starts streaming into its own bubble
+                    isLoading && !messages.some(msg => msg.isStreaming) && (
                         <View style={styles.loadingContainer}>
                             <Text style={[styles.loadingText, { color: theme.colors.grey1 }]}>The Guide is reflecting...</Text>
                         </View>
@@ -162,6 +384,7 @@ const HomeScreen = ({ route, navigation }) => {
                         placeholderTextColor={theme.colors.grey1}
                         value={inputText}
                         onChangeText={setInputText}
+                        maxLength={MAX_QUESTION_LENGTH}
                         containerStyle={styles.inputFieldContainer}
                         inputContainerStyle={[styles.inputField, { backgroundColor: theme.colors.grey0 }]}
                         inputStyle={{ color: theme.colors.black, fontSize: typography.sizes.body }}
@@ -257,6 +480,108 @@ const styles = StyleSheet.create({
     rightIconContainer: {
         marginRight: spacing.xs,
     },
+    headerButton: {
+        marginRight: spacing.m,
+    },
+    perspectiveTabs: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: spacing.s,
+    },
+    perspectiveTab: {
+        borderWidth: 1,
+        borderRadius: 12,
+        paddingHorizontal: spacing.s,
+        paddingVertical: spacing.xs,
+        marginRight: spacing.xs,
+        marginBottom: spacing.xs,
+    },
+    perspectiveTabText: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+    },
+    answerScripture: {
+        marginTop: spacing.s,
+        paddingLeft: spacing.s,
+        borderLeftWidth: 3,
+        borderLeftColor: colors.primary.blue,
+    },
+    answerReference: {
+        marginTop: spacing.xs,
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+    },
+    answerSection: {
+        marginTop: spacing.m,
+    },
+    answerHeading: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+        textTransform: 'uppercase',
+        marginBottom: spacing.xs,
+    },
+    relatedVerseChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    relatedVerseChip: {
+        borderWidth: 1,
+        borderRadius: 12,
+        paddingHorizontal: spacing.s,
+        paddingVertical: spacing.xs,
+        marginRight: spacing.xs,
+        marginBottom: spacing.xs,
+    },
+    relatedVerseChipText: {
+        fontSize: typography.sizes.small,
+        fontWeight: typography.weights.bold,
+    },
+    relatedVerseError: {
+        fontSize: typography.sizes.small,
+        color: colors.semantic.error,
+    },
+    readInContext: {
+        marginTop: spacing.xs,
+        fontSize: typography.sizes.small,
+        textDecorationLine: 'underline',
+    },
+    crisisBubble: {
+        borderLeftWidth: 4,
+        borderLeftColor: colors.semantic.error,
+    },
+    resourceCard: {
+        marginTop: spacing.m,
+        paddingTop: spacing.s,
+        borderTopWidth: 1,
+        borderTopColor: colors.secondary.light,
+    },
+    resourceHeading: {
+        fontSize: typography.sizes.caption,
+        fontWeight: typography.weights.bold,
+        marginBottom: spacing.xs,
+    },
+    resourceRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.xs,
+    },
+    resourceTextContainer: {
+        marginLeft: spacing.s,
+        flex: 1,
+    },
+    resourceName: {
+        fontSize: typography.sizes.caption,
+        fontWeight: typography.weights.bold,
+    },
+    resourceDetail: {
+        fontSize: typography.sizes.small,
+        color: colors.secondary.medium,
+    },
+    verificationLabel: {
+        marginTop: spacing.xs,
+        fontSize: typography.sizes.small,
+        fontStyle: 'italic',
+    },
     verseBubble: {
         backgroundColor: '#f0f8ff', // Light blue background for verses (AliceBlue)
         borderLeftWidth: 4,
@@ -0,0 +1,96 @@
+import React, { useEffect } from 'react';
+import { View, FlatList, StyleSheet } from 'react-native';
+import { Text, Icon, useTheme } from '@rneui/themed';
+import { colors, spacing, typography } from '../utils/theme';
+import usePassageStore from '../store/usePassageStore';
+
+/**
+ * Saved Verses Screen
+ *
+ * Lists the verses the user saved from the passage sheet, newest first.
+ * Tapping one opens it in the sheet again; the bookmark removes it.
+ */
+const SavedVersesScreen = () => {
+    const { savedVerses, fetchSavedVerses, openPassage, removeSavedVerse } = usePassageStore();
+    const { theme } = useTheme();
+
+    useEffect(() => {
+        fetchSavedVerses();
+    }, []);
+
+    return (
+        <FlatList
+            style={[styles.container, { backgroundColor: theme.colors.background }]}
+            data={savedVerses || []}
+            keyExtractor={item => item.id}
+            renderItem={({ item }) => (
+                <View style={[styles.card, { backgroundColor: theme.colors.white, shadowColor: theme.colors.black }]}>
+                    <View style={styles.cardHeader}>
+                        <Text
+                            style={[styles.reference, { color: theme.colors.primary }]}
+                            onPress={() => openPassage(item.reference)}
+                        >
+                            {item.reference} ({item.translation})
+                        </Text>
+                        <Icon
+                            name="bookmark"
+                            type="ionicon"
+                            size={20}
+                            color={theme.colors.primary}
+                            onPress={() => removeSavedVerse(item.id)}
+                            accessibilityLabel={`Remove ${item.reference}`}
+                        />
+                    </View>
+                    <Text style={[styles.text, { color: theme.colors.black }]}>{item.text}</Text>
+                </View>
+            )}
+            ListEmptyComponent={
+                savedVerses && (
+                    <Text style={styles.empty}>
+                        Tap a scripture reference in The Guide, The Well or Daily Streams and choose Save Verse to keep it here.
+                    </Text>
+                )
+            }
+        />
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        padding: spacing.m,
+    },
+    card: {
+        borderRadius: 8,
+        padding: spacing.m,
+        marginBottom: spacing.m,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+        elevation: 3,
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: spacing.s,
+    },
+    reference: {
+        flex: 1,
+        fontSize: typography.sizes.caption,
+        fontWeight: typography.weights.bold,
+    },
+    text: {
+        fontSize: typography.sizes.body,
+        fontStyle: 'italic',
+        lineHeight: 24,
+    },
+    empty: {
+        padding: spacing.m,
+        color: colors.secondary.medium,
+        textAlign: 'center',
+        lineHeight: 20,
+    },
+});
+
+export default SavedVersesScreen;
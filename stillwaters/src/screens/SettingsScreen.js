@@ -73,7 +73,7 @@ const SettingsScreen = ({ navigation }) => {
                     />
                 </ListItem>
 
-                <ListItem bottomDivider containerStyle={{ backgroundColor: theme.colors.white }} onPress={() => { }}>
+                <ListItem bottomDivider containerStyle={{ backgroundColor: theme.colors.white }} onPress={() => navigation.navigate('Translation')}>
                     <Icon name="book-outline" type="ionicon" color={colors.primary.blue} />
                     <ListItem.Content>
                         <ListItem.Title style={{ color: theme.colors.black }}>Bible Translation</ListItem.Title>
@@ -81,6 +81,14 @@ const SettingsScreen = ({ navigation }) => {
                     </ListItem.Content>
                     <ListItem.Chevron />
                 </ListItem>
+
+                <ListItem bottomDivider containerStyle={{ backgroundColor: theme.colors.white }} onPress={() => navigation.navigate('SavedVerses')}>
+                    <Icon name="bookmark-outline" type="ionicon" color={colors.primary.blue} />
+                    <ListItem.Content>
+                        <ListItem.Title style={{ color: theme.colors.black }}>Saved Verses</ListItem.Title>
+                    </ListItem.Content>
+                    <ListItem.Chevron />
+                </ListItem>
             </View>
 
             {/* Support Section */}
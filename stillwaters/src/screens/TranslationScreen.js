@@ -0,0 +1,68 @@
+import React from 'react';
+import { ScrollView, StyleSheet } from 'react-native';
+import { Text, ListItem, Icon, useTheme } from '@rneui/themed';
+import { colors, spacing, typography } from '../utils/theme';
+import { TRANSLATIONS, FALLBACK_TRANSLATION } from '../utils/translations';
+import useUserStore from '../store/useUserStore';
+
+/**
+ * Translation Screen
+ *
+ * Lets the user choose the Bible translation used by The Guide and Daily Streams.
+ * Translations the app cannot show yet stay selectable as a preference, marked as not available.
+ */
+const TranslationScreen = ({ navigation }) => {
+    const { settings, setTranslation } = useUserStore();
+    const { theme } = useTheme();
+
+    const handleSelect = (code) => {
+        setTranslation(code);
+        navigation.goBack();
+    };
+
+    return (
+        <ScrollView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+            {TRANSLATIONS.map(({ code, name, available }) => (
+                <ListItem
+                    key={code}
+                    bottomDivider
+                    containerStyle={{ backgroundColor: theme.colors.white }}
+                    onPress={() => handleSelect(code)}
+                >
+                    <ListItem.Content>
+                        <ListItem.Title style={{ color: theme.colors.black }}>{name}</ListItem.Title>
+                        <ListItem.Subtitle style={styles.code}>
+                            {available ? code : `${code} · not available, shown in ${FALLBACK_TRANSLATION}`}
+                        </ListItem.Subtitle>
+                    </ListItem.Content>
+                    {settings.translation === code && (
+                        <Icon name="checkmark" type="ionicon" color={colors.primary.blue} />
+                    )}
+                </ListItem>
+            ))}
+
+            <Text style={styles.note}>
+                Translations marked as not available can't be shown in the app yet because of their
+                licences. Verses appear in the {FALLBACK_TRANSLATION} instead and are labelled.
+            </Text>
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    code: {
+        color: colors.secondary.medium,
+        fontSize: typography.sizes.small,
+    },
+    note: {
+        padding: spacing.m,
+        color: colors.secondary.medium,
+        fontSize: typography.sizes.small,
+        lineHeight: 18,
+    },
+});
+
+export default TranslationScreen;
@@ -2,6 +2,7 @@ import axios from 'axios';
 import { Platform } from 'react-native';
 
 import { API_URL } from '@env';
+import useUserStore from '../store/useUserStore';
 
 // Use API_URL from env if available, otherwise fallback to localhost
 const BASE_URL = API_URL || Platform.select({
@@ -17,9 +18,65 @@ const api = axios.create({
     },
 });
 
-export const sendMessage = async (question) => {
+// Attach the Supabase access token so the backend can identify the user
+api.interceptors.request.use((config) => {
+    const accessToken = useUserStore.getState().session?.access_token;
+    if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+});
+
+/**
+ * Error raised for failed backend requests.
+ * Carries the backend's `{ error, code }` body so screens can show the
+ * server's message and branch on the code (e.g. UNAUTHORIZED, DAILY_LIMIT_REACHED).
+ */
+export class ApiError extends Error {
+    constructor(message, { status, code, details } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Normalize axios errors into ApiError
+api.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        const body = error.response?.data;
+        if (body?.code) {
+            const { error: message, code, ...details } = body;
+            return Promise.reject(new ApiError(message, { status: error.response.status, code, details }));
+        }
+        return Promise.reject(new ApiError(error.message, { status: error.response?.status, code: 'NETWORK_ERROR' }));
+    }
+);
+
+// Every Guide request carries the user's preferred Bible translation,
+// and the conversation the answer should be saved to (a new one when null)
+const chatRequestBody = (question, history, conversationId) => ({
+    question,
+    history,
+    translation: useUserStore.getState().settings.translation,
+    conversation_id: conversationId || null,
+});
+
+/**
+ * Ask The Guide a question.
+ *
+ * @param {string} question - The user's question.
+ * @param {Array<{role: 'user'|'model', text: string}>} [history] - Prior turns of the conversation.
+ * @param {Object} [options]
+ * @param {string} [options.conversationId] - Conversation to save the exchange to; a new one when omitted.
+ * @returns {Promise<Object>} The Guide's structured response (`cached: true` when it was a saved answer to a repeated question),
+ *   with the stored `conversation` and `messages` rows when the exchange was saved.
+ */
+export const sendMessage = async (question, history = [], { conversationId } = {}) => {
     try {
-        const response = await api.post('/api/chat', { question });
+        const response = await api.post('/api/v1/chat', chatRequestBody(question, history, conversationId));
         return response.data;
     } catch (error) {
         console.error('API Error:', error);
@@ -27,4 +84,129 @@ export const sendMessage = async (question) => {
     }
 };
 
+/**
+ * Split a Server-Sent Events buffer into complete events.
+ *
+ * @param {string} buffer - Raw text received so far (from the last unparsed position).
+ * @returns {{events: Array<{event: string, data: Object}>, rest: string}} Parsed events and the incomplete remainder.
+ * @throws {SyntaxError} When a complete event's data is not JSON.
+ */
+export const parseEventStream = (buffer) => {
+    const blocks = buffer.split('\n\n');
+    const rest = blocks.pop();
+
+    const events = blocks.map((block) => {
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach((line) => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+
+    return { events, rest };
+};
+
+// Longest wait for a streamed answer; the backend gives up on the model well before this
+const STREAM_TIMEOUT_MS = 120000;
+
+/**
+ * Ask The Guide a question and receive the answer as it is written.
+ * Uses XMLHttpRequest because React Native's fetch cannot read a streaming body.
+ *
+ * @param {string} question - The user's question.
+ * @param {Array<{role: 'user'|'model', text: string}>} [history] - Prior turns of the conversation.
+ * @param {Object} [handlers]
+ * @param {(text: string) => void} [handlers.onDelta] - Called with each new piece of the answer text.
+ * @param {string} [handlers.conversationId] - Conversation to save the exchange to; a new one when omitted.
+ * @returns {Promise<Object>} The complete structured response (same shape as sendMessage).
+ *   Cached answers arrive as a single `done` event with no deltas.
+ */
+export const streamMessage = (question, history = [], { onDelta, conversationId } = {}) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let parsedLength = 0;
+    let pending = '';
+    let settled = false;
+
+    const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        fn(value);
+    };
+
+    const handleProgress = () => {
+        if (xhr.status !== 200 || settled) return;
+
+        pending += xhr.responseText.substring(parsedLength);
+        parsedLength = xhr.responseText.length;
+
+        try {
+            const { events, rest } = parseEventStream(pending);
+            pending = rest;
+
+            events.forEach(({ event, data }) => {
+                if (event === 'delta') {
+                    onDelta?.(data.text);
+                } else if (event === 'done') {
+                    settle(resolve, data);
+                } else if (event === 'error') {
+                    settle(reject, new ApiError(data.error, { status: 200, code: data.code }));
+                }
+            });
+        } catch (error) {
+            // A malformed event (e.g. cut short by a proxy): give up rather than wait forever
+            settle(reject, new ApiError('The answer stream could not be read.', { status: xhr.status, code: 'STREAM_INCOMPLETE' }));
+            xhr.abort();
+        }
+    };
+
+    xhr.open('POST', `${BASE_URL}/api/v1/chat/stream`);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    const accessToken = useUserStore.getState().session?.access_token;
+    if (accessToken) {
+        xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+    }
+
+    xhr.onprogress = handleProgress;
+    xhr.onload = () => {
+        if (xhr.status !== 200) {
+            // Errors raised before the stream opens use the regular JSON error shape
+            let body = {};
+            try {
+                body = JSON.parse(xhr.responseText);
+            } catch (error) {
+                // Not JSON (e.g. proxy error page)
+            }
+            settle(reject, new ApiError(body.error || 'Request failed', { status: xhr.status, code: body.code || 'NETWORK_ERROR' }));
+            return;
+        }
+        handleProgress();
+        settle(reject, new ApiError('The answer stream ended early.', { status: xhr.status, code: 'STREAM_INCOMPLETE' }));
+    };
+    xhr.onerror = () => settle(reject, new ApiError('Network request failed', { code: 'NETWORK_ERROR' }));
+    xhr.timeout = STREAM_TIMEOUT_MS;
+    xhr.ontimeout = () => settle(reject, new ApiError('The Guide took too long to answer.', { code: 'TIMEOUT' }));
+
+    xhr.send(JSON.stringify(chatRequestBody(question, history, conversationId)));
+});
+
+/**
+ * Look up the text of a scripture reference, with the verses around it.
+ *
+ * @param {string} reference - e.g. "John 3:16-18" or "1 Cor 13:4-7, 13".
+ * @param {Object} [options]
+ * @param {string} [options.translation] - Translation to ask for; the user's preferred one by default.
+ * @param {number} [options.context] - Verses to include before and after each passage (0-10, default 2).
+ * @returns {Promise<Object>} `{ reference, translation, requested_translation?, passages }`,
+ *   each passage with its `verses` and `context: { before, after }`.
+ */
+export const lookupScripture = async (reference, { translation = useUserStore.getState().settings.translation, context } = {}) => {
+    const response = await api.get('/api/v1/scripture', {
+        params: { reference, translation, context },
+    });
+    return response.data;
+};
+
 export default api;
@@ -2,6 +2,18 @@ import { create } from 'zustand';
 import { supabase } from '../services/supabase';
 import useUserStore from './useUserStore';
 
+// Max prior messages sent with each question (the backend trims further to its token budget)
+const MAX_HISTORY_MESSAGES = 20;
+
+// Stored message row -> UI message
+const toMessage = (row) => ({
+    id: row.id,
+    text: row.text,
+    sender: row.sender,
+    timestamp: new Date(row.created_at),
+    data: row.metadata,
+});
+
 /**
  * Chat Store
  * 
@@ -15,76 +27,53 @@ const useChatStore = create((set, get) => ({
     conversationId: null, // ID of the current active conversation in Supabase
 
     /**
-     * Initialize a new conversation in Supabase.
-     * Creates a new row in the 'conversations' table linked to the current user.
+     * Add a message to the local store.
+     * Questions and answers are saved by the backend with each Guide request;
+     * see sendUserMessage.
      * 
-     * @returns {Promise<string|null>} The new conversation ID or null if failed.
+     * @param {Object} message - The message object to add.
      */
-    initConversation: async () => {
-        try {
-            const user = useUserStore.getState().user;
-            if (!user) return;
-
-            // Create a new conversation entry
-            const { data, error } = await supabase
-                .from('conversations')
-                .insert([{ user_id: user.id, summary: 'New Conversation' }])
-                .select()
-                .single();
-
-            if (error) throw error;
-
-            // Update state with the new conversation ID and add to list
-            const newConversation = data;
-            set(state => ({
-                conversationId: newConversation.id,
-                conversations: [newConversation, ...state.conversations]
-            }));
-            return newConversation.id;
-        } catch (error) {
-            console.error('Error creating conversation:', error);
-            return null;
-        }
-    },
+    addMessage: (message) => set((state) => ({
+        messages: [...state.messages, message]
+    })),
 
     /**
-     * Add a message to the local store and persist it to Supabase.
-     * If no conversation exists, it initializes one first.
+     * Replace the local copies of an exchange with the rows the backend stored,
+     * and add or retitle its conversation in the list.
      * 
-     * @param {Object} message - The message object to add.
+     * @param {string[]} localIds - IDs of the optimistic messages to replace.
+     * @param {Object} conversation - Stored conversation { id, summary, created_at }.
+     * @param {Array} storedMessages - Stored message rows, in order.
      */
-    addMessage: async (message) => {
-        // Optimistically update the UI
-        set((state) => ({
-            messages: [...state.messages, message]
-        }));
-
-        // Log the message to Supabase for persistence
-        try {
-            const user = useUserStore.getState().user;
-            if (!user) return;
+    reconcileExchange: (localIds, conversation, storedMessages) => set((state) => {
+        const known = state.conversations.some(c => c.id === conversation.id);
+        return {
+            conversationId: conversation.id,
+            messages: [...state.messages.filter(msg => !localIds.includes(msg.id)), ...storedMessages.map(toMessage)],
+            conversations: known
+                ? state.conversations.map(c => c.id === conversation.id ? { ...c, summary: conversation.summary } : c)
+                : [conversation, ...state.conversations],
+        };
+    }),
 
-            // Get current conversation ID or create a new one
-            let chatId = get().conversationId;
-            if (!chatId) {
-                chatId = await get().initConversation();
-            }
+    /**
+     * Update a message in the local store (e.g. while an answer streams in).
+     * 
+     * @param {string} id - The message ID.
+     * @param {Object} updates - Fields to merge into the message.
+     */
+    updateMessage: (id, updates) => set((state) => ({
+        messages: state.messages.map(msg => msg.id === id ? { ...msg, ...updates } : msg)
+    })),
 
-            if (chatId) {
-                // Insert message into the 'messages' table
-                await supabase.from('messages').insert([{
-                    conversation_id: chatId,
-                    sender: message.sender,
-                    text: message.text,
-                    metadata: message.data || null, // Store extra data (e.g., scripture references)
-                }]);
-                return chatId;
-            }
-        } catch (error) {
-            console.error('Error logging message:', error);
-        }
-        return null;
-    },
+    /**
+     * Remove a message from the local store without touching Supabase.
+     * 
+     * @param {string} id - The message ID.
+     */
+    removeMessage: (id) => set((state) => ({
+        messages: state.messages.filter(msg => msg.id !== id)
+    })),
 
     /**
      * Set the loading state manually.
@@ -94,15 +83,34 @@ const useChatStore = create((set, get) => ({
      */
     setLoading: (loading) => set({ isLoading: loading }),
 
+    /**
+     * Build the conversation history sent to The Guide for context.
+     * Includes the user's questions and The Guide's answers; verse cards (in older conversations),
+     * connection errors and fallback answers (served while the model was unavailable) are left out.
+     *
+     * @returns {Array<{role: 'user'|'model', text: string}>}
+     */
+    getHistory: () => get().messages
+        .filter(msg => msg.sender === 'user' || (msg.sender === 'bot' && msg.data?.interpretations && !msg.data.fallback))
+        .slice(-MAX_HISTORY_MESSAGES)
+        .map(msg => ({
+            role: msg.sender === 'user' ? 'user' : 'model',
+            text: msg.text,
+        })),
+
     /**
      * Send a message from the user and get a response from the AI.
-     * Handles optimistic updates, API calls, and error states.
+     * Handles optimistic updates, API calls, and error states. The backend saves the
+     * exchange; the optimistic messages are then replaced with the stored rows.
      * 
      * @param {string} text - The user's message text.
      */
     sendUserMessage: async (text) => {
         if (!text.trim()) return;
 
+        // Prior turns of the active conversation, captured before adding the new question
+        const history = get().getHistory();
+
         const userMessage = {
             id: Date.now().toString(),
             text: text.trim(),
@@ -111,77 +119,68 @@ const useChatStore = create((set, get) => ({
         };
 
         // 1. Optimistically add user message
-        await get().addMessage(userMessage);
+        get().addMessage(userMessage);
         set({ isLoading: true });
 
+        const botMessageId = (Date.now() + 1).toString();
+
         try {
-            // 2. Call the backend API
-            const { sendMessage } = require('../services/api');
-            const response = await sendMessage(userMessage.text);
+            // 2. Call the backend API, growing the bot bubble as the answer streams in.
+            // The backend saves the question and answer to the conversation in one go.
+            const { streamMessage } = require('../services/api');
+            const response = await streamMessage(userMessage.text, history, {
+                conversationId: get().conversationId,
+                onDelta: (delta) => {
+                    const streamingMessage = get().messages.find(msg => msg.id === botMessageId);
+                    if (streamingMessage) {
+                        get().updateMessage(botMessageId, { text: streamingMessage.text + delta });
+                    } else {
+                        set((state) => ({
+                            messages: [...state.messages, {
+                                id: botMessageId,
+                                text: delta,
+                                sender: 'bot',
+                                timestamp: new Date(),
+                                isStreaming: true,
+                            }]
+                        }));
+                    }
+                },
+            });
+
+            // 3. Swap the local question and streamed answer for the stored rows
+            const { conversation, messages: storedMessages, ...answer } = response;
+            if (storedMessages) {
+                get().reconcileExchange([userMessage.id, botMessageId], conversation, storedMessages);
+                return;
+            }
 
-            // 3. Create bot message from response (Explanation)
+            // 4. The exchange could not be saved: show the answer locally only.
+            // The whole answer (verses, application, related verses) is shown as one card
             const botMessage = {
-                id: (Date.now() + 1).toString(),
-                text: response.interpretations[0].view,
+                id: botMessageId,
+                text: answer.interpretations[0].view,
                 sender: 'bot',
                 timestamp: new Date(),
-                data: response
+                data: answer
             };
-
-            // 4. Add bot message
-            await get().addMessage(botMessage);
-
-            // 5. Create separate message for the verse
-            let scripture = null;
-            if (response.interpretations?.[0]?.scriptures?.length > 0) {
-                scripture = response.interpretations[0].scriptures[0];
-            } else if (response.primary_scripture) {
-                // Fallback for legacy/mock structure
-                scripture = response.primary_scripture;
-            }
-
-            if (scripture) {
-                const translationText = scripture.translation ? ` (${scripture.translation})` : '';
-                const verseMessage = {
-                    id: (Date.now() + 2).toString(),
-                    text: `"${scripture.text}"\n\n— ${scripture.reference}${translationText}`,
-                    sender: 'bot',
-                    timestamp: new Date(Date.now() + 100), // Slight delay
-                    data: { isVerse: true } // Mark as verse for potential styling
-                };
-                await get().addMessage(verseMessage);
-            }
-
-            // 6. Auto-generate title if needed
-            const currentConversationId = get().conversationId;
-            if (currentConversationId) {
-                // Find conversation in local state
-                const conversationIndex = get().conversations.findIndex(c => c.id === currentConversationId);
-                const conversation = get().conversations[conversationIndex];
-
-                // If conversation is "New Conversation" (default), update it
-                if (conversation && conversation.summary === 'New Conversation') {
-                    // Use AI title if available, otherwise fallback to truncated text
-                    const newTitle = response.title || (text.length > 30 ? text.substring(0, 30) + '...' : text);
-
-                    // Update in Supabase
-                    await supabase
-                        .from('conversations')
-                        .update({ summary: newTitle })
-                        .eq('id', currentConversationId);
-
-                    // Update local state
-                    const updatedConversations = [...get().conversations];
-                    updatedConversations[conversationIndex] = { ...conversation, summary: newTitle };
-                    set({ conversations: updatedConversations });
-                }
+            if (get().messages.some(msg => msg.id === botMessageId)) {
+                get().updateMessage(botMessageId, { ...botMessage, isStreaming: false });
+            } else {
+                get().addMessage(botMessage);
             }
 
         } catch (error) {
             console.error('Chat Error:', error);
+            // Drop any partially streamed answer
+            get().removeMessage(botMessageId);
+            // Surface the backend's message for errors the user can act on
+            const userFacingCodes = ['UNAUTHORIZED', 'RATE_LIMITED', 'DAILY_LIMIT_REACHED', 'INVALID_REQUEST', 'UNSUPPORTED_REQUEST', 'PAYLOAD_TOO_LARGE', 'BUDGET_EXHAUSTED'];
             const errorMessage = {
-                id: (Date.now() + 1).toString(),
-                text: "I'm having trouble connecting to the waters right now. Please try again later.",
+                id: (Date.now() + 2).toString(),
+                text: userFacingCodes.includes(error.code)
+                    ? error.message
+                    : "I'm having trouble connecting to the waters right now. Please try again later.",
                 sender: 'bot',
                 timestamp: new Date(),
             };
@@ -258,16 +257,7 @@ const useChatStore = create((set, get) => ({
 
             if (error) throw error;
 
-            // Transform messages to match UI structure
-            const formattedMessages = data.map(msg => ({
-                id: msg.id,
-                text: msg.text,
-                sender: msg.sender,
-                timestamp: new Date(msg.created_at),
-                data: msg.metadata
-            }));
-
-            set({ messages: formattedMessages });
+            set({ messages: data.map(toMessage) });
         } catch (error) {
             console.error('Error loading conversation:', error);
         } finally {
@@ -275,6 +265,29 @@ const useChatStore = create((set, get) => ({
         }
     },
 
+    /**
+     * Fetch the rolling summary the backend keeps for the current conversation.
+     *
+     * @returns {Promise<Object|null>} { summary, exchange_count, updated_at }, or null until the first one is written.
+     */
+    fetchConversationSummary: async () => {
+        const conversationId = get().conversationId;
+        if (!conversationId) return null;
+        try {
+            const { data, error } = await supabase
+                .from('conversation_summaries')
+                .select('summary, exchange_count, updated_at')
+                .eq('conversation_id', conversationId)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error fetching conversation summary:', error);
+            return null;
+        }
+    },
+
     /**
      * Clear all messages and reset the conversation ID.
      * Used when starting a fresh chat session.
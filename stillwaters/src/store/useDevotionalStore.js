@@ -1,5 +1,26 @@
 import { create } from 'zustand';
 import { supabase } from '../services/supabase';
+import { translationLabel } from '../utils/translations';
+
+/**
+ * Pick the devotional's scripture in the preferred translation.
+ * `scripture_json` holds one translation's text and may carry others under
+ * `translations` (e.g. { "KJV": "..." }); licensed texts are only stored where permitted.
+ *
+ * @param {Object} scriptureJson - The devotional's scripture_json.
+ * @param {string} translation - The user's preferred translation.
+ * @returns {Object} { reference, text, translation, label }
+ */
+export const resolveScripture = (scriptureJson, translation) => {
+    const { translations, ...scripture } = scriptureJson || {};
+    if (!translation || scripture.translation === translation) {
+        return { ...scripture, label: translationLabel(scripture.translation) };
+    }
+    if (translations?.[translation]) {
+        return { ...scripture, text: translations[translation], translation, label: translation };
+    }
+    return { ...scripture, label: translationLabel(scripture.translation, translation) };
+};
 
 /**
  * Devotional Store
@@ -17,8 +38,10 @@ const useDevotionalStore = create((set) => ({
     /**
      * Fetch the devotional for the current date (UTC).
      * If no devotional exists for today, sets state to null.
+     *
+     * @param {string} [translation] - Preferred Bible translation for the scripture.
      */
-    fetchTodayDevotional: async () => {
+    fetchTodayDevotional: async (translation) => {
         set({ isLoading: true, error: null });
         try {
             // Use local date string to match the user's day
@@ -48,7 +71,7 @@ const useDevotionalStore = create((set) => ({
                 date: new Date(data.date).toLocaleDateString(),
                 title: data.title,
                 content: data.content,
-                scripture: data.scripture_json,
+                scripture: resolveScripture(data.scripture_json, translation),
                 prayer: data.prayer
             };
 
@@ -0,0 +1,192 @@
+import { create } from 'zustand';
+import { supabase } from '../services/supabase';
+import { lookupScripture } from '../services/api';
+import useUserStore from './useUserStore';
+
+// The verses of a passage lookup, one paragraph per passage
+export const passageText = (lookup) => lookup.passages.map(passage => passage.text).join('\n\n');
+
+/**
+ * The text to copy for a passage lookup: its verses with the reference and translation,
+ * e.g. "Be still, and know that I am God... — Psalm 46:10 (KJV)".
+ *
+ * @param {Object} lookup - Response from lookupScripture.
+ * @returns {string}
+ */
+export const passageCitation = (lookup) => `${passageText(lookup)}\n— ${lookup.reference} (${lookup.translation})`;
+
+/**
+ * Passage Store
+ *
+ * Drives the passage sheet: tapping a scripture reference anywhere in the app opens it
+ * with the full text from the backend (GET /api/v1/scripture), in the user's preferred
+ * translation or one picked in the sheet. Also keeps the user's saved verses (Supabase).
+ */
+const usePassageStore = create((set, get) => ({
+    // State Variables
+    reference: null, // Reference shown in the sheet; null when the sheet is closed
+    translation: null, // Translation asked for in the sheet
+    lookup: null, // The passage text and context for reference + translation
+    isLoading: false, // Loading state for the lookup
+    error: null, // Error message from the lookup or saving
+    savedVerses: null, // The user's saved verses, newest first; null until fetched
+    expanded: {}, // Passages shown in place (e.g. related verse chips): "<translation>:<reference>" -> { lookup, isLoading, error }
+
+    /**
+     * Open the passage sheet for a reference, in the user's preferred translation.
+     *
+     * @param {string} reference - e.g. "John 3:16" or "1 Cor 13:4-7, 13".
+     */
+    openPassage: async (reference) => {
+        set({ reference, translation: useUserStore.getState().settings.translation, lookup: null, error: null });
+        if (get().savedVerses === null) get().fetchSavedVerses();
+        await get().fetchPassage();
+    },
+
+    /**
+     * Show the open passage in another translation.
+     *
+     * @param {string} translation - Translation code, e.g. "KJV".
+     */
+    setTranslation: async (translation) => {
+        set({ translation });
+        await get().fetchPassage();
+    },
+
+    closePassage: () => set({ reference: null, lookup: null, error: null, isLoading: false }),
+
+    /**
+     * Fetch the open reference in the chosen translation.
+     * Answers for a passage the user has since closed or switched away from are dropped.
+     */
+    fetchPassage: async () => {
+        const { reference, translation } = get();
+        const isCurrent = () => get().reference === reference && get().translation === translation;
+
+        set({ isLoading: true, error: null });
+        try {
+            const lookup = await lookupScripture(reference, { translation });
+            if (isCurrent()) set({ lookup });
+        } catch (error) {
+            console.error('Error looking up passage:', error);
+            if (isCurrent()) set({ error: error.message });
+        } finally {
+            if (isCurrent()) set({ isLoading: false });
+        }
+    },
+
+    /**
+     * Fetch a passage to show in place, in the user's preferred translation, without its context.
+     * Each passage is fetched once; read it with expandedPassage.
+     *
+     * @param {string} reference
+     */
+    expandPassage: async (reference) => {
+        const key = `${useUserStore.getState().settings.translation}:${reference}`;
+        const current = get().expanded[key];
+        if (current && !current.error) return;
+
+        const update = (entry) => set((state) => ({ expanded: { ...state.expanded, [key]: entry } }));
+        update({ lookup: null, isLoading: true, error: null });
+        try {
+            const lookup = await lookupScripture(reference, { context: 0 });
+            update({ lookup, isLoading: false, error: null });
+        } catch (error) {
+            console.error('Error looking up passage:', error);
+            update({ lookup: null, isLoading: false, error: error.message });
+        }
+    },
+
+    /**
+     * A passage fetched by expandPassage, in the user's preferred translation.
+     *
+     * @param {string} reference
+     * @returns {{lookup: Object|null, isLoading: boolean, error: string|null}|undefined}
+     */
+    expandedPassage: (reference) => get().expanded[`${useUserStore.getState().settings.translation}:${reference}`],
+
+    /**
+     * Fetch the user's saved verses, newest first.
+     */
+    fetchSavedVerses: async () => {
+        try {
+            const { data, error } = await supabase
+                .from('saved_verses')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+            set({ savedVerses: data });
+        } catch (error) {
+            console.error('Error fetching saved verses:', error);
+        }
+    },
+
+    /**
+     * The saved verse for a reference and translation, if the user has saved it.
+     *
+     * @param {string} reference - Standard form, as returned by the lookup.
+     * @param {string} translation
+     * @returns {Object|undefined}
+     */
+    findSavedVerse: (reference, translation) => (get().savedVerses || [])
+        .find(verse => verse.reference === reference && verse.translation === translation),
+
+    /**
+     * Save the passage open in the sheet, or remove it if it is already saved.
+     */
+    toggleSavedVerse: async () => {
+        const { lookup, findSavedVerse, removeSavedVerse } = get();
+        if (!lookup) return;
+
+        const saved = findSavedVerse(lookup.reference, lookup.translation);
+        if (saved) {
+            await removeSavedVerse(saved.id);
+            return;
+        }
+
+        try {
+            const user = useUserStore.getState().user;
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await supabase
+                .from('saved_verses')
+                .insert([{
+                    user_id: user.id,
+                    reference: lookup.reference,
+                    translation: lookup.translation,
+                    text: passageText(lookup),
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+            set((state) => ({ savedVerses: [data, ...(state.savedVerses || [])] }));
+        } catch (error) {
+            console.error('Error saving verse:', error);
+            set({ error: error.message });
+        }
+    },
+
+    /**
+     * Remove a saved verse.
+     *
+     * @param {string} id - The saved verse's id.
+     */
+    removeSavedVerse: async (id) => {
+        try {
+            const { error } = await supabase
+                .from('saved_verses')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+            set((state) => ({ savedVerses: (state.savedVerses || []).filter(verse => verse.id !== id) }));
+        } catch (error) {
+            console.error('Error removing saved verse:', error);
+            set({ error: error.message });
+        }
+    },
+}));
+
+export default usePassageStore;
@@ -0,0 +1,36 @@
+/**
+ * Bible Translations
+ *
+ * Translations the user can pick in Settings. The preference is sent with every
+ * Guide request and used for the Daily Stream; where a translation's licence does
+ * not allow us to show it, the backend serves the King James Version instead and
+ * the app labels the fallback.
+ *
+ * `available` marks the translations the backend can serve today (the texts bundled
+ * in backend/services/bible.js); the others are kept as a preference only.
+ */
+export const TRANSLATIONS = [
+    { code: 'KJV', name: 'King James Version', available: true },
+    { code: 'NIV', name: 'New International Version', available: false },
+    { code: 'ESV', name: 'English Standard Version', available: false },
+    { code: 'NKJV', name: 'New King James Version', available: false },
+    { code: 'NLT', name: 'New Living Translation', available: false },
+    { code: 'NASB', name: 'New American Standard Bible', available: false },
+    { code: 'CSB', name: 'Christian Standard Bible', available: false },
+];
+
+export const AVAILABLE_TRANSLATIONS = TRANSLATIONS.filter(translation => translation.available);
+
+export const FALLBACK_TRANSLATION = 'KJV';
+
+/**
+ * Label shown next to a verse reference, e.g. "NIV" or "KJV · NIV unavailable".
+ *
+ * @param {string} translation - Translation the text is actually in.
+ * @param {string} [requested] - Translation the user asked for, when it could not be served.
+ * @returns {string}
+ */
+export const translationLabel = (translation, requested) => {
+    if (!translation) return '';
+    return requested && requested !== translation ? `${translation} · ${requested} unavailable` : translation;
+};
@@ -0,0 +1,16 @@
+-- Usage Tracking
+-- One row per answered Guide question. Written only by the backend (service role)
+-- and used to enforce the daily question allowance.
+create table if not exists public.usage_tracking (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  feature text not null,
+  action text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists usage_tracking_user_feature_created_idx
+  on public.usage_tracking (user_id, feature, created_at);
+
+-- No policies: the app never reads or writes this table directly.
+alter table public.usage_tracking enable row level security;
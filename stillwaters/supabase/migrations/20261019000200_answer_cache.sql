@@ -0,0 +1,15 @@
+-- Answer Cache
+-- Guide answers to repeated opening questions, shared by every backend instance
+-- when ANSWER_CACHE_STORE=supabase. Written only by the backend (service role).
+create table if not exists public.answer_cache (
+  key text primary key,
+  response jsonb not null,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists answer_cache_expires_at_idx
+  on public.answer_cache (expires_at);
+
+-- No policies: the app never reads or writes this table directly.
+alter table public.answer_cache enable row level security;
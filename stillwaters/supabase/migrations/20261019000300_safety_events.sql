@@ -0,0 +1,17 @@
+-- Safety Events
+-- One row per Guide question flagged by the crisis screen. Records the risk level
+-- and which check fired, never the question itself. Written only by the backend (service role).
+create table if not exists public.safety_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete set null,
+  level text not null,
+  source text,
+  rule text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists safety_events_created_idx
+  on public.safety_events (created_at);
+
+-- No policies: the app never reads or writes this table directly.
+alter table public.safety_events enable row level security;
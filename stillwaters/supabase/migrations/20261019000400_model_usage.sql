@@ -0,0 +1,36 @@
+-- Model Usage
+-- One row per model call: tokens, model and estimated cost, per user.
+-- Written only by the backend (service role); summarized with `npm run usage-report`.
+create table if not exists public.model_usage (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete set null,
+  feature text not null,
+  provider text not null,
+  model text not null,
+  prompt_tokens integer not null default 0,
+  response_tokens integer not null default 0,
+  cost_usd numeric(12, 6) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists model_usage_created_idx
+  on public.model_usage (created_at);
+
+create index if not exists model_usage_user_created_idx
+  on public.model_usage (user_id, created_at);
+
+-- No policies: the app never reads or writes this table directly.
+alter table public.model_usage enable row level security;
+
+-- Total estimated spend since a point in time, for the daily spending ceiling.
+create or replace function public.model_spend_since(since timestamptz)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(cost_usd), 0) from public.model_usage where created_at >= since;
+$$;
+
+revoke execute on function public.model_spend_since(timestamptz) from public, anon, authenticated;
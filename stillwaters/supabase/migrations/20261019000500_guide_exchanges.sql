@@ -0,0 +1,65 @@
+-- Guide Exchanges
+-- Saves one question and The Guide's answer in a single transaction,
+-- so a conversation never keeps a question without its answer. Creates the conversation
+-- on its first exchange and titles it from the answer.
+-- Called only by the backend (service role), which passes the signed-in user's id.
+create or replace function public.save_guide_exchange(
+  p_user_id uuid,
+  p_conversation_id uuid,
+  p_title text,
+  p_messages jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_conversation public.conversations;
+  v_messages jsonb;
+begin
+  if p_conversation_id is null then
+    insert into public.conversations (user_id, summary)
+    values (p_user_id, p_title)
+    returning * into v_conversation;
+  else
+    -- Conversations started before the first answer still carry the placeholder title
+    update public.conversations
+    set summary = case when summary = 'New Conversation' then p_title else summary end
+    where id = p_conversation_id and user_id = p_user_id
+    returning * into v_conversation;
+
+    if not found then
+      raise exception 'Conversation % not found for user %', p_conversation_id, p_user_id
+        using errcode = 'P0002';
+    end if;
+  end if;
+
+  -- Messages share the transaction's timestamp, so space them out to keep their order
+  with inserted as (
+    insert into public.messages (conversation_id, sender, text, metadata, created_at)
+    select
+      v_conversation.id,
+      m.value->>'sender',
+      m.value->>'text',
+      m.value->'metadata',
+      now() + (m.position - 1) * interval '1 millisecond'
+    from jsonb_array_elements(p_messages) with ordinality as m(value, position)
+    returning id, sender, text, metadata, created_at
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted) order by created_at), '[]'::jsonb)
+  into v_messages
+  from inserted;
+
+  return jsonb_build_object(
+    'conversation', jsonb_build_object(
+      'id', v_conversation.id,
+      'summary', v_conversation.summary,
+      'created_at', v_conversation.created_at
+    ),
+    'messages', v_messages
+  );
+end;
+$$;
+
+revoke execute on function public.save_guide_exchange(uuid, uuid, text, jsonb) from public, anon, authenticated;
@@ -0,0 +1,25 @@
+-- Conversation Summaries
+-- A rolling summary of each Guide conversation, refreshed by the backend every few questions
+-- and sent to the model with later questions as compressed context. `conversations.summary`
+-- stays the conversation's title. Written only by the backend (service role); users can read
+-- the summaries of their own conversations.
+create table if not exists public.conversation_summaries (
+  conversation_id uuid primary key references public.conversations(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  summary text not null,
+  -- Questions covered by the summary, and the created_at of the last message it covers
+  exchange_count integer not null default 0,
+  covered_through timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Messages after covered_through are read on every exchange to decide when to refresh
+create index if not exists messages_conversation_created_idx
+  on public.messages (conversation_id, created_at);
+
+alter table public.conversation_summaries enable row level security;
+
+drop policy if exists "Users can read their conversation summaries" on public.conversation_summaries;
+create policy "Users can read their conversation summaries"
+  on public.conversation_summaries for select
+  using (auth.uid() = user_id);
@@ -0,0 +1,100 @@
+-- Content Publishing
+-- Editorial workflow for devotionals and FAQs, managed through the backend's admin API
+-- (/api/v1/admin, see backend/routes/admin.js):
+--   status         draft | published | unpublished (existing rows stay published)
+--   scheduled_for  devotionals: the day a published devotional is served as the Daily Stream
+--   publish_at     faqs: when a published entry becomes visible (null: immediately)
+-- The app only ever sees published content that is due: restrictive policies hide the rest,
+-- and get_daily_stream only serves published devotionals.
+alter table public.devotionals
+  add column if not exists status text not null default 'published',
+  add column if not exists scheduled_for date,
+  add column if not exists shown_on date,
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.devotionals drop constraint if exists devotionals_status_check;
+alter table public.devotionals
+  add constraint devotionals_status_check check (status in ('draft', 'published', 'unpublished'));
+
+-- One scheduled devotional per day
+create unique index if not exists devotionals_scheduled_for_idx
+  on public.devotionals (scheduled_for)
+  where status = 'published' and scheduled_for is not null;
+
+alter table public.faqs
+  add column if not exists status text not null default 'published',
+  add column if not exists publish_at timestamptz,
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.faqs drop constraint if exists faqs_status_check;
+alter table public.faqs
+  add constraint faqs_status_check check (status in ('draft', 'published', 'unpublished'));
+
+-- Restrictive policies combine with the existing read policies, so drafts stay hidden
+-- whatever those allow. The backend uses the service role and bypasses both.
+drop policy if exists "Only published devotionals are visible" on public.devotionals;
+create policy "Only published devotionals are visible"
+  on public.devotionals as restrictive for select
+  to anon, authenticated
+  using (status = 'published');
+
+drop policy if exists "Only published FAQs are visible" on public.faqs;
+create policy "Only published FAQs are visible"
+  on public.faqs as restrictive for select
+  to anon, authenticated
+  using (status = 'published' and (publish_at is null or publish_at <= now()));
+
+-- Daily Stream for a date: the devotional scheduled for it, else the one already served that
+-- day, else the published devotional shown least recently (recorded in shown_on so every user
+-- gets the same one). Devotionals scheduled for a later day are kept back until then.
+drop function if exists public.get_daily_stream(date);
+create function public.get_daily_stream(target_date date)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_devotional public.devotionals;
+begin
+  select * into v_devotional
+  from public.devotionals
+  where status = 'published' and scheduled_for = target_date
+  limit 1;
+
+  if v_devotional.id is null then
+    -- The first requests of the day race to pick; make them agree
+    perform pg_advisory_xact_lock(hashtext('get_daily_stream:' || target_date::text));
+
+    select * into v_devotional
+    from public.devotionals
+    where status = 'published' and shown_on = target_date
+    limit 1;
+  end if;
+
+  if v_devotional.id is null then
+    select * into v_devotional
+    from public.devotionals
+    where status = 'published' and (scheduled_for is null or scheduled_for < target_date)
+    order by shown_on nulls first, random()
+    limit 1;
+
+    if v_devotional.id is null then
+      return null;
+    end if;
+
+    update public.devotionals set shown_on = target_date where id = v_devotional.id;
+  end if;
+
+  return jsonb_build_object(
+    'id', v_devotional.id,
+    'date', target_date,
+    'title', v_devotional.title,
+    'content', v_devotional.content,
+    'scripture_json', v_devotional.scripture_json,
+    'prayer', v_devotional.prayer
+  );
+end;
+$$;
+
+grant execute on function public.get_daily_stream(date) to anon, authenticated;
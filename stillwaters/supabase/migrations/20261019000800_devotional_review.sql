@@ -0,0 +1,12 @@
+-- Devotional Review
+-- Devotionals drafted in bulk by the model (`npm run devotionals -- draft` in the backend) are
+-- reviewed before they reach the Daily Stream: approving publishes a draft into the rotation,
+-- rejecting marks it 'rejected'. Rejected rows stay hidden like drafts (see the restrictive
+-- policies in 20261019000700_content_publishing.sql) and keep their passage from being drafted again.
+alter table public.devotionals drop constraint if exists devotionals_status_check;
+alter table public.devotionals
+  add constraint devotionals_status_check check (status in ('draft', 'published', 'unpublished', 'rejected'));
+
+alter table public.faqs drop constraint if exists faqs_status_check;
+alter table public.faqs
+  add constraint faqs_status_check check (status in ('draft', 'published', 'unpublished', 'rejected'));
@@ -0,0 +1,24 @@
+-- FAQ Slugs
+-- A stable name for each FAQ (e.g. "how-should-i-pray"), used to match entries when FAQ files are
+-- imported (`npm run faqs -- import` in the backend) so edits update the existing row instead of
+-- adding a new one. The backend derives it from the question when none is given; existing rows
+-- get one the same way (see slugify in backend/services/content.js), numbered when two collide.
+alter table public.faqs add column if not exists slug text;
+
+with derived as (
+  select id,
+    coalesce(nullif(trim(both '-' from left(regexp_replace(lower(question), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'faq') as base
+  from public.faqs
+  where slug is null
+), numbered as (
+  select id, base, row_number() over (partition by base order by id) as n
+  from derived
+)
+update public.faqs f
+set slug = case when numbered.n = 1 then numbered.base else numbered.base || '-' || numbered.n end
+from numbered
+where f.id = numbered.id;
+
+alter table public.faqs alter column slug set not null;
+
+create unique index if not exists faqs_slug_idx on public.faqs (slug);
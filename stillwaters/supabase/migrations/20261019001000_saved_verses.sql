@@ -0,0 +1,33 @@
+-- Saved Verses
+-- Passages a user saves from the passage sheet (tapping a scripture reference in The Guide,
+-- The Well or Daily Streams). The text is kept as it was shown, in the translation it was
+-- served in, so a saved verse reads the same later. Users manage only their own.
+create table if not exists public.saved_verses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  reference text not null,
+  translation text not null,
+  text text not null,
+  created_at timestamptz not null default now()
+);
+
+-- One save per passage and translation
+create unique index if not exists saved_verses_user_reference_idx
+  on public.saved_verses (user_id, reference, translation);
+
+alter table public.saved_verses enable row level security;
+
+drop policy if exists "Users can read their saved verses" on public.saved_verses;
+create policy "Users can read their saved verses"
+  on public.saved_verses for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "Users can save verses" on public.saved_verses;
+create policy "Users can save verses"
+  on public.saved_verses for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Users can remove their saved verses" on public.saved_verses;
+create policy "Users can remove their saved verses"
+  on public.saved_verses for delete
+  using (auth.uid() = user_id);